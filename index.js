@@ -1,11 +1,24 @@
 const { initializeDatabase } = require('./db/db.connect')
 const express = require('express')
-const axios = require('axios')
 const cors = require('cors')
-const jwt = require('jsonwebtoken')
+const authRoutes = require('./routes/auth')
 const albumRoutes = require('./routes/album')
 const imageRoutes = require('./routes/images')
+const fileRoutes = require('./routes/files')
+const publicRoutes = require('./routes/public')
+const userRoutes = require('./routes/user')
+const trashRoutes = require('./routes/trash')
+const uploadRoutes = require('./routes/uploads')
+const jobRoutes = require('./routes/jobs')
+const peopleRoutes = require('./routes/people')
+const tagRoutes = require('./routes/tags')
+const invitationRoutes = require('./routes/invitations')
 const cookieParser = require('cookie-parser')
+const multer = require('multer')
+const { verifyJWT } = require('./services/auth')
+const { HttpError } = require('./services/errors')
+const { startScheduler } = require('./jobs/scheduler')
+const { resumeJobs } = require('./services/jobs')
 require('dotenv').config()  
 
 initializeDatabase()
@@ -18,148 +31,99 @@ const PORT = process.env.PORT || 4000
 app.use(cors({
     origin: process.env.FRONTEND_URL,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Set-Cookie']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'],
+    allowedHeaders: [
+        'Content-Type', 'Authorization', 'X-Share-Access',
+        'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata'
+    ],
+    exposedHeaders: [
+        'Set-Cookie', 'Location', 'X-Image-Id',
+        'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+        'Upload-Offset', 'Upload-Length', 'Upload-Expires'
+    ]
 }))
 
 app.use(express.json())
 app.use(cookieParser())
 
-// JWT Verification Middleware
-const verifyJWT = (req, res, next) => {
-    const token = req.cookies.jwt_token || req.headers.authorization?.split(' ')[1]
-
-    if(!token){
-        return res.status(401).json({error: 'No token provided'})
-    }
-
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET)
-        req.user = decoded
-        next()
-    } catch (error) {
-        return res.status(401).json({error: 'Invalid or expired token'})
-    }
-}
-
 // Home route
 app.get('/', (req, res) => {
     res.send(`<h1>Welcome to Kavios Pix API Server.</h1>`)
 })
 
-// Initiate Google OAuth
-app.get('/auth/google', (req, res) => {
-    const googleAuthUrl = `https://accounts.google.com/o/oauth2/auth?client_id=${process.env.GOOGLE_CLIENT_ID}&redirect_uri=${process.env.BACKEND_URL}/auth/google/callback&response_type=code&scope=profile email`
+// Auth routes (OAuth, token refresh, logout and sessions)
+app.use('/auth', authRoutes)
 
-    res.redirect(googleAuthUrl)
-    console.log(googleAuthUrl)
-})
+// User profile and account routes
+app.use('/user', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, userRoutes)
 
-// Google OAuth Callback
-app.get('/auth/google/callback', async (req, res) => {
+// Album routes (with JWT middleware applied inside the router)
+app.use('/albums', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, albumRoutes)
 
-    console.log("Callback hit at: ", new Date().toISOString())
+// Image routes (with JWT middleware applied inside the router)
+app.use('/images', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, imageRoutes)
 
-    const { code } = req.query
-    if(!code){
-        return res.status(400).send("Authorization code not provided.")
-    }
+// Resumable (tus) upload routes
+app.use('/uploads', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, uploadRoutes)
 
-    try {
-        // Exchange code for access token
-        const params = new URLSearchParams({
-            client_id: process.env.GOOGLE_CLIENT_ID,
-            client_secret: process.env.GOOGLE_CLIENT_SECRET,
-            code: req.query.code,
-            grant_type: "authorization_code",
-            redirect_uri: `${process.env.BACKEND_URL}/auth/google/callback`
-        })
-
-        const tokenResponse = await axios.post('https://oauth2.googleapis.com/token', params.toString(), {
-            headers: { "Content-Type": "application/x-www-form-urlencoded" }
-        })
-
-        const accessToken = tokenResponse.data.access_token
-
-        // Fetch user info from Google
-        const userResponse = await axios.get('https://www.googleapis.com/oauth2/v2/userinfo', {
-            headers: { Authorization: `Bearer ${accessToken}` }
-        })
-
-        const { email, id: userId, name, picture } = userResponse.data
-
-        console.log('✅ User authenticated:', { email, userId, name })
-
-        // Issue JWT with user info
-        const jwtToken = jwt.sign({ 
-            email, 
-            userId, 
-            name, 
-            picture,
-        }, process.env.JWT_SECRET, { expiresIn: '7d' })
-
-        // Store JWT in httpOnly cookie
-        res.cookie("jwt_token", jwtToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-            path: '/'
-        })
-
-        // Redirect to frontend
-        return res.redirect(`${process.env.FRONTEND_URL}/profile`)
-        
-    } catch (error) {
-        console.log(error.response?.data || error.message)
-        res.status(400).send("OAuth exchange failed.")
-    }
-})
+// Background job status and downloads (exports)
+app.use('/jobs', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, jobRoutes)
 
-// Protected Route - Get User Profile (requires JWT)
-app.get('/user/profile', verifyJWT, async (req, res) => {
-    try {
-        res.json({
-            user: {
-                email: req.user.email,
-                userId: req.user.userId,
-                name: req.user.name,
-                picture: req.user.picture
-            }
-        })
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch profile' })
-    }
-})
+// People registry and tagged images
+app.use('/people', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, peopleRoutes)
 
-// Logout endpoint
-app.post('/auth/logout', (req, res) => {
-    res.clearCookie('jwt_token')
-    res.json({ message: 'Logged out successfully' })
-})
+// Tag vocabulary, autocomplete, rename and merge
+app.use('/tags', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, tagRoutes)
 
-// Verify token endpoint
-app.get('/auth/verify', verifyJWT, (req, res) => {
-    res.json({ valid: true, user: req.user })
-})
+// Album invitations for the signed-in user (accept / decline)
+app.use('/invitations', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, invitationRoutes)
 
-// Album routes (with JWT middleware applied inside the router)
-app.use('/albums', (req, res, next) => {
-    verifyJWT(req, res, next)
-}, albumRoutes)
+// Trash routes (restore and permanent delete)
+app.use('/trash', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, trashRoutes)
 
-// Image routes (with JWT middleware applied inside the router)
-app.use('/images', (req, res, next) => {
-    verifyJWT(req, res, next)
-}, imageRoutes)
+// Locally stored files (only used when STORAGE_DRIVER=local)
+app.use('/files', (req, res, next) => {
+    return verifyJWT(req, res, next)
+}, fileRoutes)
+
+// Public share links (no JWT, the link token is the credential)
+app.use('/public', publicRoutes)
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Uploads multer rejected before the route ran (too large, too many files...)
+    if (err instanceof multer.MulterError) {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message })
+    }
+
+    if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message })
+    }
+
     console.error(err.stack)
     res.status(500).json({ error: err.message || 'Something went wrong!' })
 })
 
 app.listen(PORT, () => {
     console.log(`Server is running on PORT ${PORT}`)
+    startScheduler()
+    resumeJobs().catch(error => console.error('Failed to resume jobs', error))
 })
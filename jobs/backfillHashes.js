@@ -0,0 +1,61 @@
+// Compute content and perceptual hashes for images uploaded before duplicate
+// detection existed. Safe to re-run: only images without a content hash are
+// processed.
+//
+// Usage: node jobs/backfillHashes.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Image = require('../models/Image.model')
+const { readFile } = require('../services/storage')
+const { computeHashes } = require('../services/duplicates')
+const { mapWithConcurrency } = require('../services')
+
+const BATCH_SIZE = 100
+
+const backfillHashes = async () => {
+    let updated = 0
+    let failed = 0
+    let lastId = null
+
+    while (true) {
+        const query = { contentHash: null }
+        if (lastId) {
+            query._id = { $gt: lastId }
+        }
+
+        const images = await Image.find(query, { storageProvider: 1, storageKey: 1, imageId: 1 }).sort({ _id: 1 }).limit(BATCH_SIZE)
+        if (images.length === 0) {
+            break
+        }
+        lastId = images[images.length - 1]._id
+
+        await mapWithConcurrency(images, 2, async (image) => {
+            try {
+                const buffer = await readFile(image.storageProvider, image.storageKey)
+                const hashes = await computeHashes(buffer)
+
+                await Image.updateOne({ _id: image._id }, { $set: hashes })
+                updated++
+            } catch (error) {
+                console.error(`Error hashing image ${image.imageId}:`, error.message)
+                failed++
+            }
+        })
+    }
+
+    return { updated, failed }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(backfillHashes)
+        .then(result => console.log('Hash backfill finished', result))
+        .catch(error => {
+            console.error('Hash backfill failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { backfillHashes }
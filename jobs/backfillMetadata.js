@@ -0,0 +1,61 @@
+// Extract EXIF and image metadata for images uploaded before extraction
+// existed (or whose extraction failed). Safe to re-run: only images without
+// metadataExtractedAt are processed.
+//
+// Usage: node jobs/backfillMetadata.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Image = require('../models/Image.model')
+const { readFile } = require('../services/storage')
+const { extractMetadata } = require('../services/metadata')
+const { mapWithConcurrency } = require('../services')
+
+const BATCH_SIZE = 100
+
+const backfillMetadata = async () => {
+    let updated = 0
+    let failed = 0
+    let lastId = null
+
+    while (true) {
+        const query = { metadataExtractedAt: null }
+        if (lastId) {
+            query._id = { $gt: lastId }
+        }
+
+        const images = await Image.find(query).sort({ _id: 1 }).limit(BATCH_SIZE)
+        if (images.length === 0) {
+            break
+        }
+        lastId = images[images.length - 1]._id
+
+        await mapWithConcurrency(images, 2, async (image) => {
+            try {
+                const buffer = await readFile(image.storageProvider, image.storageKey)
+                const metadata = await extractMetadata(buffer)
+
+                await Image.updateOne({ _id: image._id }, { $set: metadata })
+                updated++
+            } catch (error) {
+                console.error(`Error extracting metadata for image ${image.imageId}:`, error.message)
+                failed++
+            }
+        })
+    }
+
+    return { updated, failed }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(backfillMetadata)
+        .then(result => console.log('Metadata backfill finished', result))
+        .catch(error => {
+            console.error('Metadata backfill failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { backfillMetadata }
@@ -0,0 +1,54 @@
+// Build each album owner's tag vocabulary from the tags already on their
+// images, and rewrite spelling variants ("beach", "Beach ") to the registered
+// name. The first spelling seen becomes the registered one. Safe to re-run.
+//
+// Usage: node jobs/backfillTags.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const { resolveTags } = require('../services/tags')
+
+const backfillTags = async () => {
+    const ownerIds = await Album.distinct('ownerId')
+    let images = 0
+
+    for (const ownerId of ownerIds) {
+        const albumIds = (await Album.find({ ownerId }, { albumId: 1 })).map(album => album.albumId)
+        const cursor = Image.find({ albumId: { $in: albumIds }, 'tags.0': { $exists: true } }, { tags: 1 })
+            .sort({ uploadedAt: 1 })
+            .cursor()
+
+        for await (const image of cursor) {
+            const valid = image.tags.filter(tag => typeof tag === 'string' && tag.trim() !== '')
+            let resolved
+            try {
+                resolved = await resolveTags(ownerId, valid)
+            } catch (error) {
+                console.error(`Skipping tags on image ${image._id}:`, error.message)
+                continue
+            }
+
+            if (resolved.join('\n') !== image.tags.join('\n')) {
+                await Image.updateOne({ _id: image._id }, { $set: { tags: resolved } })
+                images++
+            }
+        }
+    }
+
+    return { owners: ownerIds.length, images }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(backfillTags)
+        .then(result => console.log('Tag backfill finished', result))
+        .catch(error => {
+            console.error('Tag backfill failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { backfillTags }
@@ -0,0 +1,42 @@
+// One-off migration: convert the flat Album.sharedWith email list into
+// role-based members. Existing shares become contributors, which matches
+// what a shared user could do before roles existed.
+//
+// Usage: node jobs/migrateAlbumMembers.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Album = require('../models/Album.model')
+
+const migrateAlbumMembers = async () => {
+    const albums = await Album.collection.find({ sharedWith: { $exists: true } }).toArray()
+
+    for (const album of albums) {
+        const members = (album.sharedWith || []).map(email => ({
+            _id: new mongoose.Types.ObjectId(),
+            email,
+            role: 'contributor',
+            addedAt: album.createdAt || new Date()
+        }))
+
+        await Album.collection.updateOne(
+            { _id: album._id },
+            { $set: { members }, $unset: { sharedWith: '' } }
+        )
+    }
+
+    return albums.length
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(migrateAlbumMembers)
+        .then(count => console.log(`Migrated ${count} albums`))
+        .catch(error => {
+            console.error('Album member migration failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { migrateAlbumMembers }
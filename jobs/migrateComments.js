@@ -0,0 +1,67 @@
+// One-off migration: move comments embedded in Image documents into the
+// Comment collection, giving each a stable commentId, and fill in the
+// image's commentCount and commentText. Also replaces the old text index on
+// comments.comment, which would otherwise block the new one.
+//
+// Usage: node jobs/migrateComments.js
+
+const mongoose = require('mongoose')
+const { v4: uuidv4 } = require('uuid')
+const { initializeDatabase } = require('../db/db.connect')
+const Image = require('../models/Image.model')
+const Comment = require('../models/Comment.model')
+
+const LEGACY_TEXT_INDEX = 'name_text_comments.comment_text'
+
+const migrateComments = async () => {
+    const images = await Image.collection.find({ comments: { $exists: true } }).toArray()
+    let comments = 0
+
+    for (const image of images) {
+        const legacy = (image.comments || []).filter(comment => comment.comment)
+
+        if (legacy.length > 0) {
+            await Comment.insertMany(legacy.map(comment => ({
+                commentId: uuidv4(),
+                imageId: image.imageId,
+                albumId: image.albumId,
+                parentId: null,
+                userId: comment.userId || 'unknown',
+                userEmail: comment.userEmail,
+                comment: comment.comment,
+                mentions: [],
+                createdAt: comment.createdAt || new Date()
+            })))
+            comments += legacy.length
+        }
+
+        await Image.collection.updateOne(
+            { _id: image._id },
+            {
+                $set: { commentCount: legacy.length, commentText: legacy.map(comment => comment.comment) },
+                $unset: { comments: '' }
+            }
+        )
+    }
+
+    const indexes = await Image.collection.indexes()
+    if (indexes.some(index => index.name === LEGACY_TEXT_INDEX)) {
+        await Image.collection.dropIndex(LEGACY_TEXT_INDEX)
+    }
+    await Image.createIndexes()
+
+    return { images: images.length, comments }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(migrateComments)
+        .then(result => console.log('Comment migration finished', result))
+        .catch(error => {
+            console.error('Comment migration failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { migrateComments }
@@ -0,0 +1,60 @@
+// One-off migration: turn the shared Image.isFavorite flag into per-user
+// favorites. A starred image becomes a favorite of the album owner, since
+// there is no record of who starred it.
+//
+// Usage: node jobs/migrateFavorites.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Favorite = require('../models/Favorite.model')
+
+const migrateFavorites = async () => {
+    const images = await Image.collection.find({ isFavorite: true }).toArray()
+    const owners = new Map()
+    let favorites = 0
+
+    for (const image of images) {
+        if (!owners.has(image.albumId)) {
+            const album = await Album.findOne({ albumId: image.albumId }, { ownerId: 1 })
+            owners.set(image.albumId, album ? album.ownerId : null)
+        }
+
+        const ownerId = owners.get(image.albumId)
+        if (ownerId) {
+            const result = await Favorite.updateOne(
+                { userId: ownerId, imageId: image.imageId },
+                { $setOnInsert: { albumId: image.albumId, createdAt: image.uploadedAt || new Date() } },
+                { upsert: true }
+            )
+            favorites += result.upsertedCount
+        }
+    }
+
+    // Recount from the favorites so re-running stays correct
+    const counts = await Favorite.aggregate([{ $group: { _id: '$imageId', count: { $sum: 1 } } }])
+    for (const { _id, count } of counts) {
+        await Image.collection.updateOne({ imageId: _id }, { $set: { favoriteCount: count } })
+    }
+
+    await Image.collection.updateMany(
+        { isFavorite: { $exists: true } },
+        { $unset: { isFavorite: '' } }
+    )
+
+    return { images: images.length, favorites }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(migrateFavorites)
+        .then(result => console.log('Favorite migration finished', result))
+        .catch(error => {
+            console.error('Favorite migration failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { migrateFavorites }
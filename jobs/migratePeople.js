@@ -0,0 +1,63 @@
+// One-off migration: turn the free-text Image.person string into a tag on a
+// person in the album owner's people registry. Names that differ only in
+// case or spacing end up as the same person.
+//
+// Usage: node jobs/migratePeople.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const { findOrCreatePerson } = require('../services/people')
+
+const migratePeople = async () => {
+    const images = await Image.collection.find({ person: { $exists: true } }).toArray()
+    const owners = new Map()
+    let tagged = 0
+
+    for (const image of images) {
+        const update = { $unset: { person: '' } }
+        const name = typeof image.person === 'string' ? image.person.trim() : ''
+
+        if (!owners.has(image.albumId)) {
+            const album = await Album.findOne({ albumId: image.albumId }, { ownerId: 1 })
+            owners.set(image.albumId, album ? album.ownerId : null)
+        }
+
+        const ownerId = owners.get(image.albumId)
+        const alreadyTagged = (image.people || []).length > 0
+
+        if (name && ownerId && !alreadyTagged) {
+            const person = await findOrCreatePerson(ownerId, name)
+            update.$set = {
+                people: [{
+                    personId: person.personId,
+                    name: person.name,
+                    region: null,
+                    source: 'manual',
+                    confidence: null,
+                    addedBy: image.uploadedBy,
+                    addedAt: image.uploadedAt || new Date()
+                }]
+            }
+            tagged++
+        }
+
+        await Image.collection.updateOne({ _id: image._id }, update)
+    }
+
+    return { images: images.length, tagged }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(migratePeople)
+        .then(result => console.log('People migration finished', result))
+        .catch(error => {
+            console.error('People migration failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { migratePeople }
@@ -0,0 +1,40 @@
+// One-off migration: move images stored with the old Cloudinary-specific
+// fields (cloudinaryUrl / cloudinaryPublicId) onto the provider-neutral
+// storageProvider / storageKey / url fields.
+//
+// Usage: node jobs/migrateStorageFields.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Image = require('../models/Image.model')
+
+const migrateStorageFields = async () => {
+    const result = await Image.collection.updateMany(
+        { cloudinaryPublicId: { $exists: true }, storageKey: { $exists: false } },
+        [
+            {
+                $set: {
+                    storageProvider: 'cloudinary',
+                    storageKey: '$cloudinaryPublicId',
+                    url: '$cloudinaryUrl'
+                }
+            },
+            { $unset: ['cloudinaryPublicId', 'cloudinaryUrl'] }
+        ]
+    )
+
+    return result.modifiedCount
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(migrateStorageFields)
+        .then(count => console.log(`Migrated ${count} images`))
+        .catch(error => {
+            console.error('Storage field migration failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { migrateStorageFields }
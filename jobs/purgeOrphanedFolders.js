@@ -0,0 +1,54 @@
+// One-off cleanup: remove album folders in storage whose album no longer
+// exists. Albums deleted before the trash existed dropped their images without
+// touching storage.
+//
+// Every kaviospix/<albumId> folder the current STORAGE_DRIVER holds is checked
+// against this database only, so never run it against storage shared with
+// another environment. Lists what it would remove unless --apply is given.
+//
+// Usage: node jobs/purgeOrphanedFolders.js [--apply]
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Album = require('../models/Album.model')
+const { albumFolder, getStorage } = require('../services/storage')
+
+const purgeOrphanedFolders = async ({ apply = false } = {}) => {
+    const storage = getStorage()
+    const folders = await storage.listFolders('kaviospix')
+    const orphaned = []
+
+    for (const albumId of folders) {
+        const exists = await Album.exists({ albumId })
+
+        if (!exists) {
+            orphaned.push(albumFolder(albumId))
+
+            if (apply) {
+                await storage.removeFolder(albumFolder(albumId))
+            }
+        }
+    }
+
+    return orphaned
+}
+
+if (require.main === module) {
+    const apply = process.argv.includes('--apply')
+
+    initializeDatabase()
+        .then(() => purgeOrphanedFolders({ apply }))
+        .then(folders => {
+            folders.forEach(folder => console.log(folder))
+            console.log(apply
+                ? `Removed ${folders.length} orphaned folders`
+                : `Found ${folders.length} orphaned folders, re-run with --apply to remove them`)
+        })
+        .catch(error => {
+            console.error('Orphaned folder purge failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { purgeOrphanedFolders }
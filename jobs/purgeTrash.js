@@ -0,0 +1,23 @@
+// Permanently delete trashed albums and images older than TRASH_RETENTION_DAYS.
+//
+// Runs on a timer from jobs/scheduler.js; can also be run by hand:
+// node jobs/purgeTrash.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const { purgeExpiredTrash } = require('../services/trash')
+
+const purgeTrash = () => purgeExpiredTrash()
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(purgeTrash)
+        .then(result => console.log('Trash purged', result))
+        .catch(error => {
+            console.error('Trash purge failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { purgeTrash }
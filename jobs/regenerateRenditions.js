@@ -0,0 +1,63 @@
+// (Re)generate thumbnail, medium and WebP renditions for existing images.
+// By default only images without renditions are processed; pass --all to
+// rebuild every image, e.g. after changing the sizes in services/renditions.js.
+//
+// Usage: node jobs/regenerateRenditions.js [--all]
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Image = require('../models/Image.model')
+const { readFile } = require('../services/storage')
+const { generateRenditions, removeRenditions } = require('../services/renditions')
+const { mapWithConcurrency } = require('../services')
+
+const BATCH_SIZE = 50
+
+const regenerateRenditions = async ({ all = false } = {}) => {
+    let updated = 0
+    let failed = 0
+    let lastId = null
+
+    while (true) {
+        const query = all ? {} : { $or: [{ renditions: { $exists: false } }, { renditions: {} }] }
+        if (lastId) {
+            query._id = { $gt: lastId }
+        }
+
+        const images = await Image.find(query).sort({ _id: 1 }).limit(BATCH_SIZE)
+        if (images.length === 0) {
+            break
+        }
+        lastId = images[images.length - 1]._id
+
+        await mapWithConcurrency(images, 2, async (image) => {
+            try {
+                const buffer = await readFile(image.storageProvider, image.storageKey)
+                const renditions = await generateRenditions(buffer, image.albumId)
+
+                // Drop the old set only once the new one is stored
+                await removeRenditions(image).catch(error => console.error('Error removing old renditions:', error.message))
+                await Image.updateOne({ _id: image._id }, { $set: { renditions } })
+                updated++
+            } catch (error) {
+                console.error(`Error generating renditions for image ${image.imageId}:`, error.message)
+                failed++
+            }
+        })
+    }
+
+    return { updated, failed }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(() => regenerateRenditions({ all: process.argv.includes('--all') }))
+        .then(result => console.log('Rendition regeneration finished', result))
+        .catch(error => {
+            console.error('Rendition regeneration failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { regenerateRenditions }
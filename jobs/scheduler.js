@@ -0,0 +1,61 @@
+const { purgeTrash } = require('./purgeTrash')
+const { purgeExpiredUploads } = require('../services/uploads')
+const { purgeExpiredJobs } = require('../services/jobs')
+const { sendDigests } = require('../services/notifications')
+const { expireInvitations } = require('../services/invitations')
+
+// Background jobs that run inside the API process on a fixed interval
+const tasks = [
+    {
+        name: 'purge-trash',
+        intervalMinutes: Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+        run: purgeTrash
+    },
+    {
+        name: 'purge-expired-uploads',
+        intervalMinutes: 60,
+        run: purgeExpiredUploads
+    },
+    {
+        name: 'purge-expired-jobs',
+        intervalMinutes: 60,
+        run: purgeExpiredJobs
+    },
+    {
+        name: 'expire-invitations',
+        intervalMinutes: 60,
+        run: expireInvitations
+    },
+    {
+        name: 'send-notification-digests',
+        intervalMinutes: Number(process.env.NOTIFICATION_DIGEST_INTERVAL_MINUTES) || 24 * 60,
+        run: sendDigests
+    }
+]
+
+const startScheduler = () => {
+    tasks.forEach(task => {
+        let running = false
+
+        const tick = async () => {
+            // Skip a tick rather than overlap a slow run
+            if (running) {
+                return
+            }
+
+            running = true
+            try {
+                const result = await task.run()
+                console.log(`Job ${task.name} finished`, result)
+            } catch (error) {
+                console.error(`Job ${task.name} failed`, error)
+            } finally {
+                running = false
+            }
+        }
+
+        setInterval(tick, task.intervalMinutes * 60 * 1000).unref()
+    })
+}
+
+module.exports = { startScheduler }
@@ -0,0 +1,87 @@
+// Remove embedded GPS from originals stored before uploads were stripped of
+// it. Each original still carrying GPS is stored again without it and the old
+// file removed; the structured gps fields are kept. Safe to re-run: only
+// images without gpsCheckedAt are processed.
+//
+// Usage: node jobs/stripLocation.js
+
+const mongoose = require('mongoose')
+const { initializeDatabase } = require('../db/db.connect')
+const Image = require('../models/Image.model')
+const { albumFolder, getStorage, readFile } = require('../services/storage')
+const { hasEmbeddedLocation, stripLocation } = require('../services/metadata')
+const { computeHashes } = require('../services/duplicates')
+const { chargedUserOfImage, adjustUsage } = require('../services/quota')
+const { mapWithConcurrency } = require('../services')
+
+const BATCH_SIZE = 100
+
+const stripStoredLocation = async () => {
+    let stripped = 0
+    let clean = 0
+    let failed = 0
+    let lastId = null
+
+    while (true) {
+        const query = { gpsCheckedAt: null }
+        if (lastId) {
+            query._id = { $gt: lastId }
+        }
+
+        const images = await Image.find(query, { imageId: 1, albumId: 1, filename: 1, size: 1, uploadedBy: 1, storageProvider: 1, storageKey: 1 })
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+        if (images.length === 0) {
+            break
+        }
+        lastId = images[images.length - 1]._id
+
+        await mapWithConcurrency(images, 2, async (image) => {
+            try {
+                const buffer = await readFile(image.storageProvider, image.storageKey)
+
+                if (!await hasEmbeddedLocation(buffer)) {
+                    await Image.updateOne({ _id: image._id }, { $set: { gpsCheckedAt: new Date() } })
+                    clean++
+                    return
+                }
+
+                const storage = getStorage(image.storageProvider)
+                const data = await stripLocation(buffer)
+                const result = await storage.upload(data, { folder: albumFolder(image.albumId), filename: image.filename })
+                const { contentHash } = await computeHashes(data)
+
+                await Image.updateOne({ _id: image._id }, {
+                    $set: {
+                        storageKey: result.key,
+                        url: result.url,
+                        size: result.bytes,
+                        contentHash,
+                        gpsCheckedAt: new Date()
+                    }
+                })
+                await adjustUsage(await chargedUserOfImage(image), result.bytes - image.size)
+                await storage.remove(image.storageKey)
+                stripped++
+            } catch (error) {
+                console.error(`Error stripping location from image ${image.imageId}:`, error.message)
+                failed++
+            }
+        })
+    }
+
+    return { stripped, clean, failed }
+}
+
+if (require.main === module) {
+    initializeDatabase()
+        .then(stripStoredLocation)
+        .then(result => console.log('Location strip finished', result))
+        .catch(error => {
+            console.error('Location strip failed', error)
+            process.exitCode = 1
+        })
+        .finally(() => mongoose.disconnect())
+}
+
+module.exports = { stripStoredLocation }
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose')
+
+// One entry in an album's activity log: who did what to which item, and when.
+// Entries are only ever appended; they go away with the album when it is purged.
+const ActivitySchema = new mongoose.Schema({
+    activityId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    actorId: {
+        type: String,
+        required: true
+    },
+    actorEmail: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['album', 'image', 'comment', 'member', 'invitation', 'link', 'webhook'],
+        required: true
+    },
+    targetId: {
+        type: String,
+        required: true
+    },
+    // Action-specific context, e.g. the new role or the album an image moved to
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+ActivitySchema.index({ albumId: 1, createdAt: -1 })
+ActivitySchema.index({ albumId: 1, action: 1, createdAt: -1 })
+
+
+const Activity = mongoose.model('Activity', ActivitySchema)
+
+module.exports = Activity
@@ -22,15 +22,71 @@ const AlbumSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    sharedWith: [{
-        type: String
+    members: [{
+        email: {
+            type: String,
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['viewer', 'contributor', 'editor'],
+            default: 'viewer'
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
     }],
+    // Whether members and share links see GPS coordinates (the owner always does)
+    shareLocation: {
+        type: Boolean,
+        default: false
+    },
+    // Per-album cap on a single upload, in bytes (null = server default)
+    maxUploadBytes: {
+        type: Number,
+        default: null
+    },
+    // Cover chosen by the owner (null = the first photo in the album's order)
+    coverImageId: {
+        type: String,
+        default: null
+    },
+    // How photos are listed by default; 'manual' follows Image.position
+    sortMode: {
+        type: String,
+        enum: ['uploadedAt', 'capturedAt', 'name', 'manual'],
+        default: 'uploadedAt'
+    },
+    sortOrder: {
+        type: String,
+        enum: ['asc', 'desc'],
+        default: 'desc'
+    },
+    // Next free Image.position, handed out with $inc so concurrent uploads
+    // get distinct places (null until the album's first position is taken)
+    nextImagePosition: {
+        type: Number,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    // Set when the item is moved to the trash
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        default: null
     }
 })
 
+AlbumSchema.index({ 'members.email': 1 })
+AlbumSchema.index({ deletedAt: 1 })
+
 
 const Album = mongoose.model('Album', AlbumSchema)
 
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose')
+
+const ReactionSchema = new mongoose.Schema({
+    emoji: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userEmail: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false })
+
+const CommentSchema = new mongoose.Schema({
+    commentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    imageId: {
+        type: String,
+        required: true,
+        ref: 'Image'
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    // Replies point at a top-level comment; threads are one level deep
+    parentId: {
+        type: String,
+        default: null
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userEmail: String,
+    comment: {
+        type: String,
+        required: true
+    },
+    // Album members @mentioned in the text
+    mentions: [{
+        type: String
+    }],
+    reactions: [ReactionSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    }
+})
+
+CommentSchema.index({ imageId: 1, parentId: 1, createdAt: 1 })
+CommentSchema.index({ parentId: 1, createdAt: 1 })
+CommentSchema.index({ albumId: 1 })
+CommentSchema.index({ mentions: 1 })
+
+
+const Comment = mongoose.model('Comment', CommentSchema)
+
+module.exports = Comment
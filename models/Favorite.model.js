@@ -0,0 +1,32 @@
+const mongoose = require('mongoose')
+
+// One user's star on one image
+const FavoriteSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    imageId: {
+        type: String,
+        required: true,
+        ref: 'Image'
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+FavoriteSchema.index({ userId: 1, imageId: 1 }, { unique: true })
+FavoriteSchema.index({ userId: 1, albumId: 1 })
+FavoriteSchema.index({ imageId: 1 })
+
+
+const Favorite = mongoose.model('Favorite', FavoriteSchema)
+
+module.exports = Favorite
@@ -1,5 +1,51 @@
 const mongoose = require('mongoose')
 
+// Someone tagged in the photo. `region` is an optional bounding box in
+// coordinates relative to the image (0-1); `source` and `confidence` let
+// detected faces sit alongside manual tags.
+const ImagePersonSchema = new mongoose.Schema({
+    personId: {
+        type: String,
+        required: true
+    },
+    // Copied from the registry so listings and search need no lookup
+    name: String,
+    region: {
+        type: {
+            x: Number,
+            y: Number,
+            width: Number,
+            height: Number
+        },
+        default: null
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'auto'],
+        default: 'manual'
+    },
+    confidence: {
+        type: Number,
+        default: null
+    },
+    addedBy: String,
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false })
+
+// A resized copy of the original (see services/renditions.js)
+const RenditionSchema = new mongoose.Schema({
+    provider: String,
+    key: String,
+    url: String,
+    width: Number,
+    height: Number,
+    format: String,
+    bytes: Number
+}, { _id: false })
+
 const ImageSchema = new mongoose.Schema({
     imageId: {
         type: String,
@@ -19,33 +65,37 @@ const ImageSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    cloudinaryUrl: {
+    storageProvider: {
         type: String,
+        enum: ['cloudinary', 'local'],
         required: true
     },
-    cloudinaryPublicId: {
+    storageKey: {
+        type: String,
+        required: true
+    },
+    url: {
         type: String,
         required: true
     },
     tags: [{
         type: String
     }],
-    person: {
-        type: String,
-        default: ''
+    // People registry entries (models/Person.model.js) tagged in the photo
+    people: [ImagePersonSchema],
+    // Stars are per user (models/Favorite.model.js); this is the total
+    favoriteCount: {
+        type: Number,
+        default: 0
+    },
+    // Comments live in their own collection (models/Comment.model.js); these
+    // are kept in sync for listings and text search
+    commentCount: {
+        type: Number,
+        default: 0
     },
-    isFavorite: {
-        type: Boolean,
-        default: false
-    },
-    comments: [{
-        userId: String,
-        userEmail: String,
-        comment: String,
-        createdAt: {
-            type: Date,
-            default: Date.now
-        }
+    commentText: [{
+        type: String
     }],
     size: {
         type: Number,
@@ -58,9 +108,108 @@ const ImageSchema = new mongoose.Schema({
     uploadedBy: {
         type: String,
         required: true
+    },
+    // Extracted from the file on upload (see services/metadata.js)
+    capturedAt: {
+        type: Date,
+        default: null
+    },
+    camera: {
+        make: { type: String, default: '' },
+        model: { type: String, default: '' }
+    },
+    lens: {
+        type: String,
+        default: ''
+    },
+    exposure: {
+        exposureTime: { type: Number, default: null },
+        fNumber: { type: Number, default: null },
+        iso: { type: Number, default: null },
+        focalLength: { type: Number, default: null }
+    },
+    orientation: {
+        type: Number,
+        default: 1
+    },
+    width: {
+        type: Number,
+        default: null
+    },
+    height: {
+        type: Number,
+        default: null
+    },
+    gps: {
+        latitude: { type: Number, default: null },
+        longitude: { type: Number, default: null },
+        altitude: { type: Number, default: null }
+    },
+    metadataExtractedAt: {
+        type: Date,
+        default: null
+    },
+    // Set once the stored original is known to carry no embedded GPS
+    // (see stripLocation in services/metadata.js)
+    gpsCheckedAt: {
+        type: Date,
+        default: null
+    },
+    // Duplicate detection (see services/duplicates.js)
+    contentHash: {
+        type: String,
+        default: null
+    },
+    perceptualHash: {
+        type: String,
+        default: null
+    },
+    // Set when uploaded with duplicates=flag over an identical image
+    duplicateOf: {
+        type: String,
+        default: null
+    },
+    // Keyed by rendition name: thumb, medium, webp
+    renditions: {
+        type: Map,
+        of: RenditionSchema,
+        default: {}
+    },
+    // Place in the album's manual order (services/albums.js)
+    position: {
+        type: Number,
+        default: null
+    },
+    // Set when the item is moved to the trash
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        default: null
     }
 })
 
+ImageSchema.index({ albumId: 1, deletedAt: 1 })
+ImageSchema.index({ deletedAt: 1 })
+// Search (services/search.js)
+ImageSchema.index({ name: 'text', commentText: 'text' })
+ImageSchema.index({ albumId: 1, uploadedAt: -1 })
+ImageSchema.index({ albumId: 1, capturedAt: -1 })
+ImageSchema.index({ albumId: 1, position: 1 })
+ImageSchema.index({ tags: 1 })
+ImageSchema.index({ 'people.personId': 1 })
+ImageSchema.index({ 'people.name': 1 })
+ImageSchema.index({ uploadedBy: 1 })
+ImageSchema.index({ 'camera.make': 1, 'camera.model': 1 })
+// Serving local files by key (routes/files.js)
+ImageSchema.index({ storageKey: 1 })
+// Duplicate checks and clusters (services/duplicates.js)
+ImageSchema.index({ albumId: 1, contentHash: 1 })
+ImageSchema.index({ contentHash: 1 })
+;['thumb', 'medium', 'webp'].forEach(name => ImageSchema.index({ [`renditions.${name}.key`]: 1 }, { sparse: true }))
+
 
 const Image = mongoose.model("Image", ImageSchema)
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose')
+
+// An invitation to join an album. The invitee only becomes a member (and gets
+// access) when they accept it.
+const InvitationSchema = new mongoose.Schema({
+    invitationId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['viewer', 'contributor', 'editor'],
+        required: true
+    },
+    invitedBy: {
+        type: String,
+        required: true
+    },
+    invitedByEmail: {
+        type: String,
+        default: null
+    },
+    // Pending invitations past expiresAt are reported (and later stored) as expired
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+        default: 'pending'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    sentCount: {
+        type: Number,
+        default: 1
+    },
+    lastSentAt: {
+        type: Date,
+        default: Date.now
+    },
+    respondedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+InvitationSchema.index({ albumId: 1, email: 1, status: 1 })
+InvitationSchema.index({ email: 1, status: 1 })
+
+
+const Invitation = mongoose.model('Invitation', InvitationSchema)
+
+module.exports = Invitation
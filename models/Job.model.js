@@ -0,0 +1,76 @@
+const mongoose = require('mongoose')
+
+// A long-running task the user polls for, e.g. an account export or album import
+const JobSchema = new mongoose.Schema({
+    jobId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['account-export', 'album-import'],
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userEmail: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed'],
+        default: 'pending'
+    },
+    // Type-specific input
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 }
+    },
+    // Items that could not be processed, e.g. one entry per bad file in an import
+    failures: [{
+        item: String,
+        error: String
+    }],
+    // Type-specific outcome summary
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Path of the produced file, for jobs that produce one
+    filePath: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+})
+
+JobSchema.index({ userId: 1, createdAt: -1 })
+JobSchema.index({ status: 1 })
+
+
+const Job = mongoose.model('Job', JobSchema)
+
+module.exports = Job
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose')
+
+// A notification email for one recipient. Instant ones are sent right away;
+// digest ones wait until the next digest run collects them.
+const NotificationSchema = new mongoose.Schema({
+    notificationId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['shares', 'uploads', 'comments'],
+        required: true
+    },
+    delivery: {
+        type: String,
+        enum: ['instant', 'digest'],
+        required: true
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    activityId: {
+        type: String,
+        default: null
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    // Where the notification points (the album, or the invitations page)
+    url: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    // Set while one digest run is sending the notification (services/notifications.js)
+    claimId: {
+        type: String,
+        default: null
+    },
+    claimedAt: {
+        type: Date,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+})
+
+NotificationSchema.index({ delivery: 1, status: 1, email: 1 })
+NotificationSchema.index({ claimId: 1 }, { sparse: true })
+NotificationSchema.index({ albumId: 1 })
+
+
+const Notification = mongoose.model('Notification', NotificationSchema)
+
+module.exports = Notification
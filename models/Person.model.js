@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+// A named person in an album owner's registry. Images in the owner's albums
+// reference people by personId (Image.people).
+const PersonSchema = new mongoose.Schema({
+    personId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ownerId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Lower-cased name, unique per owner so spellings don't drift apart
+    nameKey: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+PersonSchema.index({ ownerId: 1, nameKey: 1 }, { unique: true })
+
+
+const Person = mongoose.model('Person', PersonSchema)
+
+module.exports = Person
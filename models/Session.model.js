@@ -0,0 +1,64 @@
+const mongoose = require('mongoose')
+
+const SessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hashes of the most recent refresh tokens rotated out, used to detect reuse
+    // (capped, see services/auth.js)
+    previousTokenHashes: [{
+        type: String
+    }],
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+})
+
+SessionSchema.index({ userId: 1 })
+// Let MongoDB drop sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+
+const Session = mongoose.model('Session', SessionSchema)
+
+module.exports = Session
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose')
+
+const ShareLinkSchema = new mongoose.Schema({
+    linkId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    imageId: {
+        type: String,
+        default: null,
+        ref: 'Image'
+    },
+    ownerId: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    passwordHash: {
+        type: String,
+        default: null
+    },
+    downloadDisabled: {
+        type: Boolean,
+        default: false
+    },
+    // Consecutive wrong passwords, reset on success or once a lockout is set
+    failedUnlocks: {
+        type: Number,
+        default: 0
+    },
+    unlockBlockedUntil: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+ShareLinkSchema.index({ albumId: 1 })
+
+
+const ShareLink = mongoose.model('ShareLink', ShareLinkSchema)
+
+module.exports = ShareLink
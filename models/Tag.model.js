@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+// A tag in an album owner's vocabulary. Images keep tag names in Image.tags;
+// the registry fixes the spelling and backs autocomplete, rename and merge.
+const TagSchema = new mongoose.Schema({
+    tagId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ownerId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Lower-cased name, unique per owner
+    nameKey: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+TagSchema.index({ ownerId: 1, nameKey: 1 }, { unique: true })
+
+
+const Tag = mongoose.model('Tag', TagSchema)
+
+module.exports = Tag
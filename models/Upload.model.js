@@ -0,0 +1,81 @@
+const mongoose = require('mongoose')
+
+// A resumable (tus) upload in progress. Received bytes are staged on disk
+// until the upload is complete and ingested as an Image.
+const UploadSchema = new mongoose.Schema({
+    uploadId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userEmail: {
+        type: String,
+        required: true
+    },
+    filename: {
+        type: String,
+        required: true
+    },
+    mimetype: {
+        type: String,
+        required: true
+    },
+    tags: [{
+        type: String
+    }],
+    person: {
+        type: String,
+        default: ''
+    },
+    // allow, flag or reject (see services/duplicates.js)
+    duplicates: {
+        type: String,
+        default: 'allow'
+    },
+    length: {
+        type: Number,
+        required: true
+    },
+    offset: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['uploading', 'completing', 'completed'],
+        default: 'uploading'
+    },
+    // Set while one request is turning the upload into an image
+    completingSince: {
+        type: Date,
+        default: null
+    },
+    imageId: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+})
+
+UploadSchema.index({ status: 1, expiresAt: 1 })
+
+
+const Upload = mongoose.model('Upload', UploadSchema)
+
+module.exports = Upload
@@ -1,10 +1,28 @@
 const mongoose = require('mongoose')
 
 const UserSchema = new mongoose.Schema({
-    email: {type: String, required: true},
-    createdAt: {type: Date, default: Date.now()}
+    email: {type: String, required: true, unique: true},
+    googleId: {type: String, required: true, unique: true},
+    name: {type: String, default: ''},
+    picture: {type: String, default: ''},
+    lastLoginAt: {type: Date, default: null},
+    // Per-user cap on a single upload, in bytes (null = server default)
+    maxUploadBytes: {type: Number, default: null},
+    // Storage quota in bytes (null = server default, 0 = unlimited)
+    storageQuotaBytes: {type: Number, default: null},
+    // Bytes of originals charged to the user, kept with atomic $inc as files
+    // are stored and purged (null = not counted yet, see services/quota.js)
+    usedBytes: {type: Number, default: null},
+    // How the user hears about each kind of notification: instantly, in the
+    // periodic digest, or not at all
+    notifications: {
+        shares: {type: String, enum: ['instant', 'digest', 'off'], default: 'instant'},
+        uploads: {type: String, enum: ['instant', 'digest', 'off'], default: 'digest'},
+        comments: {type: String, enum: ['instant', 'digest', 'off'], default: 'instant'}
+    },
+    createdAt: {type: Date, default: Date.now}
 })
 
 const KaviosUser = mongoose.model("KaviosUser", UserSchema)
 
-module.exports = KaviosUser
\ No newline at end of file
+module.exports = KaviosUser
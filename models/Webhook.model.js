@@ -0,0 +1,64 @@
+const mongoose = require('mongoose')
+
+// An outgoing webhook registered by an album owner. Matching activity in the
+// album is POSTed to `url`, signed with HMAC-SHA256 using `secret`.
+const WebhookSchema = new mongoose.Schema({
+    webhookId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    albumId: {
+        type: String,
+        required: true,
+        ref: 'Album'
+    },
+    ownerId: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    secret: {
+        type: String,
+        required: true
+    },
+    // Activity actions to deliver; empty means every action
+    events: [{
+        type: String
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastDeliveryAt: {
+        type: Date,
+        default: null
+    },
+    lastStatus: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // Consecutive failed deliveries; the hook is switched off after too many
+    failureCount: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+WebhookSchema.index({ albumId: 1, active: 1 })
+
+
+const Webhook = mongoose.model('Webhook', WebhookSchema)
+
+module.exports = Webhook
@@ -1,7 +1,47 @@
 const express = require('express')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multer = require('multer')
+const archiver = require('archiver')
 const { v4: uuidv4 } = require('uuid')
 const Album = require('../models/Album.model')
 const Image = require('../models/Image.model')
+const ShareLink = require('../models/ShareLink.model')
+const Activity = require('../models/Activity.model')
+const Webhook = require('../models/Webhook.model')
+const Invitation = require('../models/Invitation.model')
+const KaviosUser = require('../models/User.model')
+const { hashPassword } = require('../services')
+const { trashAlbum } = require('../services/trash')
+const { parsePageParams, paginate } = require('../services/pagination')
+const { appendAlbum } = require('../services/export')
+const { createJob, serializeJob } = require('../services/jobs')
+const { parseDuplicateMode } = require('../services/duplicates')
+const { recordActivity, parseActionFilter, parseSinceFilter, serializeActivity } = require('../services/activity')
+const {
+    SORT_MODES,
+    SORT_ORDERS,
+    ensurePositions,
+    reorderImages,
+    parseCoverImage,
+    albumSummaries
+} = require('../services/albums')
+const {
+    normalizeEmail,
+    statusQuery,
+    parseStatus,
+    inviteToAlbum,
+    resendInvitation,
+    revokeInvitation,
+    serializeInvitation
+} = require('../services/invitations')
+const { parseWebhookUrl, parseWebhookEvents, createWebhook, serializeWebhook, webhookActivityDetails } = require('../services/webhooks')
+require('../services/import') // registers the album-import job handler
+require('../services/notifications') // mails members and calls webhooks on new activity
+const { ROLES, getAlbumRole, accessibleAlbumsQuery, requireAlbumRole } = require('../services/access')
+const { HttpError } = require('../services/errors')
 const router = express.Router()
 
 
@@ -27,10 +67,11 @@ router.post('/', verifyJWT, async (req, res) => {
             description: description || '',
             ownerId: req.user.userId,
             ownerEmail: req.user.email,
-            sharedWith: []
+            members: []
         })
 
         await album.save()
+        await recordActivity(album.albumId, req.user, 'album.created', { details: { name: album.name } })
 
         res.status(201).json({
             message: 'Album created successfully',
@@ -39,7 +80,7 @@ router.post('/', verifyJWT, async (req, res) => {
                 name: album.name,
                 description: album.description,
                 ownerId: album.ownerId,
-                sharedWith: album.sharedWith
+                members: album.members
             }
         })
     } catch (error) {
@@ -48,115 +89,317 @@ router.post('/', verifyJWT, async (req, res) => {
     }
 })
 
+// ZIP archives for album import are kept on disk until the import job has
+// processed them
+const MAX_IMPORT_BYTES = Number(process.env.MAX_IMPORT_BYTES) || 2 * 1024 * 1024 * 1024
+
+const importUpload = multer({
+    storage: multer.diskStorage({ destination: os.tmpdir() }),
+    limits: { fileSize: MAX_IMPORT_BYTES },
+    fileFilter: (req, file, cb) => {
+        const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+            path.extname(file.originalname).toLowerCase() === '.zip'
+
+        if (isZip) {
+            return cb(null, true)
+        } else {
+            cb(new HttpError(415, 'Only ZIP archives are allowed'))
+        }
+    }
+})
+
+const startImport = async (album, user, file, params = {}) => {
+    return createJob('album-import', user, {
+        albumId: album.albumId,
+        zipPath: file.path,
+        originalName: file.originalname,
+        duplicates: 'allow',
+        ...params
+    })
+}
+
+// IMPORT ZIP INTO A NEW ALBUM
+// The album is named after the manifest (or the archive) unless a name is given
+router.post('/import', verifyJWT, importUpload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' })
+    }
+
+    let album = null
+
+    try {
+        const { name, description } = req.body
+
+        album = new Album({
+            albumId: uuidv4(),
+            name: name || path.basename(req.file.originalname, path.extname(req.file.originalname)) || 'Imported album',
+            description: description || '',
+            ownerId: req.user.userId,
+            ownerEmail: req.user.email,
+            members: []
+        })
+
+        await album.save()
+        await recordActivity(album.albumId, req.user, 'album.created', { details: { name: album.name } })
+
+        const job = await startImport(album, req.user, req.file, { nameFromManifest: !name, createdAlbum: true })
+
+        res.status(202).json({
+            message: 'Album import started',
+            album: {
+                albumId: album.albumId,
+                name: album.name,
+                description: album.description,
+                ownerId: album.ownerId,
+                members: album.members
+            },
+            job: serializeJob(job)
+        })
+    } catch (error) {
+        console.error('Error starting album import:', error)
+        await fs.promises.rm(req.file.path, { force: true })
+
+        // No job will fill the album made for this import
+        if (album) {
+            await Album.deleteOne({ albumId: album.albumId }).catch(() => {})
+        }
+        res.status(500).json({ error: 'Failed to start album import' })
+    }
+})
+
 // GET ALL ALBUMS (owned + shared)
+// Each album comes with its cover, image count and date span.
+// Paging: limit, cursor, sort=createdAt|name, order=asc|desc
 router.get('/', verifyJWT, async (req, res) => {
     try {
-        const userEmail = req.user.email
-        const userId = req.user.userId
+        const page = parsePageParams(req.query, { sortFields: ['createdAt', 'name'], defaultSort: 'createdAt' })
 
-        // Find albums where user is owner OR email is in sharedWith array
-        const albums = await Album.find({
-            $or: [
-                { ownerId: userId },
-                { sharedWith: userEmail }
-            ]
-        }).sort({ createdAt: -1 })
+        // Find albums where user is owner OR a member
+        const { items: albums, pageInfo } = await paginate(Album, accessibleAlbumsQuery(req.user), page)
+        const summaries = await albumSummaries(albums)
 
         res.json({
+            pageInfo,
             albums: albums.map(album => ({
                 albumId: album.albumId,
                 name: album.name,
                 description: album.description,
                 ownerId: album.ownerId,
                 ownerEmail: album.ownerEmail,
-                sharedWith: album.sharedWith,
+                members: album.members,
+                role: getAlbumRole(album, req.user),
+                sortMode: album.sortMode,
+                sortOrder: album.sortOrder,
+                ...summaries.get(album.albumId),
                 createdAt: album.createdAt
             }))
         })
     } catch (error) {
         console.error('Error fetching albums:', error)
-        res.status(500).json({ error: 'Failed to fetch albums' })
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch albums' })
     }
 })
 
-// GET SINGLE ALBUM
-router.get('/:albumId', verifyJWT, async (req, res) => {
+// Activity feeds: newest first unless ?order=asc
+const activityPageParams = (query) => parsePageParams(query, { sortFields: ['createdAt'], defaultSort: 'createdAt' })
+
+// WHAT'S NEW IN ALBUMS SHARED WITH ME
+// Activity by other people in albums the caller is a member of.
+// Filters: action (comma-separated actions or groups, e.g. "image,comment.added"),
+// albumId, since. Paging: limit, cursor, order=asc|desc
+router.get('/shared/activity', verifyJWT, async (req, res) => {
     try {
-        const { albumId } = req.params
-        const album = await Album.findOne({ albumId })
+        const page = activityPageParams(req.query)
+        const albumFilter = { deletedAt: null, 'members.email': normalizeEmail(req.user.email) }
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (req.query.albumId) {
+            albumFilter.albumId = req.query.albumId
         }
 
-        // Check if user has access
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
+        const albums = await Album.find(albumFilter, { albumId: 1, name: 1 })
+        const names = new Map(albums.map(album => [album.albumId, album.name]))
 
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
+        const filter = {
+            albumId: { $in: [...names.keys()] },
+            actorId: { $ne: req.user.userId },
+            ...parseActionFilter(req.query.action),
+            ...parseSinceFilter(req.query.since)
         }
 
-        res.json({ album })
+        const { items, pageInfo } = await paginate(Activity, filter, page)
+
+        res.json({
+            activity: items.map(activity => ({
+                ...serializeActivity(activity),
+                albumName: names.get(activity.albumId)
+            })),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching shared activity:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch activity' })
+    }
+})
+
+// GET SINGLE ALBUM
+router.get('/:albumId', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const summaries = await albumSummaries([req.album])
+
+        res.json({
+            album: { ...req.album.toObject(), ...summaries.get(req.album.albumId) },
+            role: req.albumRole
+        })
     } catch (error) {
         console.error('Error fetching album:', error)
         res.status(500).json({ error: 'Failed to fetch album' })
     }
 })
 
-// UPDATE ALBUM DESCRIPTION
-router.post('/:albumId', verifyJWT, async (req, res) => {
+// GET ALBUM ACTIVITY
+// Filters: action (comma-separated actions or groups), actorId, since.
+// Paging: limit, cursor, order=asc|desc
+router.get('/:albumId/activity', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
     try {
-        const { albumId } = req.params
-        const { description } = req.body
+        const page = activityPageParams(req.query)
 
-        const album = await Album.findOne({ albumId })
+        const filter = {
+            albumId: req.album.albumId,
+            ...parseActionFilter(req.query.action),
+            ...parseSinceFilter(req.query.since)
+        }
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (req.query.actorId) {
+            filter.actorId = req.query.actorId
         }
 
-        // Only owner can update
-        if (album.ownerId !== req.user.userId) {
-            return res.status(403).json({ error: 'Only the album owner can update it' })
+        const { items, pageInfo } = await paginate(Activity, filter, page)
+
+        res.json({ activity: items.map(serializeActivity), pageInfo })
+    } catch (error) {
+        console.error('Error fetching album activity:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch activity' })
+    }
+})
+
+// UPDATE ALBUM DESCRIPTION (and, for the owner, upload limit, location sharing,
+// cover image and sort order)
+// coverImageId: an image in the album, or null for automatic.
+// sortMode: uploadedAt|capturedAt|name|manual, sortOrder: asc|desc (ignored for manual).
+// Owner and editors can update
+router.post('/:albumId', verifyJWT, requireAlbumRole('editor'), async (req, res) => {
+    try {
+        const { description, maxUploadBytes, shareLocation, coverImageId, sortMode, sortOrder } = req.body
+        const album = req.album
+        const settings = [maxUploadBytes, shareLocation, coverImageId, sortMode, sortOrder]
+
+        if (settings.some(setting => setting !== undefined) && req.albumRole !== 'owner') {
+            return res.status(403).json({ error: 'Only the album owner can change album settings' })
+        }
+
+        if (sortMode !== undefined && !SORT_MODES.includes(sortMode)) {
+            return res.status(400).json({ error: `sortMode must be one of: ${SORT_MODES.join(', ')}` })
+        }
+
+        if (sortOrder !== undefined && !SORT_ORDERS.includes(sortOrder)) {
+            return res.status(400).json({ error: `sortOrder must be one of: ${SORT_ORDERS.join(', ')}` })
+        }
+
+        if (coverImageId !== undefined) {
+            album.coverImageId = await parseCoverImage(album, coverImageId)
+        }
+
+        if (maxUploadBytes !== undefined) {
+            if (maxUploadBytes !== null && (!Number.isInteger(maxUploadBytes) || maxUploadBytes <= 0)) {
+                return res.status(400).json({ error: 'maxUploadBytes must be a positive integer or null' })
+            }
+
+            album.maxUploadBytes = maxUploadBytes
+        }
+
+        if (shareLocation !== undefined) {
+            album.shareLocation = shareLocation === true
+        }
+
+        if (sortMode === 'manual' && album.sortMode !== 'manual') {
+            await ensurePositions(album.albumId)
+        }
+
+        if (sortMode !== undefined) {
+            album.sortMode = sortMode
+        }
+
+        if (sortOrder !== undefined) {
+            album.sortOrder = sortOrder
         }
 
         album.description = description || album.description
         await album.save()
 
+        const changed = Object.keys(req.body).filter(field => [
+            'description', 'maxUploadBytes', 'shareLocation', 'coverImageId', 'sortMode', 'sortOrder'
+        ].includes(field))
+        await recordActivity(album.albumId, req.user, 'album.updated', { details: { fields: changed } })
+
         res.json({
             message: 'Album updated successfully',
             album: {
                 albumId: album.albumId,
                 name: album.name,
-                description: album.description
+                description: album.description,
+                maxUploadBytes: album.maxUploadBytes,
+                shareLocation: album.shareLocation,
+                coverImageId: album.coverImageId,
+                sortMode: album.sortMode,
+                sortOrder: album.sortOrder
             }
         })
     } catch (error) {
         console.error('Error updating album:', error)
-        res.status(500).json({ error: 'Failed to update album' })
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update album' })
     }
 })
 
-// SHARE ALBUM (Add users by email)
-router.post('/:albumId/share', verifyJWT, async (req, res) => {
+// SET MANUAL ORDER (drag and drop)
+// { imageIds } in the new order; photos left out keep their relative order
+// after them. Saving an order switches the album to manual sorting.
+router.put('/:albumId/order', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
     try {
-        const { albumId } = req.params
-        const { emails } = req.body
+        const album = req.album
+        const positioned = await reorderImages(album, req.body.imageIds)
 
-        if (!emails || !Array.isArray(emails) || emails.length === 0) {
-            return res.status(400).json({ error: 'Valid email array is required' })
+        if (album.sortMode !== 'manual') {
+            album.sortMode = 'manual'
+            await album.save()
         }
 
-        const album = await Album.findOne({ albumId })
+        await recordActivity(album.albumId, req.user, 'album.reordered', { details: { imageCount: positioned } })
+
+        res.json({
+            message: 'Album order saved successfully',
+            sortMode: album.sortMode,
+            imageCount: positioned
+        })
+    } catch (error) {
+        console.error('Error saving album order:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to save album order' })
+    }
+})
+
+// SHARE ALBUM (Invite users by email with a role)
+// Only owner can share. Each address gets an invitation; access is granted
+// when the invitee accepts it.
+router.post('/:albumId/share', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const { emails, role = 'contributor' } = req.body
+        const album = req.album
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (!emails || !Array.isArray(emails) || emails.length === 0) {
+            return res.status(400).json({ error: 'Valid email array is required' })
         }
 
-        // Only owner can share
-        if (album.ownerId !== req.user.userId) {
-            return res.status(403).json({ error: 'Only the album owner can share it' })
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` })
         }
 
         // Validate emails (basic validation)
@@ -167,18 +410,19 @@ router.post('/:albumId/share', verifyJWT, async (req, res) => {
             return res.status(400).json({ error: 'No valid emails provided' })
         }
 
-        // Add emails to sharedWith array (avoid duplicates)
-        validEmails.forEach(email => {
-            if (!album.sharedWith.includes(email) && email !== album.ownerEmail) {
-                album.sharedWith.push(email)
-            }
-        })
+        const { invited, skipped } = await inviteToAlbum(album, req.user, validEmails, role)
 
-        await album.save()
+        if (invited.length > 0) {
+            await recordActivity(album.albumId, req.user, 'album.shared', {
+                details: { emails: invited.map(invitation => invitation.email), role }
+            })
+        }
 
         res.json({
-            message: 'Album shared successfully',
-            sharedWith: album.sharedWith
+            message: invited.length > 0 ? 'Invitations sent successfully' : 'No new invitations were sent',
+            invitations: invited.map(invitation => serializeInvitation(invitation)),
+            skipped,
+            members: album.members
         })
     } catch (error) {
         console.error('Error sharing album:', error)
@@ -186,29 +430,453 @@ router.post('/:albumId/share', verifyJWT, async (req, res) => {
     }
 })
 
-// DELETE ALBUM
-router.delete('/:albumId', verifyJWT, async (req, res) => {
+// LIST INVITATIONS
+// Filter: status=pending|accepted|declined|revoked|expired.
+// Paging: limit, cursor, order=asc|desc. `registered` tells whether the address
+// belongs to someone who has signed in before.
+router.get('/:albumId/invitations', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const page = parsePageParams(req.query, { sortFields: ['createdAt'], defaultSort: 'createdAt' })
+        const status = parseStatus(req.query.status, null)
+
+        const filter = { albumId: req.album.albumId, ...(status ? statusQuery(status) : {}) }
+        const { items, pageInfo } = await paginate(Invitation, filter, page)
+
+        const registered = await KaviosUser.find({ email: { $in: items.map(invitation => invitation.email) } }, { email: 1 })
+        const registeredEmails = new Set(registered.map(user => user.email))
+
+        res.json({
+            invitations: items.map(invitation => serializeInvitation(invitation, { registered: registeredEmails.has(invitation.email) })),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching invitations:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch invitations' })
+    }
+})
+
+// RESEND INVITATION (pending or expired; the expiry starts over)
+router.post('/:albumId/invitations/:invitationId/resend', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const invitation = await resendInvitation(req.album, req.params.invitationId)
+
+        await recordActivity(req.album.albumId, req.user, 'invite.resent', {
+            targetType: 'invitation',
+            targetId: invitation.invitationId,
+            details: { email: invitation.email, role: invitation.role }
+        })
+
+        res.json({
+            message: 'Invitation resent successfully',
+            invitation: serializeInvitation(invitation)
+        })
+    } catch (error) {
+        console.error('Error resending invitation:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to resend invitation' })
+    }
+})
+
+// REVOKE INVITATION (pending only)
+router.delete('/:albumId/invitations/:invitationId', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const invitation = await revokeInvitation(req.album, req.params.invitationId)
+
+        await recordActivity(req.album.albumId, req.user, 'invite.revoked', {
+            targetType: 'invitation',
+            targetId: invitation.invitationId,
+            details: { email: invitation.email }
+        })
+
+        res.json({
+            message: 'Invitation revoked successfully',
+            invitation: serializeInvitation(invitation)
+        })
+    } catch (error) {
+        console.error('Error revoking invitation:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to revoke invitation' })
+    }
+})
+
+// CHANGE MEMBER ROLE
+router.put('/:albumId/members/:email', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const { email } = req.params
+        const { role } = req.body
+        const album = req.album
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` })
+        }
+
+        const member = album.members.find(m => m.email === email)
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' })
+        }
+
+        const previousRole = member.role
+        member.role = role
+        await album.save()
+
+        await recordActivity(album.albumId, req.user, 'member.role_changed', {
+            targetType: 'member',
+            targetId: email,
+            details: { role, previousRole }
+        })
+
+        res.json({
+            message: 'Member role updated successfully',
+            members: album.members
+        })
+    } catch (error) {
+        console.error('Error updating member role:', error)
+        res.status(500).json({ error: 'Failed to update member role' })
+    }
+})
+
+// REMOVE MEMBER
+router.delete('/:albumId/members/:email', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const { email } = req.params
+        const album = req.album
+
+        const member = album.members.find(m => m.email === email)
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' })
+        }
+
+        album.members.pull(member._id)
+        await album.save()
+        await recordActivity(album.albumId, req.user, 'member.removed', { targetType: 'member', targetId: email })
+
+        res.json({
+            message: 'Member removed successfully',
+            members: album.members
+        })
+    } catch (error) {
+        console.error('Error removing member:', error)
+        res.status(500).json({ error: 'Failed to remove member' })
+    }
+})
+
+// LEAVE ALBUM (members only, the owner cannot leave their own album)
+router.post('/:albumId/leave', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const album = req.album
+
+        if (req.albumRole === 'owner') {
+            return res.status(400).json({ error: 'The album owner cannot leave the album' })
+        }
+
+        const member = album.members.find(m => normalizeEmail(m.email) === normalizeEmail(req.user.email))
+        album.members.pull(member._id)
+        await album.save()
+        await recordActivity(album.albumId, req.user, 'member.left', { targetType: 'member', targetId: req.user.email })
+
+        res.json({ message: 'You have left the album' })
+    } catch (error) {
+        console.error('Error leaving album:', error)
+        res.status(500).json({ error: 'Failed to leave album' })
+    }
+})
+
+const MIN_LINK_PASSWORD_LENGTH = 8
+
+// Shape a share link for its owner (never exposes the password hash)
+const serializeShareLink = (link) => ({
+    linkId: link.linkId,
+    token: link.token,
+    url: `${process.env.FRONTEND_URL}/shared/${link.token}`,
+    imageId: link.imageId,
+    expiresAt: link.expiresAt,
+    passwordProtected: !!link.passwordHash,
+    downloadDisabled: link.downloadDisabled,
+    revokedAt: link.revokedAt,
+    createdAt: link.createdAt
+})
+
+// CREATE PUBLIC SHARE LINK (album, or a single image with imageId)
+router.post('/:albumId/links', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
     try {
         const { albumId } = req.params
+        const { imageId, expiresAt, password, downloadDisabled } = req.body
+
+        if (imageId) {
+            const image = await Image.findOne({ imageId, albumId, deletedAt: null })
+
+            if (!image) {
+                return res.status(404).json({ error: 'Image not found' })
+            }
+        }
+
+        let expiry = null
+        if (expiresAt) {
+            expiry = new Date(expiresAt)
+
+            if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({ error: 'expiresAt must be a valid future date' })
+            }
+        }
+
+        if (password !== undefined && (typeof password !== 'string' || password.length < MIN_LINK_PASSWORD_LENGTH)) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_LINK_PASSWORD_LENGTH} characters` })
+        }
+
+        const link = new ShareLink({
+            linkId: uuidv4(),
+            token: crypto.randomBytes(24).toString('base64url'),
+            albumId,
+            imageId: imageId || null,
+            ownerId: req.user.userId,
+            expiresAt: expiry,
+            passwordHash: password ? hashPassword(password) : null,
+            downloadDisabled: downloadDisabled === true
+        })
+
+        await link.save()
+        await recordActivity(albumId, req.user, 'link.created', {
+            targetType: 'link',
+            targetId: link.linkId,
+            details: { imageId: link.imageId, expiresAt: link.expiresAt }
+        })
+
+        res.status(201).json({
+            message: 'Share link created successfully',
+            link: serializeShareLink(link)
+        })
+    } catch (error) {
+        console.error('Error creating share link:', error)
+        res.status(500).json({ error: 'Failed to create share link' })
+    }
+})
+
+// LIST SHARE LINKS
+router.get('/:albumId/links', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const { albumId } = req.params
+
+        const links = await ShareLink.find({ albumId }).sort({ createdAt: -1 })
+
+        res.json({ links: links.map(serializeShareLink) })
+    } catch (error) {
+        console.error('Error fetching share links:', error)
+        res.status(500).json({ error: 'Failed to fetch share links' })
+    }
+})
+
+// REVOKE SHARE LINK
+router.delete('/:albumId/links/:linkId', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const { albumId, linkId } = req.params
+
+        const link = await ShareLink.findOne({ albumId, linkId })
+
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' })
+        }
+
+        if (!link.revokedAt) {
+            link.revokedAt = new Date()
+            await link.save()
+            await recordActivity(albumId, req.user, 'link.revoked', { targetType: 'link', targetId: link.linkId })
+        }
+
+        res.json({ message: 'Share link revoked successfully' })
+    } catch (error) {
+        console.error('Error revoking share link:', error)
+        res.status(500).json({ error: 'Failed to revoke share link' })
+    }
+})
+
+// REGISTER WEBHOOK
+// { url, events? }: events is a list of activity actions or groups (e.g.
+// ["image", "comment.added"]); omit it for everything. The signing secret is
+// only returned here.
+router.post('/:albumId/webhooks', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const webhook = await createWebhook(req.album, req.user, req.body)
+        await recordActivity(req.album.albumId, req.user, 'webhook.created', {
+            targetType: 'webhook',
+            targetId: webhook.webhookId,
+            details: webhookActivityDetails(webhook)
+        })
+
+        res.status(201).json({
+            message: 'Webhook registered successfully',
+            webhook: serializeWebhook(webhook, { includeSecret: true })
+        })
+    } catch (error) {
+        console.error('Error registering webhook:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to register webhook' })
+    }
+})
+
+// LIST WEBHOOKS
+router.get('/:albumId/webhooks', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ albumId: req.album.albumId }).sort({ createdAt: -1 })
 
-        const album = await Album.findOne({ albumId })
+        res.json({ webhooks: webhooks.map(webhook => serializeWebhook(webhook)) })
+    } catch (error) {
+        console.error('Error fetching webhooks:', error)
+        res.status(500).json({ error: 'Failed to fetch webhooks' })
+    }
+})
+
+// UPDATE WEBHOOK
+// Any of { url, events, active }; re-activating resets the failure count
+router.patch('/:albumId/webhooks/:webhookId', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const { url, events, active } = req.body
+        const webhook = await Webhook.findOne({ albumId: req.album.albumId, webhookId: req.params.webhookId })
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' })
         }
 
-        // Only owner can delete
-        if (album.ownerId !== req.user.userId) {
-            return res.status(403).json({ error: 'Only the album owner can delete it' })
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'active must be true or false' })
         }
 
-        // Delete all images in the album
-        await Image.deleteMany({ albumId })
+        if (url !== undefined) {
+            webhook.url = await parseWebhookUrl(url)
+        }
+
+        if (events !== undefined) {
+            webhook.events = parseWebhookEvents(events)
+        }
 
-        // Delete the album
-        await Album.deleteOne({ albumId })
+        if (active !== undefined) {
+            webhook.active = active
+            if (active) {
+                webhook.failureCount = 0
+            }
+        }
+
+        await webhook.save()
+        await recordActivity(req.album.albumId, req.user, 'webhook.updated', {
+            targetType: 'webhook',
+            targetId: webhook.webhookId,
+            details: webhookActivityDetails(webhook)
+        })
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook: serializeWebhook(webhook)
+        })
+    } catch (error) {
+        console.error('Error updating webhook:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update webhook' })
+    }
+})
+
+// DELETE WEBHOOK
+router.delete('/:albumId/webhooks/:webhookId', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        const webhook = await Webhook.findOneAndDelete({ albumId: req.album.albumId, webhookId: req.params.webhookId })
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' })
+        }
+
+        await recordActivity(req.album.albumId, req.user, 'webhook.deleted', {
+            targetType: 'webhook',
+            targetId: webhook.webhookId,
+            details: webhookActivityDetails(webhook)
+        })
+
+        res.json({ message: 'Webhook deleted successfully' })
+    } catch (error) {
+        console.error('Error deleting webhook:', error)
+        res.status(500).json({ error: 'Failed to delete webhook' })
+    }
+})
+
+// EXPORT ALBUM AS ZIP
+// Streams the album's originals plus manifest.json. Select images with
+// ?imageIds=a,b (GET) or { imageIds: [...] } (POST, for long selections).
+const exportAlbum = async (req, res) => {
+    const album = req.album
+    const requested = req.body?.imageIds || (req.query.imageIds ? String(req.query.imageIds).split(',') : null)
+
+    if (requested && (!Array.isArray(requested) || requested.length === 0)) {
+        return res.status(400).json({ error: 'imageIds must be a non-empty list' })
+    }
+
+    const query = { albumId: album.albumId, deletedAt: null }
+    if (requested) {
+        query.imageId = { $in: requested }
+    }
+
+    try {
+        const images = await Image.find(query).sort({ uploadedAt: 1 })
+
+        if (images.length === 0) {
+            return res.status(404).json({ error: 'No images to export' })
+        }
+
+        const archive = archiver('zip', { zlib: { level: 0 } }) // photos are already compressed
+        archive.on('error', (error) => {
+            console.error('Error writing album archive:', error)
+            res.destroy(error)
+        })
+
+        res.attachment(`${album.name}.zip`)
+        archive.pipe(res)
+
+        await appendAlbum(archive, album, images, req.user)
+        await archive.finalize()
+    } catch (error) {
+        console.error('Error exporting album:', error)
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export album' })
+        } else {
+            res.destroy(error)
+        }
+    }
+}
+
+router.get('/:albumId/export', verifyJWT, requireAlbumRole('viewer'), exportAlbum)
+router.post('/:albumId/export', verifyJWT, requireAlbumRole('viewer'), exportAlbum)
+
+// IMPORT ZIP INTO AN EXISTING ALBUM
+// duplicates=allow|flag|reject as for uploads; rejected files are listed as failures
+router.post('/:albumId/import', verifyJWT, requireAlbumRole('contributor'), importUpload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' })
+    }
+
+    try {
+        const job = await startImport(req.album, req.user, req.file, {
+            duplicates: parseDuplicateMode(req.body.duplicates)
+        })
+
+        res.status(202).json({
+            message: 'Album import started',
+            job: serializeJob(job)
+        })
+    } catch (error) {
+        console.error('Error starting album import:', error)
+        await fs.promises.rm(req.file.path, { force: true })
+
+        // No job will fill the album made for this import
+        if (album) {
+            await Album.deleteOne({ albumId: album.albumId }).catch(() => {})
+        }
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to start album import' })
+    }
+})
+
+// DELETE ALBUM (moves it and its images to the trash)
+// Only owner can delete
+router.delete('/:albumId', verifyJWT, requireAlbumRole('owner'), async (req, res) => {
+    try {
+        // Images stay with the album so restoring it brings them back
+        await trashAlbum(req.album, req.user)
+        await recordActivity(req.album.albumId, req.user, 'album.trashed')
 
-        res.json({ message: 'Album and all associated images deleted successfully' })
+        res.json({ message: 'Album moved to trash' })
     } catch (error) {
         console.error('Error deleting album:', error)
         res.status(500).json({ error: 'Failed to delete album' })
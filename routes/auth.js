@@ -0,0 +1,195 @@
+const express = require('express')
+const axios = require('axios')
+const KaviosUser = require('../models/User.model')
+const Session = require('../models/Session.model')
+const { setSecureCookie, setRefreshCookie, clearAuthCookies } = require('../services')
+const {
+    describeDevice,
+    startSession,
+    rotateRefreshToken,
+    revokeSession,
+    endSession,
+    revokeAllSessions,
+    verifyJWT
+} = require('../services/auth')
+const router = express.Router()
+
+// Initiate Google OAuth
+router.get('/google', (req, res) => {
+    const googleAuthUrl = `https://accounts.google.com/o/oauth2/auth?client_id=${process.env.GOOGLE_CLIENT_ID}&redirect_uri=${process.env.BACKEND_URL}/auth/google/callback&response_type=code&scope=profile email`
+
+    res.redirect(googleAuthUrl)
+    console.log(googleAuthUrl)
+})
+
+// Google OAuth Callback
+router.get('/google/callback', async (req, res) => {
+
+    console.log("Callback hit at: ", new Date().toISOString())
+
+    const { code } = req.query
+    if(!code){
+        return res.status(400).send("Authorization code not provided.")
+    }
+
+    try {
+        // Exchange code for access token
+        const params = new URLSearchParams({
+            client_id: process.env.GOOGLE_CLIENT_ID,
+            client_secret: process.env.GOOGLE_CLIENT_SECRET,
+            code: req.query.code,
+            grant_type: "authorization_code",
+            redirect_uri: `${process.env.BACKEND_URL}/auth/google/callback`
+        })
+
+        const tokenResponse = await axios.post('https://oauth2.googleapis.com/token', params.toString(), {
+            headers: { "Content-Type": "application/x-www-form-urlencoded" }
+        })
+
+        const accessToken = tokenResponse.data.access_token
+
+        // Fetch user info from Google
+        const userResponse = await axios.get('https://www.googleapis.com/oauth2/v2/userinfo', {
+            headers: { Authorization: `Bearer ${accessToken}` }
+        })
+
+        const { email, id: userId, name, picture } = userResponse.data
+
+        console.log('✅ User authenticated:', { email, userId, name })
+
+        // Create or refresh the stored user record
+        await KaviosUser.findOneAndUpdate(
+            { googleId: userId },
+            { $set: { email, name, picture, lastLoginAt: new Date() } },
+            { upsert: true, setDefaultsOnInsert: true }
+        )
+
+        // Start a server-side session with a short-lived access token and a rotating refresh token
+        const session = await startSession({ email, userId, name, picture }, req)
+
+        setSecureCookie(res, session.accessToken)
+        setRefreshCookie(res, session.refreshToken)
+
+        // Redirect to frontend
+        return res.redirect(`${process.env.FRONTEND_URL}/profile`)
+        
+    } catch (error) {
+        console.log(error.response?.data || error.message)
+        res.status(400).send("OAuth exchange failed.")
+    }
+})
+
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const refreshToken = req.cookies.refresh_token
+
+        if (!refreshToken) {
+            return res.status(401).json({ error: 'No refresh token provided' })
+        }
+
+        const result = await rotateRefreshToken(refreshToken, req)
+
+        if (result.error) {
+            clearAuthCookies(res)
+            return res.status(401).json({ error: result.error })
+        }
+
+        setSecureCookie(res, result.accessToken)
+        setRefreshCookie(res, result.refreshToken)
+
+        res.json({ message: 'Token refreshed successfully' })
+    } catch (error) {
+        console.error('Error refreshing token:', error)
+        res.status(500).json({ error: 'Failed to refresh token' })
+    }
+})
+
+// Logout endpoint (revokes the current session)
+router.post('/logout', async (req, res) => {
+    try {
+        const refreshToken = req.cookies.refresh_token
+
+        if (refreshToken) {
+            await endSession(refreshToken)
+        }
+
+        clearAuthCookies(res)
+        res.json({ message: 'Logged out successfully' })
+    } catch (error) {
+        console.error('Error logging out:', error)
+        res.status(500).json({ error: 'Failed to log out' })
+    }
+})
+
+// Verify token endpoint
+router.get('/verify', verifyJWT, (req, res) => {
+    res.json({ valid: true, user: req.user })
+})
+
+// LIST ACTIVE SESSIONS
+router.get('/sessions', verifyJWT, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 })
+
+        res.json({
+            sessions: sessions.map(session => ({
+                sessionId: session.sessionId,
+                device: describeDevice(session.userAgent),
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session.sessionId === req.user.sid
+            }))
+        })
+    } catch (error) {
+        console.error('Error fetching sessions:', error)
+        res.status(500).json({ error: 'Failed to fetch sessions' })
+    }
+})
+
+// REVOKE ALL SESSIONS (pass ?keepCurrent=true to stay logged in here)
+router.delete('/sessions', verifyJWT, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true'
+        const revoked = await revokeAllSessions(req.user.userId, 'logout_all', keepCurrent ? req.user.sid : null)
+
+        if (!keepCurrent) {
+            clearAuthCookies(res)
+        }
+
+        res.json({ message: 'Sessions revoked successfully', revoked })
+    } catch (error) {
+        console.error('Error revoking sessions:', error)
+        res.status(500).json({ error: 'Failed to revoke sessions' })
+    }
+})
+
+// REVOKE ONE SESSION
+router.delete('/sessions/:sessionId', verifyJWT, async (req, res) => {
+    try {
+        const { sessionId } = req.params
+        const revoked = await revokeSession(req.user.userId, sessionId, 'revoked')
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' })
+        }
+
+        if (sessionId === req.user.sid) {
+            clearAuthCookies(res)
+        }
+
+        res.json({ message: 'Session revoked successfully' })
+    } catch (error) {
+        console.error('Error revoking session:', error)
+        res.status(500).json({ error: 'Failed to revoke session' })
+    }
+})
+
+module.exports = router
@@ -0,0 +1,56 @@
+const express = require('express')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const localStorage = require('../services/storage/local')
+const { getAlbumRole } = require('../services/access')
+const { RENDITION_NAMES } = require('../services/renditions')
+const router = express.Router()
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// SERVE LOCALLY STORED FILE
+router.get('/*key', verifyJWT, async (req, res) => {
+    try {
+        const key = req.params.key.join('/')
+
+        // The key may be an original or one of its renditions. Files of
+        // trashed images and albums are not served.
+        const image = await Image.findOne({
+            deletedAt: null,
+            $or: [
+                { storageProvider: 'local', storageKey: key },
+                ...RENDITION_NAMES.map(name => ({ [`renditions.${name}.key`]: key }))
+            ]
+        })
+
+        if (!image) {
+            return res.status(404).json({ error: 'File not found' })
+        }
+
+        const album = await Album.findOne({ albumId: image.albumId, deletedAt: null })
+
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' })
+        }
+
+        if (!getAlbumRole(album, req.user)) {
+            return res.status(403).json({ error: 'You do not have access to this file' })
+        }
+
+        res.sendFile(localStorage.resolvePath(key), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'File not found' })
+            }
+        })
+    } catch (error) {
+        console.error('Error serving file:', error)
+        res.status(500).json({ error: 'Failed to serve file' })
+    }
+})
+
+module.exports = router
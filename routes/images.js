@@ -1,38 +1,242 @@
 const express = require('express')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const multer = require('multer')
-const { v4: uuidv4 } = require('uuid')
-const cloudinary = require('cloudinary').v2
 const Album = require('../models/Album.model')
 const Image = require('../models/Image.model')
+const Comment = require('../models/Comment.model')
+const { canSeeLocation, serializeMetadata, serializeRenditions, serializeImage, LISTING_PROJECTION } = require('../services/images')
+const { MAX_UPLOAD_BYTES, isAllowedImage, ingestImage } = require('../services/ingest')
+const { formatBytes, mapWithConcurrency } = require('../services')
+const { trashImage } = require('../services/trash')
+const { getAlbumRole, hasAlbumRole, accessibleAlbumsQuery, requireAlbumRole } = require('../services/access')
+const { SORT_FIELDS, buildImageSearch } = require('../services/search')
+const { parsePageParams, paginate } = require('../services/pagination')
+const { HttpError } = require('../services/errors')
+const {
+    createComment,
+    editComment,
+    deleteComment,
+    addReaction,
+    removeReaction,
+    serializeComment,
+    countReplies
+} = require('../services/comments')
+const { parseTags, resolveTags, editImageTags } = require('../services/tags')
+const { parseRegion, resolvePerson, resolvePeopleTags, tagPerson, untagPerson, serializeImagePeople } = require('../services/people')
+const { moveImage, copyImage } = require('../services/transfer')
+const { recordActivity } = require('../services/activity')
+const { albumSort } = require('../services/albums')
+const { setFavorite, isFavoriteOf, favoriteSet, favoriteImageIds } = require('../services/favorites')
+const {
+    DEFAULT_DUPLICATE_THRESHOLD,
+    MAX_DUPLICATE_THRESHOLD,
+    MAX_DUPLICATE_SCAN_IMAGES,
+    parseDuplicateMode,
+    findDuplicateClusters
+} = require('../services/duplicates')
 const router = express.Router()
 
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-})
-
-// Configure multer for memory storage (it will upload directly to Cloudinary)
-const storage = multer.memoryStorage()
+// Uploads are staged on disk and streamed to the storage backend from there
+const storage = multer.diskStorage({ destination: os.tmpdir() })
 
 // File filter to allow only images
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/
-    const mimetype = allowedTypes.test(file.mimetype)
-
-    if (mimetype) {
+    if (isAllowedImage(file.mimetype)) {
         return cb(null, true)
     } else {
-        cb(new Error('Only image files (jpg, jpeg, png, gif, webp) are allowed'))
+        cb(new HttpError(415, 'Only image files (jpg, jpeg, png, gif, webp) are allowed'))
     }
 }
 
 const upload = multer({
     storage,
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    limits: { fileSize: MAX_UPLOAD_BYTES },
     fileFilter
 })
 
+// Batch uploads are validated file by file, so one bad file is reported in
+// the results instead of rejecting the whole request
+const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES) || 100
+const BATCH_UPLOAD_CONCURRENCY = Number(process.env.BATCH_UPLOAD_CONCURRENCY) || 4
+const MAX_BULK_IMAGES = 500
+const MAX_TRANSFER_IMAGES = 100
+const MAX_IMAGE_NAME_LENGTH = 255
+const EDITABLE_FIELDS = ['name', 'tags', 'people', 'capturedAt']
+
+// Stages batch files on disk like `storage`, but stops writing a file once it
+// passes MAX_UPLOAD_BYTES. The rest of that file is drained and dropped and the
+// file is marked tooLarge, so it fails on its own instead of aborting the batch
+// (multer's fileSize limit would end the whole request).
+const cappedBatchStorage = {
+    _handleFile (req, file, cb) {
+        const filePath = path.join(os.tmpdir(), crypto.randomBytes(16).toString('hex'))
+        const out = fs.createWriteStream(filePath)
+        const written = new Promise((resolve, reject) => {
+            out.on('finish', resolve)
+            out.on('error', reject)
+        })
+        let size = 0
+        let tooLarge = false
+        let settled = false
+
+        // A client that aborts mid-file, or a failed write, must still end
+        // the request, and leaves no partial file behind. Busboy doesn't
+        // notice a dropped connection, so watch the request as well.
+        const fail = (error) => {
+            if (settled) {
+                return
+            }
+            settled = true
+            req.off('close', onClose)
+            out.destroy()
+            file.stream.resume()
+            fs.rm(filePath, { force: true }, () => cb(error))
+        }
+
+        const onClose = () => {
+            if (!req.complete) {
+                fail(new Error('Upload aborted by the client'))
+            }
+        }
+
+        written.catch(fail)
+        file.stream.on('error', fail)
+        req.on('close', onClose)
+
+        file.stream.on('data', (chunk) => {
+            size += chunk.length
+
+            if (tooLarge || settled) {
+                return
+            }
+
+            if (size > MAX_UPLOAD_BYTES) {
+                tooLarge = true
+                out.end()
+                file.stream.resume()
+                return
+            }
+
+            if (!out.write(chunk)) {
+                file.stream.pause()
+                out.once('drain', () => file.stream.resume())
+            }
+        })
+
+        file.stream.on('end', () => {
+            if (!tooLarge) {
+                out.end()
+            }
+
+            written
+                .then(() => tooLarge && fs.promises.rm(filePath, { force: true }))
+                .then(() => {
+                    if (!settled) {
+                        settled = true
+                        req.off('close', onClose)
+                        cb(null, { path: filePath, size, tooLarge })
+                    }
+                }, fail)
+        })
+    },
+
+    _removeFile (req, file, cb) {
+        fs.rm(file.path, { force: true }, cb)
+    }
+}
+
+const batchUpload = multer({
+    storage: cappedBatchStorage,
+    limits: { files: MAX_BATCH_FILES }
+})
+
+// People to tag on upload: a JSON list of names or { name, region } objects,
+// or a single `person` name
+const parsePeople = (people, person) => {
+    if (people === undefined || people === '') {
+        return person ? [person] : []
+    }
+
+    let parsed
+    try {
+        parsed = typeof people === 'string' ? JSON.parse(people) : people
+    } catch {
+        throw new HttpError(400, 'people must be a JSON array')
+    }
+
+    if (!Array.isArray(parsed)) {
+        throw new HttpError(400, 'people must be a JSON array')
+    }
+
+    return parsed
+}
+
+// A tag edit from a request body: { tags } to replace, or { add, remove }
+const parseTagEdit = (body) => {
+    if (body.tags !== undefined) {
+        return { tags: parseTags(body.tags) }
+    }
+
+    const edit = { add: parseTags(body.add), remove: parseTags(body.remove) }
+    if (edit.add.length === 0 && edit.remove.length === 0) {
+        throw new HttpError(400, 'Provide tags, or add / remove')
+    }
+
+    return edit
+}
+
+// Validate a metadata edit from a request body. Only EDITABLE_FIELDS may be
+// sent; tags and people are resolved against the registries later.
+const parseImageEdit = (body) => {
+    const unknown = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field))
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Cannot edit ${unknown.join(', ')}; editable fields are ${EDITABLE_FIELDS.join(', ')}`)
+    }
+
+    if (Object.keys(body).length === 0) {
+        throw new HttpError(400, `Provide at least one of ${EDITABLE_FIELDS.join(', ')}`)
+    }
+
+    const edit = {}
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            throw new HttpError(400, 'name must be a non-empty string')
+        }
+        if (body.name.trim().length > MAX_IMAGE_NAME_LENGTH) {
+            throw new HttpError(400, `name cannot be longer than ${MAX_IMAGE_NAME_LENGTH} characters`)
+        }
+        edit.name = body.name.trim()
+    }
+
+    if (body.tags !== undefined) {
+        if (!Array.isArray(body.tags)) {
+            throw new HttpError(400, 'tags must be an array of strings')
+        }
+        edit.tags = parseTags(body.tags)
+    }
+
+    if (body.people !== undefined) {
+        if (!Array.isArray(body.people)) {
+            throw new HttpError(400, 'people must be an array of names or { name, region } objects')
+        }
+        edit.people = body.people
+    }
+
+    if (body.capturedAt !== undefined) {
+        const capturedAt = body.capturedAt === null ? null : new Date(body.capturedAt)
+        if (capturedAt && (typeof body.capturedAt !== 'string' || isNaN(capturedAt.getTime()))) {
+            throw new HttpError(400, 'capturedAt must be an ISO date or null')
+        }
+        edit.capturedAt = capturedAt
+    }
+
+    return edit
+}
+
 // Middleware to verify JWT
 const verifyJWT = (req, res, next) => {
     if (!req.user) {
@@ -41,124 +245,425 @@ const verifyJWT = (req, res, next) => {
     next()
 }
 
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (fileBuffer, folder) => {
-    return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                folder: folder,
-                resource_type: 'image'
-            },
-            (error, result) => {
-                if(error) {
-                    reject(error)
-                } else {
-                    resolve(result)
-                }
+// Record an activity entry about an image
+const recordImageActivity = (albumId, user, action, imageId, details) =>
+    recordActivity(albumId, user, action, { targetType: 'image', targetId: imageId, details })
+
+// Record an activity entry about a comment on an image
+const recordCommentActivity = (albumId, user, action, comment, details = {}) =>
+    recordActivity(albumId, user, action, { targetType: 'comment', targetId: comment.commentId, details: { imageId: comment.imageId, ...details } })
+
+// Serialize an image from a listing that spans albums, as seen by `user`
+const serializeWithAlbum = (img, album, user, favorites) => {
+    const role = getAlbumRole(album, user)
+
+    return {
+        ...serializeImage(img, {
+            showLocation: canSeeLocation(album, role),
+            favorites,
+            showFavoriteCount: role === 'owner'
+        }),
+        albumId: album.albumId,
+        albumName: album.name
+    }
+}
+
+// SEARCH IMAGES ACROSS ALL ACCESSIBLE ALBUMS
+// Filters: q (name and comment text), tags (all of), anyTags (any of), person
+// (name), personId, favorite, uploadedBy, minSize / maxSize, uploadedFrom /
+// uploadedTo, takenFrom / takenTo, cameraMake, cameraModel, lens, hasLocation,
+// albumId.
+// Sorting: sort=uploadedAt|capturedAt|size|name|relevance, order=asc|desc.
+// Paging: limit, cursor (from pageInfo.nextCursor).
+router.get('/search', verifyJWT, async (req, res) => {
+    try {
+        const page = parsePageParams(req.query, {
+            sortFields: SORT_FIELDS,
+            defaultSort: 'uploadedAt',
+            allowRelevance: !!req.query.q
+        })
+        const favoriteIds = req.query.favorite !== undefined ? await favoriteImageIds(req.user) : []
+        const filter = buildImageSearch(req.query, { favoriteIds })
+
+        const albums = await Album.find(accessibleAlbumsQuery(req.user))
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+
+        let searchable = albums
+        if (req.query.albumId) {
+            searchable = searchable.filter(album => album.albumId === req.query.albumId)
+        }
+
+        // Don't let location filters reveal GPS data the caller cannot see
+        if (req.query.hasLocation !== undefined) {
+            searchable = searchable.filter(album => canSeeLocation(album, getAlbumRole(album, req.user)))
+        }
+
+        filter.albumId = { $in: searchable.map(album => album.albumId) }
+        filter.deletedAt = null
+
+        const { items, pageInfo } = await paginate(Image, filter, page, LISTING_PROJECTION)
+        const favorites = await favoriteSet(req.user, items)
+
+        res.json({
+            images: items.map(img => serializeWithAlbum(img, albumsById.get(img.albumId), req.user, favorites)),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error searching images:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to search images' })
+    }
+})
+
+// GET MY FAVORITES (across all accessible albums)
+// Paging: limit, cursor, sort=uploadedAt|capturedAt|size|name, order=asc|desc
+router.get('/favorites', verifyJWT, async (req, res) => {
+    try {
+        const page = parsePageParams(req.query, { sortFields: SORT_FIELDS, defaultSort: 'uploadedAt' })
+
+        const albums = await Album.find(accessibleAlbumsQuery(req.user))
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+        const imageIds = await favoriteImageIds(req.user, [...albumsById.keys()])
+
+        const { items, pageInfo } = await paginate(Image, { imageId: { $in: imageIds }, deletedAt: null }, page, LISTING_PROJECTION)
+        const favorites = new Set(imageIds)
+
+        res.json({
+            images: items.map(img => serializeWithAlbum(img, albumsById.get(img.albumId), req.user, favorites)),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching favorite images:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch favorite images' })
+    }
+})
+
+// FIND DUPLICATE CLUSTERS
+// Exact and near-duplicate groups within ?albumId= (any role) or, without it,
+// across every album the caller owns. threshold: max differing bits of the
+// perceptual hash (0-20). Scopes over MAX_DUPLICATE_SCAN_IMAGES images are
+// refused with a 400.
+router.get('/duplicates', verifyJWT, async (req, res) => {
+    try {
+        const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_DUPLICATE_THRESHOLD
+
+        if (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_DUPLICATE_THRESHOLD) {
+            return res.status(400).json({ error: `threshold must be an integer from 0 to ${MAX_DUPLICATE_THRESHOLD}` })
+        }
+
+        let albums
+        if (req.query.albumId) {
+            const album = await Album.findOne({ albumId: req.query.albumId, deletedAt: null })
+
+            if (!album) {
+                return res.status(404).json({ error: 'Album not found' })
             }
+
+            if (!getAlbumRole(album, req.user)) {
+                return res.status(403).json({ error: 'You do not have access to this album' })
+            }
+            albums = [album]
+        } else {
+            albums = await Album.find({ ownerId: req.user.userId, deletedAt: null })
+        }
+
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+        const scope = { albumId: { $in: [...albumsById.keys()] }, deletedAt: null }
+
+        if (await Image.countDocuments(scope) > MAX_DUPLICATE_SCAN_IMAGES) {
+            return res.status(400).json({
+                error: `Too many images to compare at once (more than ${MAX_DUPLICATE_SCAN_IMAGES}); check one album at a time with albumId`
+            })
+        }
+
+        // Cluster on the hashes alone, then load only the images in a cluster
+        const hashes = await Image.find(scope, { imageId: 1, contentHash: 1, perceptualHash: 1, uploadedAt: 1 }).lean()
+        const clustered = await findDuplicateClusters(hashes, threshold)
+        const images = await Image.find(
+            { imageId: { $in: clustered.flatMap(cluster => cluster.images.map(img => img.imageId)) } },
+            LISTING_PROJECTION
         )
-        uploadStream.end(fileBuffer)
-    })
-}
+        const imagesById = new Map(images.map(img => [img.imageId, img]))
+        const clusters = clustered.map(cluster => ({
+            exact: cluster.exact,
+            images: cluster.images.map(img => imagesById.get(img.imageId)).filter(Boolean)
+        }))
+        const favorites = await favoriteSet(req.user, clusters.flatMap(cluster => cluster.images))
 
-// UPLOAD IMAGE
-router.post('/:albumId/images', verifyJWT, upload.single('file'), async (req, res) => {
+        res.json({
+            threshold,
+            clusters: clusters.map(cluster => ({
+                exact: cluster.exact,
+                images: cluster.images.map(img => serializeWithAlbum(img, albumsById.get(img.albumId), req.user, favorites))
+            }))
+        })
+    } catch (error) {
+        console.error('Error finding duplicate images:', error)
+        res.status(500).json({ error: 'Failed to find duplicate images' })
+    }
+})
+
+// BULK DELETE IMAGES (moves them to the trash)
+// { imageIds: [...] } from any albums; each image follows the single-delete rules
+router.post('/bulk-delete', verifyJWT, async (req, res) => {
     try {
-        const { albumId } = req.params
-        const { tags, person, isFavorite } = req.body
+        const { imageIds } = req.body
 
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' })
+        if (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > MAX_BULK_IMAGES) {
+            return res.status(400).json({ error: `imageIds must be a list of 1 to ${MAX_BULK_IMAGES} image ids` })
         }
 
-        // Check if album exists and user has access
-        const album = await Album.findOne({ albumId })
+        const images = await Image.find({ imageId: { $in: imageIds }, deletedAt: null })
+        const albums = await Album.find({ albumId: { $in: [...new Set(images.map(image => image.albumId))] }, deletedAt: null })
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+        const imagesById = new Map(images.map(image => [image.imageId, image]))
+
+        const results = []
+        for (const imageId of new Set(imageIds)) {
+            const image = imagesById.get(imageId)
+            const album = image && albumsById.get(image.albumId)
+
+            if (!album || !getAlbumRole(album, req.user)) {
+                results.push({ imageId, status: 'not_found' })
+                continue
+            }
+
+            // Owner and editors can delete any image, contributors only their own uploads
+            const canDelete = hasAlbumRole(album, req.user, 'editor') ||
+                (hasAlbumRole(album, req.user, 'contributor') && image.uploadedBy === req.user.userId)
+
+            if (!canDelete) {
+                results.push({ imageId, status: 'forbidden' })
+                continue
+            }
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+            await trashImage(image, req.user)
+            await recordImageActivity(album.albumId, req.user, 'image.trashed', imageId, { name: image.name })
+            results.push({ imageId, status: 'trashed' })
         }
 
-        // Check access (owner or shared user)
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
+        const trashed = results.filter(result => result.status === 'trashed').length
 
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
+        res.status(trashed < results.length ? 207 : 200).json({
+            message: trashed < results.length ? 'Some images could not be deleted' : 'Images moved to trash',
+            trashed,
+            failed: results.length - trashed,
+            results
+        })
+    } catch (error) {
+        console.error('Error bulk deleting images:', error)
+        res.status(500).json({ error: 'Failed to delete images' })
+    }
+})
+
+// BULK EDIT TAGS
+// { imageIds, add?, remove? } or { imageIds, tags } to replace, across albums
+// where the caller is at least a contributor
+router.post('/bulk-tags', verifyJWT, async (req, res) => {
+    try {
+        const { imageIds } = req.body
+
+        if (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > MAX_BULK_IMAGES) {
+            return res.status(400).json({ error: `imageIds must be a list of 1 to ${MAX_BULK_IMAGES} image ids` })
         }
 
-        // Parse tags if provided
-        let parsedTags = []
-        if (tags) {
+        const edit = parseTagEdit(req.body)
+
+        const images = await Image.find({ imageId: { $in: imageIds }, deletedAt: null })
+        const albums = await Album.find({ albumId: { $in: [...new Set(images.map(image => image.albumId))] }, deletedAt: null })
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+        const imagesById = new Map(images.map(image => [image.imageId, image]))
+
+        const results = []
+        for (const imageId of new Set(imageIds)) {
+            const image = imagesById.get(imageId)
+            const album = image && albumsById.get(image.albumId)
+
+            if (!album || !getAlbumRole(album, req.user)) {
+                results.push({ imageId, status: 'not_found' })
+                continue
+            }
+
+            if (!hasAlbumRole(album, req.user, 'contributor')) {
+                results.push({ imageId, status: 'forbidden' })
+                continue
+            }
+
             try {
-                parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags
-            } catch {
-                parsedTags = []
+                await editImageTags(image, album, edit)
+                await recordImageActivity(album.albumId, req.user, 'image.tagged', imageId, { tags: image.tags })
+                results.push({ imageId, status: 'updated', tags: image.tags })
+            } catch (error) {
+                results.push({ imageId, status: 'failed', error: error.status ? error.message : 'Failed to update tags' })
             }
         }
 
-        // Upload to Cloudinary
-        const cloudinaryFolder = `kaviospix/${albumId}`
-        const uploadResult = await uploadToCloudinary(req.file.buffer, cloudinaryFolder)
+        const updated = results.filter(result => result.status === 'updated').length
 
-        // Create image record
-        const image = new Image({
-            imageId: uuidv4(),
-            albumId,
-            name: req.file.originalname,
-            filename: req.file.originalname,
-            cloudinaryUrl: uploadResult.secure_url,
-            cloudinaryPublicId: uploadResult.public_id,
-            tags: parsedTags,
-            person: person || '',
-            isFavorite: isFavorite === 'true' || isFavorite === true,
-            comments: [],
-            size: uploadResult.bytes,
-            uploadedBy: req.user.userId
+        res.status(updated < results.length ? 207 : 200).json({
+            message: updated < results.length ? 'Some images could not be updated' : 'Tags updated successfully',
+            updated,
+            failed: results.length - updated,
+            results
         })
+    } catch (error) {
+        console.error('Error bulk editing tags:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update tags' })
+    }
+})
 
-        await image.save()
+// UPLOAD IMAGE
+// Tag people with `people` (JSON list of names or { name, region }) or `person`.
+// duplicates=allow|flag|reject decides what happens when the album already has
+// an identical file (flag marks the new image with duplicateOf, reject is a 409)
+router.post('/:albumId/images', verifyJWT, requireAlbumRole('contributor'), upload.single('file'), async (req, res) => {
+    try {
+        const { tags, person, people, isFavorite, duplicates } = req.body
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' })
+        }
+
+        const favorite = isFavorite === 'true' || isFavorite === true
+        const image = await ingestImage({
+            album: req.album,
+            user: req.user,
+            file: req.file,
+            tags: parseTags(tags),
+            people: parsePeople(people, person),
+            isFavorite: favorite,
+            duplicates: parseDuplicateMode(duplicates)
+        })
+        await recordImageActivity(req.album.albumId, req.user, 'image.uploaded', image.imageId, { name: image.name })
 
         res.status(201).json({
             message: 'Image uploaded successfully',
             image: {
                 imageId: image.imageId,
                 name: image.name,
-                cloudinaryUrl: image.cloudinaryUrl,
+                url: image.url,
+                renditions: serializeRenditions(image),
                 tags: image.tags,
-                person: image.person,
-                isFavorite: image.isFavorite,
+                people: serializeImagePeople(image),
+                isFavorite: favorite,
                 size: image.size,
-                uploadedAt: image.uploadedAt
+                uploadedAt: image.uploadedAt,
+                duplicateOf: image.duplicateOf,
+                metadata: serializeMetadata(image, canSeeLocation(req.album, req.albumRole))
             }
         })
     } catch (error) {
         console.error('Error uploading image:', error)
-        res.status(500).json({ error: error.message || 'Failed to upload image' })
+        res.status(error.status || 500).json({ error: error.message || 'Failed to upload image' })
+    } finally {
+        if (req.file) {
+            await fs.promises.rm(req.file.path, { force: true })
+        }
     }
 })
 
-// GET ALL IMAGES IN ALBUM
-router.get('/:albumId/images', verifyJWT, async (req, res) => {
+// BATCH UPLOAD IMAGES
+// Shared `tags` / `people` / `person` apply to every file; `meta` is an optional
+// JSON array aligned with the files (e.g. [{ "tags": ["beach"], "people": ["Sam"] }, ...])
+// whose entries override the shared values for that file. `duplicates` works as
+// for single uploads; rejected duplicates are reported as failed.
+router.post('/:albumId/images/batch', verifyJWT, requireAlbumRole('contributor'), batchUpload.array('files'), async (req, res) => {
+    const files = req.files || []
+
     try {
-        const { albumId } = req.params
-        const { tags } = req.query
+        const { tags, person, meta } = req.body
 
-        // Check if album exists and user has access
-        const album = await Album.findOne({ albumId })
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' })
+        }
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        let duplicates, sharedPeople, sharedTags
+        try {
+            duplicates = parseDuplicateMode(req.body.duplicates)
+            sharedPeople = parsePeople(req.body.people, person)
+            sharedTags = parseTags(tags)
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message })
         }
 
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
+        let perFile = []
+        if (meta) {
+            try {
+                perFile = typeof meta === 'string' ? JSON.parse(meta) : meta
+            } catch {
+                return res.status(400).json({ error: 'meta must be a JSON array' })
+            }
 
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
+            if (!Array.isArray(perFile)) {
+                return res.status(400).json({ error: 'meta must be a JSON array' })
+            }
         }
 
+        const showLocation = canSeeLocation(req.album, req.albumRole)
+
+        const results = await mapWithConcurrency(files, BATCH_UPLOAD_CONCURRENCY, async (file, index) => {
+            const fileMeta = perFile[index] || {}
+
+            try {
+                if (file.tooLarge) {
+                    throw new HttpError(413, `File exceeds the ${formatBytes(MAX_UPLOAD_BYTES)} upload limit`)
+                }
+
+                const image = await ingestImage({
+                    album: req.album,
+                    user: req.user,
+                    file,
+                    tags: fileMeta.tags !== undefined ? parseTags(fileMeta.tags) : sharedTags,
+                    people: fileMeta.people !== undefined || fileMeta.person !== undefined
+                        ? parsePeople(fileMeta.people, fileMeta.person)
+                        : sharedPeople,
+                    duplicates
+                })
+                await recordImageActivity(req.album.albumId, req.user, 'image.uploaded', image.imageId, { name: image.name })
+
+                return { index, filename: file.originalname, status: 'uploaded', image: serializeImage(image, { showLocation }) }
+            } catch (error) {
+                console.error(`Error uploading ${file.originalname} in batch:`, error)
+                return {
+                    index,
+                    filename: file.originalname,
+                    status: 'failed',
+                    statusCode: error.status || 500,
+                    error: error.message || 'Failed to upload image'
+                }
+            }
+        })
+
+        const failed = results.filter(result => result.status === 'failed').length
+
+        res.status(failed > 0 ? 207 : 201).json({
+            message: failed > 0 ? 'Batch upload completed with errors' : 'Images uploaded successfully',
+            uploaded: results.length - failed,
+            failed,
+            results
+        })
+    } catch (error) {
+        console.error('Error uploading image batch:', error)
+        res.status(500).json({ error: 'Failed to upload images' })
+    } finally {
+        // Remove the staged files whatever happened
+        await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })))
+    }
+})
+
+// GET ALL IMAGES IN ALBUM
+// In the album's own order (sort mode, or manual) unless the request sorts.
+// Paging: limit, cursor, sort=uploadedAt|capturedAt|size|name|position, order=asc|desc
+router.get('/:albumId/images', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const { albumId } = req.params
+        const { tags } = req.query
+        const showLocation = canSeeLocation(req.album, req.albumRole)
+        const { sortField, direction } = albumSort(req.album)
+        const pageQuery = req.query.sort ? req.query : { order: direction === 1 ? 'asc' : 'desc', ...req.query }
+        const page = parsePageParams(pageQuery, { sortFields: SORT_FIELDS.concat('position'), defaultSort: sortField })
+
         // Build query
-        let query = { albumId }
+        let query = { albumId, deletedAt: null }
 
         // Filter by tags if provided
         if (tags) {
@@ -166,220 +671,526 @@ router.get('/:albumId/images', verifyJWT, async (req, res) => {
             query.tags = { $in: tagArray }
         }
 
-        const images = await Image.find(query).sort({ uploadedAt: -1 })
+        const { items, pageInfo } = await paginate(Image, query, page, LISTING_PROJECTION)
+        const favorites = await favoriteSet(req.user, items)
+        const showFavoriteCount = req.albumRole === 'owner'
 
         res.json({
-            images: images.map(img => ({
-                imageId: img.imageId,
-                name: img.name,
-                cloudinaryUrl: img.cloudinaryUrl,
-                tags: img.tags,
-                person: img.person,
-                isFavorite: img.isFavorite,
-                comments: img.comments,
-                size: img.size,
-                uploadedAt: img.uploadedAt
-            }))
+            images: items.map(img => serializeImage(img, { showLocation, favorites, showFavoriteCount })),
+            pageInfo
         })
     } catch (error) {
         console.error('Error fetching images:', error)
-        res.status(500).json({ error: 'Failed to fetch images' })
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch images' })
     }
 })
 
-// GET FAVORITE IMAGES IN ALBUM
-router.get('/:albumId/images/favorites', verifyJWT, async (req, res) => {
+// GET FAVORITE IMAGES IN ALBUM (the caller's stars)
+router.get('/:albumId/images/favorites', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
     try {
         const { albumId } = req.params
+        const showLocation = canSeeLocation(req.album, req.albumRole)
+        const page = parsePageParams(req.query, { sortFields: SORT_FIELDS, defaultSort: 'uploadedAt' })
+        const imageIds = await favoriteImageIds(req.user, [albumId])
 
-        const album = await Album.findOne({ albumId })
-
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
-        }
-
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
-
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
-        }
-
-        const images = await Image.find({ albumId, isFavorite: true }).sort({ uploadedAt: -1 })
+        const { items, pageInfo } = await paginate(Image, { albumId, imageId: { $in: imageIds }, deletedAt: null }, page, LISTING_PROJECTION)
+        const favorites = new Set(imageIds)
+        const showFavoriteCount = req.albumRole === 'owner'
 
         res.json({
-            images: images.map(img => ({
-                imageId: img.imageId,
-                name: img.name,
-                cloudinaryUrl: img.cloudinaryUrl,
-                tags: img.tags,
-                person: img.person,
-                isFavorite: img.isFavorite,
-                comments: img.comments,
-                size: img.size,
-                uploadedAt: img.uploadedAt
-            }))
+            images: items.map(img => serializeImage(img, { showLocation, favorites, showFavoriteCount })),
+            pageInfo
         })
     } catch (error) {
         console.error('Error fetching favorite images:', error)
-        res.status(500).json({ error: 'Failed to fetch favorite images' })
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch favorite images' })
     }
 })
 
 // STAR/UNSTAR IMAGE (Toggle favorite)
-router.put('/:albumId/images/:imageId/favorite', verifyJWT, async (req, res) => {
+// Stars are personal, so anyone who can see the album can set their own
+router.put('/:albumId/images/:imageId/favorite', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
     try {
         const { albumId, imageId } = req.params
         const { isFavorite } = req.body
 
-        const album = await Album.findOne({ albumId })
+        const image = await Image.findOne({ imageId, albumId, deletedAt: null })
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' })
         }
 
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
+        const favorite = isFavorite !== undefined
+            ? isFavorite === true || isFavorite === 'true'
+            : !(await isFavoriteOf(image, req.user))
+        await setFavorite(image, req.user, favorite)
 
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
-        }
+        res.json({
+            message: 'Image favorite status updated',
+            isFavorite: favorite
+        })
+    } catch (error) {
+        console.error('Error updating favorite status:', error)
+        res.status(500).json({ error: 'Failed to update favorite status' })
+    }
+})
 
-        const image = await Image.findOne({ imageId, albumId })
+// EDIT IMAGE TAGS
+// { tags } replaces the list; { add, remove } adjusts it
+router.patch('/:albumId/images/:imageId/tags', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
+    try {
+        const edit = parseTagEdit(req.body)
+
+        const image = await Image.findOne({ imageId: req.params.imageId, albumId: req.params.albumId, deletedAt: null })
 
         if (!image) {
             return res.status(404).json({ error: 'Image not found' })
         }
 
-        image.isFavorite = isFavorite !== undefined ? isFavorite : !image.isFavorite
-        await image.save()
+        await editImageTags(image, req.album, edit)
+        await recordImageActivity(req.album.albumId, req.user, 'image.tagged', image.imageId, { tags: image.tags })
 
         res.json({
-            message: 'Image favorite status updated',
-            isFavorite: image.isFavorite
+            message: 'Tags updated successfully',
+            tags: image.tags
         })
     } catch (error) {
-        console.error('Error updating favorite status:', error)
-        res.status(500).json({ error: 'Failed to update favorite status' })
+        console.error('Error updating tags:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update tags' })
     }
 })
 
-// ADD COMMENT TO IMAGE
-router.post('/:albumId/images/:imageId/comments', verifyJWT, async (req, res) => {
+// TAG PERSON ON IMAGE
+// { personId } or { name } from the album owner's people registry (new names
+// are added to it), plus an optional face region { x, y, width, height } (0-1).
+// Tagging someone already on the image updates their region.
+router.post('/:albumId/images/:imageId/people', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
     try {
-        const { albumId, imageId } = req.params
-        const { comment } = req.body
+        const { personId, name, region } = req.body
+
+        const image = await Image.findOne({ imageId: req.params.imageId, albumId: req.params.albumId, deletedAt: null })
 
-        if (!comment || comment.trim() === '') {
-            return res.status(400).json({ error: 'Comment cannot be empty' })
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' })
         }
 
-        const album = await Album.findOne({ albumId })
+        const parsedRegion = parseRegion(region)
+        const person = await resolvePerson(req.album.ownerId, { personId, name })
+        await tagPerson(image, person, { region: parsedRegion, user: req.user })
+        await recordImageActivity(req.album.albumId, req.user, 'image.people_changed', image.imageId, {
+            added: { personId: person.personId, name: person.name }
+        })
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        res.json({
+            message: 'Person tagged successfully',
+            people: serializeImagePeople(image)
+        })
+    } catch (error) {
+        console.error('Error tagging person:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to tag person' })
+    }
+})
+
+// UPDATE PERSON REGION ON IMAGE ({ region }, null to clear)
+router.put('/:albumId/images/:imageId/people/:personId', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
+    try {
+        const image = await Image.findOne({ imageId: req.params.imageId, albumId: req.params.albumId, deletedAt: null })
+        const tag = image?.people.find(entry => entry.personId === req.params.personId)
+
+        if (!tag) {
+            return res.status(404).json({ error: 'Person is not tagged on this image' })
         }
 
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
+        tag.region = parseRegion(req.body.region)
+        tag.source = 'manual'
+        tag.confidence = null
+        await image.save()
+        await recordImageActivity(req.album.albumId, req.user, 'image.people_changed', image.imageId, {
+            regionUpdated: { personId: tag.personId, name: tag.name }
+        })
+
+        res.json({
+            message: 'Person region updated successfully',
+            people: serializeImagePeople(image)
+        })
+    } catch (error) {
+        console.error('Error updating person region:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update person region' })
+    }
+})
+
+// UNTAG PERSON FROM IMAGE
+router.delete('/:albumId/images/:imageId/people/:personId', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
+    try {
+        const image = await Image.findOne({ imageId: req.params.imageId, albumId: req.params.albumId, deletedAt: null })
+
+        const tag = image?.people.find(entry => entry.personId === req.params.personId)
 
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
+        if (!tag || !(await untagPerson(image, req.params.personId))) {
+            return res.status(404).json({ error: 'Person is not tagged on this image' })
         }
 
-        const image = await Image.findOne({ imageId, albumId })
+        await recordImageActivity(req.album.albumId, req.user, 'image.people_changed', image.imageId, {
+            removed: { personId: tag.personId, name: tag.name }
+        })
+
+        res.json({
+            message: 'Person removed from image',
+            people: serializeImagePeople(image)
+        })
+    } catch (error) {
+        console.error('Error untagging person:', error)
+        res.status(500).json({ error: 'Failed to remove person from image' })
+    }
+})
+
+// Comment routes below load the image (and comment) or answer 404
+const findImage = (req) => Image.findOne({ imageId: req.params.imageId, albumId: req.params.albumId, deletedAt: null })
+
+const findComment = (req) => Comment.findOne({ commentId: req.params.commentId, imageId: req.params.imageId })
+
+// Comments read oldest first unless ?order=desc
+const commentPageParams = (query) => parsePageParams({ order: 'asc', ...query }, { sortFields: ['createdAt'], defaultSort: 'createdAt' })
+
+const serializeThreads = async (comments, user) => {
+    const replyCounts = await countReplies(comments)
+    return comments.map(comment => serializeComment(comment, user, replyCounts.get(comment.commentId) || 0))
+}
+
+// GET IMAGE COMMENTS
+// Top-level comments with their reply counts. Paging: limit, cursor, order=asc|desc
+router.get('/:albumId/images/:imageId/comments', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const page = commentPageParams(req.query)
+        const image = await findImage(req)
 
         if (!image) {
             return res.status(404).json({ error: 'Image not found' })
         }
 
-        image.comments.push({
-            userId: req.user.userId,
-            userEmail: req.user.email,
-            comment: comment.trim(),
-            createdAt: new Date()
+        const { items, pageInfo } = await paginate(Comment, { imageId: image.imageId, parentId: null }, page)
+
+        res.json({
+            comments: await serializeThreads(items, req.user),
+            pageInfo
         })
+    } catch (error) {
+        console.error('Error fetching comments:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch comments' })
+    }
+})
 
-        await image.save()
+// GET COMMENT REPLIES
+router.get('/:albumId/images/:imageId/comments/:commentId/replies', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const page = commentPageParams(req.query)
+        const comment = await findComment(req)
+
+        if (!comment || !(await findImage(req))) {
+            return res.status(404).json({ error: 'Comment not found' })
+        }
+
+        const { items, pageInfo } = await paginate(Comment, { parentId: comment.commentId }, page)
 
         res.json({
+            replies: items.map(reply => serializeComment(reply, req.user)),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching replies:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch replies' })
+    }
+})
+
+// ADD COMMENT TO IMAGE
+// { comment, parentId? }; a parentId makes it a reply. @email mentions of album
+// members are recorded on the comment.
+router.post('/:albumId/images/:imageId/comments', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
+    try {
+        const { comment, parentId } = req.body
+
+        const image = await findImage(req)
+
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' })
+        }
+
+        const created = await createComment({
+            album: req.album,
+            image,
+            user: req.user,
+            text: comment,
+            parentId
+        })
+        await recordCommentActivity(req.album.albumId, req.user, 'comment.added', created, { parentId: created.parentId })
+
+        res.status(201).json({
             message: 'Comment added successfully',
-            comments: image.comments
+            comment: serializeComment(created, req.user)
         })
     } catch (error) {
         console.error('Error adding comment:', error)
-        res.status(500).json({ error: 'Failed to add comment' })
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to add comment' })
     }
 })
 
-// DELETE IMAGE
-router.delete('/:albumId/images/:imageId', verifyJWT, async (req, res) => {
+// EDIT COMMENT (author only)
+router.patch('/:albumId/images/:imageId/comments/:commentId', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
     try {
-        const { albumId, imageId } = req.params
+        const comment = await findComment(req)
 
-        const album = await Album.findOne({ albumId })
+        if (!comment || !(await findImage(req))) {
+            return res.status(404).json({ error: 'Comment not found' })
+        }
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (comment.userId !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the author can edit this comment' })
         }
 
-        // Check if user is owner of album or uploaded the image
-        const image = await Image.findOne({ imageId, albumId })
+        await editComment(comment, req.album, req.body.comment)
+        await recordCommentActivity(req.album.albumId, req.user, 'comment.edited', comment)
+
+        res.json({
+            message: 'Comment updated successfully',
+            comment: serializeComment(comment, req.user)
+        })
+    } catch (error) {
+        console.error('Error editing comment:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to edit comment' })
+    }
+})
+
+// DELETE COMMENT (author or album owner; replies go with it)
+router.delete('/:albumId/images/:imageId/comments/:commentId', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const comment = await findComment(req)
+
+        if (!comment || !(await findImage(req))) {
+            return res.status(404).json({ error: 'Comment not found' })
+        }
+
+        if (comment.userId !== req.user.userId && req.albumRole !== 'owner') {
+            return res.status(403).json({ error: 'You do not have permission to delete this comment' })
+        }
+
+        await deleteComment(comment)
+        await recordCommentActivity(req.album.albumId, req.user, 'comment.deleted', comment)
+
+        res.json({ message: 'Comment deleted successfully' })
+    } catch (error) {
+        console.error('Error deleting comment:', error)
+        res.status(500).json({ error: 'Failed to delete comment' })
+    }
+})
+
+// ADD / REMOVE REACTION
+// PUT adds the caller's reaction (idempotent), DELETE takes it back
+const updateReaction = (update, action) => async (req, res) => {
+    try {
+        const comment = await findComment(req)
+
+        if (!comment || !(await findImage(req))) {
+            return res.status(404).json({ error: 'Comment not found' })
+        }
+
+        const updated = await update(comment, req.user, req.params.emoji)
+        await recordCommentActivity(req.album.albumId, req.user, action, comment, { emoji: req.params.emoji })
+
+        res.json({
+            message: 'Reaction updated successfully',
+            comment: serializeComment(updated, req.user)
+        })
+    } catch (error) {
+        console.error('Error updating reaction:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update reaction' })
+    }
+}
+
+router.put('/:albumId/images/:imageId/comments/:commentId/reactions/:emoji', verifyJWT, requireAlbumRole('contributor'), updateReaction(addReaction, 'comment.reacted'))
+router.delete('/:albumId/images/:imageId/comments/:commentId/reactions/:emoji', verifyJWT, requireAlbumRole('contributor'), updateReaction(removeReaction, 'comment.unreacted'))
+
+// EDIT IMAGE METADATA
+// Any of { name, tags, people, capturedAt }; tags and people replace the current
+// lists and are resolved against the album owner's registries. Owner and
+// editors can edit any image, contributors only their own uploads.
+router.patch('/:albumId/images/:imageId', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
+    try {
+        const edit = parseImageEdit(req.body || {})
+
+        const image = await Image.findOne({ imageId: req.params.imageId, albumId: req.params.albumId, deletedAt: null })
 
         if (!image) {
             return res.status(404).json({ error: 'Image not found' })
         }
 
-        const canDelete = album.ownerId === req.user.userId || image.uploadedBy === req.user.userId
-
-        if (!canDelete) {
-            return res.status(403).json({ error: 'You do not have permission to delete this image' })
+        if (!hasAlbumRole(req.album, req.user, 'editor') && image.uploadedBy !== req.user.userId) {
+            return res.status(403).json({ error: 'You do not have permission to edit this image' })
         }
 
-        // Delete from Cloudinary
-        try {
-            await cloudinary.uploader.destroy(image.cloudinaryPublicId)
-        } catch (cloudinaryError) {
-            console.error('Error deleting from Cloudinary: ', cloudinaryError)
+        if (edit.tags !== undefined) {
+            edit.tags = await resolveTags(req.album.ownerId, edit.tags)
+        }
+        if (edit.people !== undefined) {
+            edit.people = await resolvePeopleTags(req.album.ownerId, edit.people, req.user)
         }
-        
 
-        // Delete from database
-        await Image.deleteOne({ imageId })
+        image.set(edit)
+        await image.save()
+        await recordImageActivity(req.album.albumId, req.user, 'image.updated', image.imageId, { fields: Object.keys(edit) })
 
-        res.json({ message: 'Image deleted successfully' })
+        res.json({
+            message: 'Image updated successfully',
+            image: serializeImage(image, {
+                showLocation: canSeeLocation(req.album, req.albumRole),
+                favorites: await favoriteSet(req.user, [image]),
+                showFavoriteCount: req.albumRole === 'owner'
+            })
+        })
     } catch (error) {
-        console.error('Error deleting image:', error)
-        res.status(500).json({ error: 'Failed to delete image' })
+        console.error('Error updating image:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update image' })
     }
 })
 
-// GET IMAGE URL (returns Cloudinary URL)
-router.get('/:albumId/images/:imageId/url', verifyJWT, async (req, res) => {
+// MOVE / COPY IMAGES TO ANOTHER ALBUM
+// { imageIds, targetAlbumId }; both are for albums the caller can write to,
+// contributor or above on the source and the target. Moving takes the image
+// out of this album, so it also follows the delete rules here (editor, or
+// contributor for their own uploads). Files are copied into the target
+// album's storage folder.
+const transferImages = ({ action, canTransfer, transfer, recordActivities, status, verb }) => async (req, res) => {
+    try {
+        const { imageIds, targetAlbumId } = req.body
+
+        if (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > MAX_TRANSFER_IMAGES) {
+            return res.status(400).json({ error: `imageIds must be a list of 1 to ${MAX_TRANSFER_IMAGES} image ids` })
+        }
+
+        if (!targetAlbumId || targetAlbumId === req.album.albumId) {
+            return res.status(400).json({ error: 'targetAlbumId must name a different album' })
+        }
+
+        const target = await Album.findOne({ albumId: targetAlbumId, deletedAt: null })
+
+        if (!target || !getAlbumRole(target, req.user)) {
+            return res.status(404).json({ error: 'Target album not found' })
+        }
+
+        if (!hasAlbumRole(target, req.user, 'contributor')) {
+            return res.status(403).json({ error: 'You do not have permission to add images to the target album' })
+        }
+
+        const images = await Image.find({ imageId: { $in: imageIds }, albumId: req.album.albumId, deletedAt: null })
+        const imagesById = new Map(images.map(image => [image.imageId, image]))
+
+        const results = []
+        for (const imageId of new Set(imageIds)) {
+            const image = imagesById.get(imageId)
+
+            if (!image) {
+                results.push({ imageId, status: 'not_found' })
+                continue
+            }
+
+            if (!canTransfer(req, image)) {
+                results.push({ imageId, status: 'forbidden' })
+                continue
+            }
+
+            try {
+                const result = await transfer(image, req.album, target, req.user)
+                await recordActivities(req, target, image, result)
+                results.push({
+                    imageId,
+                    status,
+                    ...(result.imageId !== imageId ? { newImageId: result.imageId } : {})
+                })
+            } catch (error) {
+                console.error(`Error ${verb} image ${imageId}:`, error)
+                results.push({ imageId, status: 'failed', error: error.status ? error.message : `Failed to ${action} image` })
+            }
+        }
+
+        const done = results.filter(result => result.status === status).length
+
+        res.status(done < results.length ? 207 : 200).json({
+            message: done < results.length ? `Some images could not be ${status}` : `Images ${status} successfully`,
+            targetAlbumId,
+            [status]: done,
+            failed: results.length - done,
+            results
+        })
+    } catch (error) {
+        console.error(`Error ${verb} images:`, error)
+        res.status(500).json({ error: `Failed to ${action} images` })
+    }
+}
+
+router.post('/:albumId/images/move', verifyJWT, requireAlbumRole('contributor'), transferImages({
+    action: 'move',
+    canTransfer: (req, image) => hasAlbumRole(req.album, req.user, 'editor') || image.uploadedBy === req.user.userId,
+    transfer: moveImage,
+    recordActivities: async (req, target, image) => {
+        await recordImageActivity(req.album.albumId, req.user, 'image.moved_out', image.imageId, { name: image.name, toAlbumId: target.albumId })
+        await recordImageActivity(target.albumId, req.user, 'image.moved_in', image.imageId, { name: image.name, fromAlbumId: req.album.albumId })
+    },
+    status: 'moved',
+    verb: 'moving'
+}))
+
+router.post('/:albumId/images/copy', verifyJWT, requireAlbumRole('contributor'), transferImages({
+    action: 'copy',
+    canTransfer: () => true,
+    transfer: copyImage,
+    recordActivities: (req, target, image, copy) =>
+        recordImageActivity(target.albumId, req.user, 'image.copied_in', copy.imageId, { name: copy.name, fromAlbumId: req.album.albumId }),
+    status: 'copied',
+    verb: 'copying'
+}))
+
+// DELETE IMAGE (moves it to the trash)
+router.delete('/:albumId/images/:imageId', verifyJWT, requireAlbumRole('contributor'), async (req, res) => {
     try {
         const { albumId, imageId } = req.params
 
-        const album = await Album.findOne({ albumId })
+        const image = await Image.findOne({ imageId, albumId, deletedAt: null })
 
-        if (!album) {
-            return res.status(404).json({ error: 'Album not found' })
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' })
         }
 
-        const hasAccess = album.ownerId === req.user.userId || 
-                         album.sharedWith.includes(req.user.email)
+        // Owner and editors can delete any image, contributors only their own uploads
+        const canDelete = hasAlbumRole(req.album, req.user, 'editor') || image.uploadedBy === req.user.userId
 
-        if (!hasAccess) {
-            return res.status(403).json({ error: 'You do not have access to this album' })
+        if (!canDelete) {
+            return res.status(403).json({ error: 'You do not have permission to delete this image' })
         }
 
-        const image = await Image.findOne({ imageId, albumId })
+        // Stored files are kept until the trash is emptied or purged
+        await trashImage(image, req.user)
+        await recordImageActivity(albumId, req.user, 'image.trashed', imageId, { name: image.name })
+
+        res.json({ message: 'Image moved to trash' })
+    } catch (error) {
+        console.error('Error deleting image:', error)
+        res.status(500).json({ error: 'Failed to delete image' })
+    }
+})
+
+// GET IMAGE URL (returns the storage URL)
+router.get('/:albumId/images/:imageId/url', verifyJWT, requireAlbumRole('viewer'), async (req, res) => {
+    try {
+        const { albumId, imageId } = req.params
+
+        const image = await Image.findOne({ imageId, albumId, deletedAt: null })
 
         if (!image) {
             return res.status(404).json({ error: 'Image not found' })
         }
 
         res.json({
-            cloudinaryUrl: image.cloudinaryUrl,
+            url: image.url,
+            renditions: serializeRenditions(image),
             imageId: image.imageId,
             name: image.name
         })
@@ -0,0 +1,98 @@
+const express = require('express')
+const Album = require('../models/Album.model')
+const Invitation = require('../models/Invitation.model')
+const { recordActivity } = require('../services/activity')
+const { parsePageParams, paginate } = require('../services/pagination')
+const {
+    normalizeEmail,
+    statusQuery,
+    parseStatus,
+    acceptInvitation,
+    declineInvitation,
+    serializeInvitation
+} = require('../services/invitations')
+const router = express.Router()
+
+// Invitations addressed to the signed-in user
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// LIST MY INVITATIONS
+// Pending ones by default; status=accepted|declined|revoked|expired for others.
+// Paging: limit, cursor, order=asc|desc
+router.get('/', verifyJWT, async (req, res) => {
+    try {
+        const page = parsePageParams(req.query, { sortFields: ['createdAt'], defaultSort: 'createdAt' })
+        const status = parseStatus(req.query.status, 'pending')
+
+        const filter = { email: normalizeEmail(req.user.email), ...statusQuery(status) }
+        const { items, pageInfo } = await paginate(Invitation, filter, page)
+
+        const albums = await Album.find({ albumId: { $in: items.map(invitation => invitation.albumId) } }, { albumId: 1, name: 1, description: 1, deletedAt: 1 })
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+
+        res.json({
+            invitations: items.map(invitation => {
+                const album = albumsById.get(invitation.albumId)
+                return serializeInvitation(invitation, {
+                    album: album && !album.deletedAt
+                        ? { albumId: album.albumId, name: album.name, description: album.description }
+                        : null
+                })
+            }),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching invitations:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch invitations' })
+    }
+})
+
+// ACCEPT INVITATION (joins the album with the invited role)
+router.post('/:invitationId/accept', verifyJWT, async (req, res) => {
+    try {
+        const { invitation, album } = await acceptInvitation(req.params.invitationId, req.user)
+
+        await recordActivity(invitation.albumId, req.user, 'invite.accepted', {
+            targetType: 'invitation',
+            targetId: invitation.invitationId,
+            details: { role: invitation.role }
+        })
+
+        res.json({
+            message: 'Invitation accepted',
+            invitation: serializeInvitation(invitation),
+            album: { albumId: album.albumId, name: album.name }
+        })
+    } catch (error) {
+        console.error('Error accepting invitation:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to accept invitation' })
+    }
+})
+
+// DECLINE INVITATION
+router.post('/:invitationId/decline', verifyJWT, async (req, res) => {
+    try {
+        const invitation = await declineInvitation(req.params.invitationId, req.user)
+
+        await recordActivity(invitation.albumId, req.user, 'invite.declined', {
+            targetType: 'invitation',
+            targetId: invitation.invitationId
+        })
+
+        res.json({
+            message: 'Invitation declined',
+            invitation: serializeInvitation(invitation)
+        })
+    } catch (error) {
+        console.error('Error declining invitation:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to decline invitation' })
+    }
+})
+
+module.exports = router
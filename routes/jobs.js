@@ -0,0 +1,65 @@
+const express = require('express')
+const Job = require('../models/Job.model')
+const { serializeJob } = require('../services/jobs')
+const router = express.Router()
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// LIST MY JOBS
+router.get('/', verifyJWT, async (req, res) => {
+    try {
+        const jobs = await Job.find({ userId: req.user.userId }).sort({ createdAt: -1 }).limit(50)
+
+        res.json({ jobs: jobs.map(serializeJob) })
+    } catch (error) {
+        console.error('Error fetching jobs:', error)
+        res.status(500).json({ error: 'Failed to fetch jobs' })
+    }
+})
+
+// GET JOB STATUS
+router.get('/:jobId', verifyJWT, async (req, res) => {
+    try {
+        const job = await Job.findOne({ jobId: req.params.jobId, userId: req.user.userId })
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' })
+        }
+
+        res.json({ job: serializeJob(job) })
+    } catch (error) {
+        console.error('Error fetching job:', error)
+        res.status(500).json({ error: 'Failed to fetch job' })
+    }
+})
+
+// DOWNLOAD JOB RESULT
+router.get('/:jobId/download', verifyJWT, async (req, res) => {
+    try {
+        const job = await Job.findOne({ jobId: req.params.jobId, userId: req.user.userId })
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' })
+        }
+
+        if (job.status !== 'completed' || !job.filePath) {
+            return res.status(409).json({ error: 'Job has no file to download yet' })
+        }
+
+        res.download(job.filePath, `kaviospix-export-${job.createdAt.toISOString().slice(0, 10)}.zip`, (error) => {
+            if (error && !res.headersSent) {
+                res.status(410).json({ error: 'Export file is no longer available' })
+            }
+        })
+    } catch (error) {
+        console.error('Error downloading job result:', error)
+        res.status(500).json({ error: 'Failed to download job result' })
+    }
+})
+
+module.exports = router
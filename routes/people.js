@@ -0,0 +1,220 @@
+const express = require('express')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Person = require('../models/Person.model')
+const { canSeeLocation, serializeImage, LISTING_PROJECTION } = require('../services/images')
+const { getAlbumRole, accessibleAlbumsQuery } = require('../services/access')
+const { favoriteSet } = require('../services/favorites')
+const { SORT_FIELDS, escapeRegex } = require('../services/search')
+const { parsePageParams, paginate } = require('../services/pagination')
+const {
+    nameKey,
+    findOrCreatePerson,
+    renamePerson,
+    mergePeople,
+    deletePerson,
+    serializePerson
+} = require('../services/people')
+const router = express.Router()
+
+// The people registry belongs to an album owner: they manage it here, and
+// anyone they share an album with can browse a person's photos in those albums.
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// Load req.person from the caller's own registry
+const loadOwnPerson = async (req, res, next) => {
+    try {
+        const person = await Person.findOne({ personId: req.params.personId, ownerId: req.user.userId })
+
+        if (!person) {
+            return res.status(404).json({ error: 'Person not found' })
+        }
+
+        req.person = person
+        next()
+    } catch (error) {
+        console.error('Error loading person:', error)
+        res.status(500).json({ error: 'Failed to load person' })
+    }
+}
+
+// personId -> number of images (outside the trash) tagged with them
+const countImages = async (people) => {
+    const personIds = people.map(person => person.personId)
+    const counts = await Image.aggregate([
+        { $match: { 'people.personId': { $in: personIds }, deletedAt: null } },
+        { $unwind: '$people' },
+        { $match: { 'people.personId': { $in: personIds } } },
+        { $group: { _id: '$people.personId', count: { $sum: 1 } } }
+    ])
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]))
+}
+
+// LIST MY PEOPLE
+// Filter by name prefix with ?q=. Paging: limit, cursor, sort=name|createdAt, order=asc|desc
+router.get('/', verifyJWT, async (req, res) => {
+    try {
+        const page = parsePageParams({ order: 'asc', ...req.query }, { sortFields: ['name', 'createdAt'], defaultSort: 'name' })
+
+        const filter = { ownerId: req.user.userId }
+        if (req.query.q) {
+            filter.nameKey = { $regex: `^${escapeRegex(nameKey(String(req.query.q)))}` }
+        }
+
+        const { items, pageInfo } = await paginate(Person, filter, page)
+        const counts = await countImages(items)
+
+        res.json({
+            people: items.map(person => serializePerson(person, counts.get(person.personId) || 0)),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching people:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch people' })
+    }
+})
+
+// ADD PERSON
+router.post('/', verifyJWT, async (req, res) => {
+    try {
+        const { name } = req.body
+
+        if (typeof name === 'string' && await Person.exists({ ownerId: req.user.userId, nameKey: nameKey(name) })) {
+            return res.status(409).json({ error: 'Someone with that name already exists' })
+        }
+
+        const person = await findOrCreatePerson(req.user.userId, name)
+
+        res.status(201).json({
+            message: 'Person added successfully',
+            person: serializePerson(person, 0)
+        })
+    } catch (error) {
+        console.error('Error adding person:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to add person' })
+    }
+})
+
+// GET PERSON
+router.get('/:personId', verifyJWT, loadOwnPerson, async (req, res) => {
+    try {
+        const counts = await countImages([req.person])
+
+        res.json({ person: serializePerson(req.person, counts.get(req.person.personId) || 0) })
+    } catch (error) {
+        console.error('Error fetching person:', error)
+        res.status(500).json({ error: 'Failed to fetch person' })
+    }
+})
+
+// RENAME PERSON (updates every image they are tagged in)
+router.patch('/:personId', verifyJWT, loadOwnPerson, async (req, res) => {
+    try {
+        const person = await renamePerson(req.person, req.body.name)
+
+        res.json({
+            message: 'Person renamed successfully',
+            person: serializePerson(person)
+        })
+    } catch (error) {
+        console.error('Error renaming person:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to rename person' })
+    }
+})
+
+// MERGE PERSON INTO ANOTHER
+// { intoPersonId }: this person's tags move to the other one, then this person is removed
+router.post('/:personId/merge', verifyJWT, loadOwnPerson, async (req, res) => {
+    try {
+        const { intoPersonId } = req.body
+
+        if (!intoPersonId || intoPersonId === req.person.personId) {
+            return res.status(400).json({ error: 'intoPersonId must name a different person' })
+        }
+
+        const target = await Person.findOne({ personId: intoPersonId, ownerId: req.user.userId })
+
+        if (!target) {
+            return res.status(404).json({ error: 'Person to merge into not found' })
+        }
+
+        const { images } = await mergePeople(req.person, target)
+
+        res.json({
+            message: 'People merged successfully',
+            person: serializePerson(target),
+            imagesUpdated: images
+        })
+    } catch (error) {
+        console.error('Error merging people:', error)
+        res.status(500).json({ error: 'Failed to merge people' })
+    }
+})
+
+// DELETE PERSON (untags them everywhere)
+router.delete('/:personId', verifyJWT, loadOwnPerson, async (req, res) => {
+    try {
+        await deletePerson(req.person)
+
+        res.json({ message: 'Person deleted successfully' })
+    } catch (error) {
+        console.error('Error deleting person:', error)
+        res.status(500).json({ error: 'Failed to delete person' })
+    }
+})
+
+// GET IMAGES OF PERSON
+// Every image of the person in the owner's albums the caller can access.
+// Paging: limit, cursor, sort=uploadedAt|capturedAt|size|name, order=asc|desc
+router.get('/:personId/images', verifyJWT, async (req, res) => {
+    try {
+        const page = parsePageParams(req.query, { sortFields: SORT_FIELDS, defaultSort: 'uploadedAt' })
+
+        const person = await Person.findOne({ personId: req.params.personId })
+        const albums = person
+            ? await Album.find({ ...accessibleAlbumsQuery(req.user), ownerId: person.ownerId })
+            : []
+
+        if (!person || (albums.length === 0 && person.ownerId !== req.user.userId)) {
+            return res.status(404).json({ error: 'Person not found' })
+        }
+
+        const albumsById = new Map(albums.map(album => [album.albumId, album]))
+        const { items, pageInfo } = await paginate(Image, {
+            'people.personId': person.personId,
+            albumId: { $in: [...albumsById.keys()] },
+            deletedAt: null
+        }, page, LISTING_PROJECTION)
+        const favorites = await favoriteSet(req.user, items)
+
+        res.json({
+            person: serializePerson(person),
+            images: items.map(img => {
+                const album = albumsById.get(img.albumId)
+                const role = getAlbumRole(album, req.user)
+                return {
+                    ...serializeImage(img, {
+                        showLocation: canSeeLocation(album, role),
+                        favorites,
+                        showFavoriteCount: role === 'owner'
+                    }),
+                    albumId: album.albumId,
+                    albumName: album.name
+                }
+            }),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching images of person:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch images of person' })
+    }
+})
+
+module.exports = router
@@ -0,0 +1,252 @@
+const express = require('express')
+const path = require('path')
+const jwt = require('jsonwebtoken')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const ShareLink = require('../models/ShareLink.model')
+const { getStorage } = require('../services/storage')
+const { verifyPassword } = require('../services')
+const { serializeMetadata } = require('../services/images')
+const { serializeImagePeople } = require('../services/people')
+const { albumSortSpec } = require('../services/albums')
+const router = express.Router()
+
+// Wrong unlock passwords allowed in a row before the link is locked for a while
+const MAX_UNLOCK_ATTEMPTS = 5
+const UNLOCK_LOCKOUT_MINUTES = 15
+
+// Served in place of the original when a link has downloads disabled
+const NO_DOWNLOAD_RENDITION = 'medium'
+
+// Public, read-only routes for share links. These are mounted without verifyJWT:
+// the link token (plus an unlock token for password-protected links) is the credential.
+
+// Middleware to resolve an active share link from :token
+const loadShareLink = async (req, res, next) => {
+    try {
+        const link = await ShareLink.findOne({ token: req.params.token })
+
+        if (!link || link.revokedAt) {
+            return res.status(404).json({ error: 'Share link not found' })
+        }
+
+        if (link.expiresAt && link.expiresAt <= new Date()) {
+            return res.status(410).json({ error: 'Share link has expired' })
+        }
+
+        const album = await Album.findOne({ albumId: link.albumId, deletedAt: null })
+
+        if (!album) {
+            return res.status(404).json({ error: 'Share link not found' })
+        }
+
+        req.shareLink = link
+        req.album = album
+        next()
+    } catch (error) {
+        console.error('Error resolving share link:', error)
+        res.status(500).json({ error: 'Failed to resolve share link' })
+    }
+}
+
+// Middleware to require an unlock token when the link has a password
+const requireUnlocked = (req, res, next) => {
+    const link = req.shareLink
+
+    if (!link.passwordHash) {
+        return next()
+    }
+
+    const accessToken = req.headers['x-share-access'] || req.query.access
+
+    if (!accessToken) {
+        return res.status(401).json({ error: 'This link is password protected', passwordRequired: true })
+    }
+
+    try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET)
+
+        if (decoded.scope !== 'share-link' || decoded.linkId !== link.linkId) {
+            throw new Error('Token does not match link')
+        }
+
+        next()
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired link access', passwordRequired: true })
+    }
+}
+
+// Images visible through the link: the single linked image, or the whole album
+const linkImageQuery = (link) => (
+    link.imageId
+        ? { albumId: link.albumId, imageId: link.imageId, deletedAt: null }
+        : { albumId: link.albumId, deletedAt: null }
+)
+
+const serializePublicImage = (img, link, album) => {
+    const base = `${process.env.BACKEND_URL || ''}/public/links/${link.token}/images/${img.imageId}`
+
+    return {
+        imageId: img.imageId,
+        name: img.name,
+        url: base,
+        renditions: Object.fromEntries([...(img.renditions?.keys() || [])].map(name => [name, `${base}?size=${name}`])),
+        downloadUrl: link.downloadDisabled ? null : `${base}/download`,
+        tags: img.tags,
+        people: serializeImagePeople(img),
+        size: img.size,
+        uploadedAt: img.uploadedAt,
+        metadata: serializeMetadata(img, album.shareLocation)
+    }
+}
+
+// Stream a stored image back to the client, as a download when `asAttachment` is set
+const sendImage = async (res, image, asAttachment) => {
+    const stream = await getStorage(image.storageProvider).createReadStream(image.storageKey)
+
+    if (asAttachment) {
+        res.attachment(image.filename)
+    } else {
+        res.type(path.extname(image.filename || image.storageKey) || 'application/octet-stream')
+    }
+
+    stream.on('error', (error) => {
+        console.error('Error streaming shared image:', error)
+        res.destroy(error)
+    })
+    stream.pipe(res)
+}
+
+const sendRendition = async (res, rendition) => {
+    const stream = await getStorage(rendition.provider).createReadStream(rendition.key)
+
+    res.type(rendition.format)
+    stream.on('error', (error) => {
+        console.error('Error streaming shared rendition:', error)
+        res.destroy(error)
+    })
+    stream.pipe(res)
+}
+
+// UNLOCK PASSWORD-PROTECTED LINK
+router.post('/links/:token/unlock', loadShareLink, async (req, res) => {
+    try {
+        const link = req.shareLink
+        const { password } = req.body
+
+        if (!link.passwordHash) {
+            return res.status(400).json({ error: 'This link is not password protected' })
+        }
+
+        if (link.unlockBlockedUntil && link.unlockBlockedUntil > new Date()) {
+            res.set('Retry-After', String(Math.ceil((link.unlockBlockedUntil - Date.now()) / 1000)))
+            return res.status(429).json({ error: 'Too many incorrect passwords, try again later' })
+        }
+
+        if (typeof password !== 'string' || !password || !verifyPassword(password, link.passwordHash)) {
+            // Count atomically so parallel guesses can't slip past the limit
+            const updated = await ShareLink.findOneAndUpdate(
+                { linkId: link.linkId },
+                { $inc: { failedUnlocks: 1 } },
+                { new: true }
+            )
+
+            if (updated.failedUnlocks >= MAX_UNLOCK_ATTEMPTS) {
+                await ShareLink.updateOne(
+                    { linkId: link.linkId },
+                    { failedUnlocks: 0, unlockBlockedUntil: new Date(Date.now() + UNLOCK_LOCKOUT_MINUTES * 60 * 1000) }
+                )
+            }
+
+            return res.status(401).json({ error: 'Incorrect password' })
+        }
+
+        if (link.failedUnlocks > 0) {
+            await ShareLink.updateOne({ linkId: link.linkId }, { failedUnlocks: 0 })
+        }
+
+        const accessToken = jwt.sign({ scope: 'share-link', linkId: link.linkId }, process.env.JWT_SECRET, { expiresIn: '1h' })
+
+        res.json({ accessToken })
+    } catch (error) {
+        console.error('Error unlocking share link:', error)
+        res.status(500).json({ error: 'Failed to unlock share link' })
+    }
+})
+
+// VIEW SHARED ALBUM OR IMAGE
+router.get('/links/:token', loadShareLink, requireUnlocked, async (req, res) => {
+    try {
+        const link = req.shareLink
+        const album = req.album
+
+        const images = await Image.find(linkImageQuery(link)).sort(albumSortSpec(album))
+
+        res.json({
+            link: {
+                type: link.imageId ? 'image' : 'album',
+                expiresAt: link.expiresAt,
+                downloadDisabled: link.downloadDisabled
+            },
+            album: {
+                name: album.name,
+                description: album.description
+            },
+            images: images.map(img => serializePublicImage(img, link, album))
+        })
+    } catch (error) {
+        console.error('Error fetching shared content:', error)
+        res.status(500).json({ error: 'Failed to fetch shared content' })
+    }
+})
+
+// VIEW SHARED IMAGE FILE (inline, ?size=<rendition> for a resized copy)
+// With downloads disabled only renditions are served, never the original.
+router.get('/links/:token/images/:imageId', loadShareLink, requireUnlocked, async (req, res) => {
+    try {
+        const image = await Image.findOne({ ...linkImageQuery(req.shareLink), imageId: req.params.imageId })
+
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' })
+        }
+
+        const size = req.query.size || (req.shareLink.downloadDisabled ? NO_DOWNLOAD_RENDITION : null)
+
+        if (size) {
+            const rendition = image.renditions.get(size)
+
+            if (!rendition) {
+                return res.status(404).json({ error: 'Rendition not found' })
+            }
+
+            return await sendRendition(res, rendition)
+        }
+
+        await sendImage(res, image, false)
+    } catch (error) {
+        console.error('Error serving shared image:', error)
+        res.status(500).json({ error: 'Failed to serve shared image' })
+    }
+})
+
+// DOWNLOAD SHARED IMAGE FILE
+router.get('/links/:token/images/:imageId/download', loadShareLink, requireUnlocked, async (req, res) => {
+    try {
+        if (req.shareLink.downloadDisabled) {
+            return res.status(403).json({ error: 'Downloads are disabled for this link' })
+        }
+
+        const image = await Image.findOne({ ...linkImageQuery(req.shareLink), imageId: req.params.imageId })
+
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' })
+        }
+
+        await sendImage(res, image, true)
+    } catch (error) {
+        console.error('Error downloading shared image:', error)
+        res.status(500).json({ error: 'Failed to download shared image' })
+    }
+})
+
+module.exports = router
@@ -0,0 +1,177 @@
+const express = require('express')
+const Album = require('../models/Album.model')
+const Tag = require('../models/Tag.model')
+const { getAlbumRole } = require('../services/access')
+const { escapeRegex } = require('../services/search')
+const { parsePageParams, paginate } = require('../services/pagination')
+const {
+    nameKey,
+    countTagUsage,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    serializeTag
+} = require('../services/tags')
+const router = express.Router()
+
+// Tag vocabulary of an album owner. Owners manage their own tags here; members
+// of a shared album can read the owner's vocabulary with ?albumId=.
+
+const DEFAULT_SUGGESTIONS = 10
+const MAX_SUGGESTIONS = 50
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// Whose vocabulary to read: the caller's, or the owner of ?albumId=
+const resolveVocabularyOwner = async (req) => {
+    if (!req.query.albumId) {
+        return req.user.userId
+    }
+
+    const album = await Album.findOne({ albumId: req.query.albumId, deletedAt: null })
+    return album && getAlbumRole(album, req.user) ? album.ownerId : null
+}
+
+const prefixFilter = (ownerId, q) => {
+    const filter = { ownerId }
+    if (q) {
+        filter.nameKey = { $regex: `^${escapeRegex(nameKey(String(q)))}` }
+    }
+    return filter
+}
+
+// Load req.tag from the caller's own vocabulary
+const loadOwnTag = async (req, res, next) => {
+    try {
+        const tag = await Tag.findOne({ tagId: req.params.tagId, ownerId: req.user.userId })
+
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' })
+        }
+
+        req.tag = tag
+        next()
+    } catch (error) {
+        console.error('Error loading tag:', error)
+        res.status(500).json({ error: 'Failed to load tag' })
+    }
+}
+
+// LIST TAGS (with usage counts)
+// Filters: q (name prefix), albumId. Paging: limit, cursor, sort=name|createdAt, order=asc|desc
+router.get('/', verifyJWT, async (req, res) => {
+    try {
+        const page = parsePageParams({ order: 'asc', ...req.query }, { sortFields: ['name', 'createdAt'], defaultSort: 'name' })
+        const ownerId = await resolveVocabularyOwner(req)
+
+        if (!ownerId) {
+            return res.status(404).json({ error: 'Album not found' })
+        }
+
+        const { items, pageInfo } = await paginate(Tag, prefixFilter(ownerId, req.query.q), page)
+        const counts = await countTagUsage(ownerId, items.map(tag => tag.name))
+
+        res.json({
+            tags: items.map(tag => serializeTag(tag, counts.get(tag.name) || 0)),
+            pageInfo
+        })
+    } catch (error) {
+        console.error('Error fetching tags:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch tags' })
+    }
+})
+
+// AUTOCOMPLETE TAGS
+// ?q= prefix, optional albumId and limit; most used first
+router.get('/autocomplete', verifyJWT, async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? DEFAULT_SUGGESTIONS : Number(req.query.limit)
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_SUGGESTIONS}` })
+        }
+
+        const ownerId = await resolveVocabularyOwner(req)
+
+        if (!ownerId) {
+            return res.status(404).json({ error: 'Album not found' })
+        }
+
+        const candidates = await Tag.find(prefixFilter(ownerId, req.query.q)).sort({ nameKey: 1 }).limit(200)
+        const counts = await countTagUsage(ownerId, candidates.map(tag => tag.name))
+
+        const suggestions = candidates
+            .map(tag => serializeTag(tag, counts.get(tag.name) || 0))
+            .sort((a, b) => b.usageCount - a.usageCount || a.name.localeCompare(b.name))
+            .slice(0, limit)
+
+        res.json({ tags: suggestions })
+    } catch (error) {
+        console.error('Error autocompleting tags:', error)
+        res.status(500).json({ error: 'Failed to autocomplete tags' })
+    }
+})
+
+// RENAME TAG (rewrites every image in the owner's albums)
+router.patch('/:tagId', verifyJWT, loadOwnTag, async (req, res) => {
+    try {
+        const { tag, images } = await renameTag(req.tag, req.body.name)
+
+        res.json({
+            message: 'Tag renamed successfully',
+            tag: serializeTag(tag),
+            imagesUpdated: images
+        })
+    } catch (error) {
+        console.error('Error renaming tag:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to rename tag' })
+    }
+})
+
+// MERGE TAG INTO ANOTHER
+// { intoTagId }: images tagged with this tag get the other one instead
+router.post('/:tagId/merge', verifyJWT, loadOwnTag, async (req, res) => {
+    try {
+        const { intoTagId } = req.body
+
+        if (!intoTagId || intoTagId === req.tag.tagId) {
+            return res.status(400).json({ error: 'intoTagId must name a different tag' })
+        }
+
+        const target = await Tag.findOne({ tagId: intoTagId, ownerId: req.user.userId })
+
+        if (!target) {
+            return res.status(404).json({ error: 'Tag to merge into not found' })
+        }
+
+        const { images } = await mergeTags(req.tag, target)
+
+        res.json({
+            message: 'Tags merged successfully',
+            tag: serializeTag(target),
+            imagesUpdated: images
+        })
+    } catch (error) {
+        console.error('Error merging tags:', error)
+        res.status(500).json({ error: 'Failed to merge tags' })
+    }
+})
+
+// DELETE TAG (removes it from every image in the owner's albums)
+router.delete('/:tagId', verifyJWT, loadOwnTag, async (req, res) => {
+    try {
+        const { images } = await deleteTag(req.tag)
+
+        res.json({ message: 'Tag deleted successfully', imagesUpdated: images })
+    } catch (error) {
+        console.error('Error deleting tag:', error)
+        res.status(500).json({ error: 'Failed to delete tag' })
+    }
+})
+
+module.exports = router
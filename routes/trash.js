@@ -0,0 +1,212 @@
+const express = require('express')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const { serializeImage } = require('../services/images')
+const { favoriteSet } = require('../services/favorites')
+const { hasAlbumRole } = require('../services/access')
+const { purgeDate, restoreItem, purgeImage, purgeAlbum } = require('../services/trash')
+const { recordActivity } = require('../services/activity')
+const router = express.Router()
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// Load a trashed image together with its album
+const findTrashedImage = async (imageId) => {
+    const image = await Image.findOne({ imageId, deletedAt: { $ne: null } })
+
+    if (!image) {
+        return {}
+    }
+
+    const album = await Album.findOne({ albumId: image.albumId })
+    return { image, album }
+}
+
+// LIST TRASH
+// Albums the user owns, plus images deleted from their albums or deleted by them elsewhere
+router.get('/', verifyJWT, async (req, res) => {
+    try {
+        const userId = req.user.userId
+
+        const albums = await Album.find({ ownerId: userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 })
+
+        const ownedAlbumIds = (await Album.find({ ownerId: userId, deletedAt: null }, { albumId: 1 }))
+            .map(album => album.albumId)
+
+        const images = await Image.find({
+            deletedAt: { $ne: null },
+            $or: [
+                { albumId: { $in: ownedAlbumIds } },
+                { deletedBy: userId }
+            ]
+        }).sort({ deletedAt: -1 })
+        const favorites = await favoriteSet(req.user, images)
+
+        res.json({
+            albums: albums.map(album => ({
+                albumId: album.albumId,
+                name: album.name,
+                description: album.description,
+                deletedAt: album.deletedAt,
+                purgeAt: purgeDate(album.deletedAt)
+            })),
+            images: images.map(img => ({
+                ...serializeImage(img, { favorites }),
+                albumId: img.albumId,
+                deletedAt: img.deletedAt,
+                deletedBy: img.deletedBy,
+                purgeAt: purgeDate(img.deletedAt)
+            }))
+        })
+    } catch (error) {
+        console.error('Error fetching trash:', error)
+        res.status(500).json({ error: 'Failed to fetch trash' })
+    }
+})
+
+// RESTORE IMAGE
+// Album owner, or a member who deleted it and can still upload to the album
+router.post('/images/:imageId/restore', verifyJWT, async (req, res) => {
+    try {
+        const { image, album } = await findTrashedImage(req.params.imageId)
+
+        if (!image || !album) {
+            return res.status(404).json({ error: 'Image not found in trash' })
+        }
+
+        const canRestore = album.ownerId === req.user.userId ||
+                          (image.deletedBy === req.user.userId && hasAlbumRole(album, req.user, 'contributor'))
+
+        if (!canRestore) {
+            return res.status(403).json({ error: 'You do not have permission to restore this image' })
+        }
+
+        if (album.deletedAt) {
+            return res.status(409).json({ error: 'Restore the album before restoring its images' })
+        }
+
+        await restoreItem(image)
+        await recordActivity(album.albumId, req.user, 'image.restored', {
+            targetType: 'image',
+            targetId: image.imageId,
+            details: { name: image.name }
+        })
+
+        res.json({ message: 'Image restored successfully', image: serializeImage(image) })
+    } catch (error) {
+        console.error('Error restoring image:', error)
+        res.status(500).json({ error: 'Failed to restore image' })
+    }
+})
+
+// RESTORE ALBUM
+router.post('/albums/:albumId/restore', verifyJWT, async (req, res) => {
+    try {
+        const album = await Album.findOne({ albumId: req.params.albumId, deletedAt: { $ne: null } })
+
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found in trash' })
+        }
+
+        if (album.ownerId !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the album owner can restore it' })
+        }
+
+        await restoreItem(album)
+        await recordActivity(album.albumId, req.user, 'album.restored')
+
+        res.json({ message: 'Album restored successfully' })
+    } catch (error) {
+        console.error('Error restoring album:', error)
+        res.status(500).json({ error: 'Failed to restore album' })
+    }
+})
+
+// PERMANENTLY DELETE IMAGE (album owner only)
+router.delete('/images/:imageId', verifyJWT, async (req, res) => {
+    try {
+        const { image, album } = await findTrashedImage(req.params.imageId)
+
+        if (!image || !album) {
+            return res.status(404).json({ error: 'Image not found in trash' })
+        }
+
+        if (album.ownerId !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the album owner can permanently delete images' })
+        }
+
+        await purgeImage(image, album)
+        await recordActivity(album.albumId, req.user, 'image.deleted', {
+            targetType: 'image',
+            targetId: image.imageId,
+            details: { name: image.name }
+        })
+
+        res.json({ message: 'Image permanently deleted' })
+    } catch (error) {
+        console.error('Error permanently deleting image:', error)
+        res.status(500).json({ error: 'Failed to permanently delete image' })
+    }
+})
+
+// PERMANENTLY DELETE ALBUM
+router.delete('/albums/:albumId', verifyJWT, async (req, res) => {
+    try {
+        const album = await Album.findOne({ albumId: req.params.albumId, deletedAt: { $ne: null } })
+
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found in trash' })
+        }
+
+        if (album.ownerId !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the album owner can permanently delete it' })
+        }
+
+        await purgeAlbum(album)
+
+        res.json({ message: 'Album permanently deleted' })
+    } catch (error) {
+        console.error('Error permanently deleting album:', error)
+        res.status(500).json({ error: 'Failed to permanently delete album' })
+    }
+})
+
+// EMPTY TRASH (everything in the trash of albums the user owns)
+router.delete('/', verifyJWT, async (req, res) => {
+    try {
+        const userId = req.user.userId
+
+        const albums = await Album.find({ ownerId: userId, deletedAt: { $ne: null } })
+        for (const album of albums) {
+            await purgeAlbum(album)
+        }
+
+        const ownedAlbumIds = (await Album.find({ ownerId: userId }, { albumId: 1 }))
+            .map(album => album.albumId)
+
+        const images = await Image.find({ albumId: { $in: ownedAlbumIds }, deletedAt: { $ne: null } })
+        for (const image of images) {
+            await purgeImage(image)
+            await recordActivity(image.albumId, req.user, 'image.deleted', {
+                targetType: 'image',
+                targetId: image.imageId,
+                details: { name: image.name }
+            })
+        }
+
+        res.json({
+            message: 'Trash emptied successfully',
+            deleted: { albums: albums.length, images: images.length }
+        })
+    } catch (error) {
+        console.error('Error emptying trash:', error)
+        res.status(500).json({ error: 'Failed to empty trash' })
+    }
+})
+
+module.exports = router
@@ -0,0 +1,288 @@
+const express = require('express')
+const { v4: uuidv4 } = require('uuid')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Upload = require('../models/Upload.model')
+const { serializeImage } = require('../services/images')
+const { hasAlbumRole } = require('../services/access')
+const { MAX_UPLOAD_BYTES, assertUploadAllowed } = require('../services/ingest')
+const { parseDuplicateMode } = require('../services/duplicates')
+const { parseTags } = require('../services/tags')
+const {
+    nextExpiry,
+    createStagingFile,
+    stagedBytes,
+    loadUploadAlbum,
+    appendChunk,
+    completeUpload,
+    removeUpload
+} = require('../services/uploads')
+const router = express.Router()
+
+// Resumable uploads following the tus 1.0.0 protocol (core, creation,
+// termination and expiration extensions), so stock tus clients work:
+//
+//   POST   /uploads            create (Upload-Length, Upload-Metadata with albumId,
+//                             filename, filetype and optional tags / person /
+//                             duplicates)
+//   HEAD   /uploads/:uploadId  current offset
+//   PATCH  /uploads/:uploadId  append a chunk at Upload-Offset; the last chunk
+//                             turns the upload into an image
+//   DELETE /uploads/:uploadId  abandon
+//
+// Plus two JSON helpers for non-tus clients: GET /uploads/:uploadId (status)
+// and POST /uploads/:uploadId/complete (finish or fetch the resulting image).
+
+const TUS_VERSION = '1.0.0'
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+// Every tus response carries Tus-Resumable; requests must speak our version
+const tusHeaders = (req, res, next) => {
+    res.setHeader('Tus-Resumable', TUS_VERSION)
+
+    const clientVersion = req.headers['tus-resumable']
+    if (clientVersion && clientVersion !== TUS_VERSION) {
+        res.setHeader('Tus-Version', TUS_VERSION)
+        return res.status(412).json({ error: `Unsupported tus version ${clientVersion}` })
+    }
+
+    next()
+}
+
+// Upload-Metadata is a comma separated list of "key base64value" pairs
+const parseMetadata = (header = '') => {
+    const metadata = {}
+
+    header.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+        const [key, value] = pair.split(' ')
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : ''
+    })
+
+    return metadata
+}
+
+// Middleware to load the caller's upload from :uploadId
+const loadUpload = async (req, res, next) => {
+    try {
+        const upload = await Upload.findOne({ uploadId: req.params.uploadId, userId: req.user.userId })
+
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' })
+        }
+
+        req.upload = upload
+        next()
+    } catch (error) {
+        console.error('Error loading upload:', error)
+        res.status(500).json({ error: 'Failed to load upload' })
+    }
+}
+
+// Only one PATCH per upload at a time in this process
+const activePatches = new Set()
+
+const serializeUpload = (upload, offset, image) => ({
+    uploadId: upload.uploadId,
+    albumId: upload.albumId,
+    filename: upload.filename,
+    length: upload.length,
+    offset,
+    status: upload.status,
+    expiresAt: upload.expiresAt,
+    image: image ? serializeImage(image) : null
+})
+
+// SERVER CAPABILITIES
+router.options('/', tusHeaders, (req, res) => {
+    res.setHeader('Tus-Version', TUS_VERSION)
+    res.setHeader('Tus-Extension', 'creation,termination,expiration')
+    res.setHeader('Tus-Max-Size', MAX_UPLOAD_BYTES)
+    res.status(204).end()
+})
+
+// CREATE UPLOAD
+router.post('/', verifyJWT, tusHeaders, async (req, res) => {
+    try {
+        const length = Number(req.headers['upload-length'])
+        const metadata = parseMetadata(req.headers['upload-metadata'])
+
+        if (!Number.isInteger(length) || length <= 0) {
+            return res.status(400).json({ error: 'A positive Upload-Length header is required' })
+        }
+
+        if (!metadata.albumId || !metadata.filename || !metadata.filetype) {
+            return res.status(400).json({ error: 'Upload-Metadata must include albumId, filename and filetype' })
+        }
+
+        const album = await Album.findOne({ albumId: metadata.albumId, deletedAt: null })
+
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' })
+        }
+
+        if (!hasAlbumRole(album, req.user, 'contributor')) {
+            return res.status(403).json({ error: 'You do not have permission to upload to this album' })
+        }
+
+        await assertUploadAllowed({ album, user: req.user, mimetype: metadata.filetype, size: length })
+        const duplicates = parseDuplicateMode(metadata.duplicates)
+        const tags = parseTags(metadata.tags)
+
+        const upload = new Upload({
+            uploadId: uuidv4(),
+            albumId: album.albumId,
+            userId: req.user.userId,
+            userEmail: req.user.email,
+            filename: metadata.filename,
+            mimetype: metadata.filetype,
+            tags,
+            person: metadata.person || '',
+            duplicates,
+            length,
+            expiresAt: nextExpiry()
+        })
+
+        await createStagingFile(upload.uploadId)
+        await upload.save()
+
+        res.setHeader('Location', `${process.env.BACKEND_URL || ''}/uploads/${upload.uploadId}`)
+        res.setHeader('Upload-Expires', upload.expiresAt.toUTCString())
+        res.status(201).json({ upload: serializeUpload(upload, 0) })
+    } catch (error) {
+        console.error('Error creating upload:', error)
+        res.status(error.status || 500).json({ error: error.message || 'Failed to create upload' })
+    }
+})
+
+// UPLOAD STATUS (tus)
+router.head('/:uploadId', verifyJWT, tusHeaders, loadUpload, async (req, res) => {
+    try {
+        const upload = req.upload
+        const offset = upload.status === 'completed' ? upload.length : await stagedBytes(upload.uploadId)
+
+        if (offset === null) {
+            return res.status(410).end()
+        }
+
+        res.setHeader('Upload-Offset', offset)
+        res.setHeader('Upload-Length', upload.length)
+        res.setHeader('Upload-Expires', upload.expiresAt.toUTCString())
+        res.setHeader('Cache-Control', 'no-store')
+        res.status(200).end()
+    } catch (error) {
+        console.error('Error fetching upload offset:', error)
+        res.status(500).end()
+    }
+})
+
+// UPLOAD CHUNK
+router.patch('/:uploadId', verifyJWT, tusHeaders, loadUpload, async (req, res) => {
+    const upload = req.upload
+
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+        return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' })
+    }
+
+    if (upload.status === 'completed') {
+        return res.status(409).json({ error: 'Upload is already complete' })
+    }
+
+    if (activePatches.has(upload.uploadId)) {
+        return res.status(423).json({ error: 'Another chunk for this upload is in progress' })
+    }
+
+    activePatches.add(upload.uploadId)
+
+    try {
+        await loadUploadAlbum(upload, req.user)
+
+        const offset = await stagedBytes(upload.uploadId)
+
+        if (offset === null) {
+            return res.status(410).json({ error: 'Upload data is no longer available' })
+        }
+
+        if (Number(req.headers['upload-offset']) !== offset) {
+            res.setHeader('Upload-Offset', offset)
+            return res.status(409).json({ error: `Upload-Offset must be ${offset}` })
+        }
+
+        await appendChunk(upload.uploadId, req, upload.length - offset)
+
+        const newOffset = await stagedBytes(upload.uploadId)
+        res.setHeader('Upload-Offset', newOffset)
+
+        if (newOffset === upload.length) {
+            const image = await completeUpload(upload, req.user)
+            res.setHeader('X-Image-Id', image.imageId)
+        }
+
+        res.setHeader('Upload-Expires', nextExpiry().toUTCString())
+        res.status(204).end()
+    } catch (error) {
+        console.error('Error writing upload chunk:', error)
+        if (!res.headersSent) {
+            res.status(error.status || 500).json({ error: error.message || 'Failed to write upload chunk' })
+        }
+    } finally {
+        activePatches.delete(upload.uploadId)
+    }
+})
+
+// ABANDON UPLOAD
+router.delete('/:uploadId', verifyJWT, tusHeaders, loadUpload, async (req, res) => {
+    try {
+        if (activePatches.has(req.upload.uploadId)) {
+            return res.status(423).json({ error: 'A chunk for this upload is in progress' })
+        }
+
+        await removeUpload(req.upload)
+        res.status(204).end()
+    } catch (error) {
+        console.error('Error deleting upload:', error)
+        res.status(500).json({ error: 'Failed to delete upload' })
+    }
+})
+
+// UPLOAD STATUS (JSON)
+router.get('/:uploadId', verifyJWT, loadUpload, async (req, res) => {
+    try {
+        const upload = req.upload
+        const offset = upload.status === 'completed' ? upload.length : await stagedBytes(upload.uploadId)
+        const image = upload.status === 'completed' ? await Image.findOne({ imageId: upload.imageId }) : null
+
+        res.json({ upload: serializeUpload(upload, offset || 0, image) })
+    } catch (error) {
+        console.error('Error fetching upload:', error)
+        res.status(500).json({ error: 'Failed to fetch upload' })
+    }
+})
+
+// COMPLETE UPLOAD
+// Normally the last PATCH completes the upload; this finishes one whose
+// final step failed, or returns the image of one that already completed
+router.post('/:uploadId/complete', verifyJWT, loadUpload, async (req, res) => {
+    try {
+        if (activePatches.has(req.upload.uploadId)) {
+            return res.status(423).json({ error: 'A chunk for this upload is in progress' })
+        }
+
+        const image = await completeUpload(req.upload, req.user)
+
+        res.json({
+            message: 'Upload completed successfully',
+            upload: serializeUpload(req.upload, req.upload.length, image)
+        })
+    } catch (error) {
+        console.error('Error completing upload:', error)
+        res.status(error.status || 500).json({ error: error.message || 'Failed to complete upload' })
+    }
+})
+
+module.exports = router
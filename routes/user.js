@@ -0,0 +1,173 @@
+const express = require('express')
+const KaviosUser = require('../models/User.model')
+const Invitation = require('../models/Invitation.model')
+const { deleteAccount } = require('../services/account')
+const { clearAuthCookies } = require('../services')
+const { createJob, serializeJob } = require('../services/jobs')
+const { getPreferences, updatePreferences } = require('../services/notifications')
+const { normalizeEmail, statusQuery } = require('../services/invitations')
+const { usageReport } = require('../services/quota')
+require('../services/export') // registers the account-export job handler
+const router = express.Router()
+
+const MAX_LARGEST_FILES = 50
+
+const verifyJWT = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Unauthorized' })
+    }
+    next()
+}
+
+const serializeUser = (user) => ({
+    email: user.email,
+    userId: user.googleId,
+    name: user.name,
+    picture: user.picture,
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt
+})
+
+// GET USER PROFILE
+// Includes the number of album invitations waiting for an answer
+router.get('/profile', verifyJWT, async (req, res) => {
+    try {
+        // Sessions issued before users were persisted have no record yet
+        const user = await KaviosUser.findOneAndUpdate(
+            { googleId: req.user.userId },
+            {
+                $setOnInsert: {
+                    email: req.user.email,
+                    name: req.user.name,
+                    picture: req.user.picture
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        )
+
+        const pendingInvitations = await Invitation.countDocuments({ email: normalizeEmail(user.email), ...statusQuery('pending') })
+
+        res.json({ user: serializeUser(user), pendingInvitations })
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch profile' })
+    }
+})
+
+// UPDATE USER PROFILE
+router.put('/profile', verifyJWT, async (req, res) => {
+    try {
+        const { name, picture } = req.body
+        const updates = {}
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+                return res.status(400).json({ error: 'Name must be between 1 and 100 characters' })
+            }
+            updates.name = name.trim()
+        }
+
+        if (picture !== undefined) {
+            if (typeof picture !== 'string' || (picture !== '' && !/^https?:\/\//.test(picture))) {
+                return res.status(400).json({ error: 'Picture must be an http(s) URL' })
+            }
+            updates.picture = picture
+        }
+
+        const user = await KaviosUser.findOneAndUpdate(
+            { googleId: req.user.userId },
+            { $set: updates },
+            { new: true }
+        )
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' })
+        }
+
+        res.json({
+            message: 'Profile updated successfully',
+            user: serializeUser(user)
+        })
+    } catch (error) {
+        console.error('Error updating profile:', error)
+        res.status(500).json({ error: 'Failed to update profile' })
+    }
+})
+
+// GET NOTIFICATION PREFERENCES
+// { shares, uploads, comments }, each instant | digest | off
+router.get('/notifications', verifyJWT, async (req, res) => {
+    try {
+        res.json({ notifications: await getPreferences(req.user.userId) })
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error)
+        res.status(500).json({ error: 'Failed to fetch notification preferences' })
+    }
+})
+
+// UPDATE NOTIFICATION PREFERENCES (any subset of the categories)
+router.put('/notifications', verifyJWT, async (req, res) => {
+    try {
+        const notifications = await updatePreferences(req.user, req.body)
+
+        res.json({
+            message: 'Notification preferences updated successfully',
+            notifications
+        })
+    } catch (error) {
+        console.error('Error updating notification preferences:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update notification preferences' })
+    }
+})
+
+// GET STORAGE USAGE
+// Quota, usage per album, the largest files and growth over time.
+// groupBy=day|week|month (default month), largest=1-50 (default 10)
+router.get('/usage', verifyJWT, async (req, res) => {
+    try {
+        const largest = req.query.largest === undefined ? 10 : Number(req.query.largest)
+
+        if (!Number.isInteger(largest) || largest < 1 || largest > MAX_LARGEST_FILES) {
+            return res.status(400).json({ error: `largest must be an integer between 1 and ${MAX_LARGEST_FILES}` })
+        }
+
+        const usage = await usageReport(req.user.userId, { groupBy: req.query.groupBy || 'month', largest })
+
+        res.json({ usage })
+    } catch (error) {
+        console.error('Error fetching storage usage:', error)
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch storage usage' })
+    }
+})
+
+// START ACCOUNT EXPORT (poll GET /jobs/:jobId, then download)
+router.post('/export', verifyJWT, async (req, res) => {
+    try {
+        const job = await createJob('account-export', req.user)
+
+        res.status(202).json({
+            message: 'Account export started',
+            job: serializeJob(job)
+        })
+    } catch (error) {
+        console.error('Error starting account export:', error)
+        res.status(500).json({ error: 'Failed to start account export' })
+    }
+})
+
+// DELETE ACCOUNT (cascades to owned albums, images and shares)
+router.delete('/account', verifyJWT, async (req, res) => {
+    try {
+        const deleted = await deleteAccount(req.user)
+
+        clearAuthCookies(res)
+        res.json({
+            message: 'Account deleted successfully',
+            deleted
+        })
+    } catch (error) {
+        console.error('Error deleting account:', error)
+        res.status(500).json({ error: 'Failed to delete account' })
+    }
+})
+
+module.exports = router
@@ -0,0 +1,64 @@
+const Album = require('../models/Album.model')
+const { normalizeEmail } = require('./invitations')
+
+// Album roles, from least to most privileged. The owner outranks every member role.
+const ROLES = ['viewer', 'contributor', 'editor']
+const ROLE_RANK = { viewer: 1, contributor: 2, editor: 3, owner: 4 }
+
+// Resolve the caller's role on an album, or null when they have no access
+const getAlbumRole = (album, user) => {
+    if (album.ownerId === user.userId) {
+        return 'owner'
+    }
+
+    const email = normalizeEmail(user.email)
+    const member = album.members.find(m => normalizeEmail(m.email) === email)
+    return member ? member.role : null
+}
+
+const hasAlbumRole = (album, user, requiredRole) => {
+    const role = getAlbumRole(album, user)
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[requiredRole]
+}
+
+// Query matching every album (outside the trash) the user owns or is a member of
+const accessibleAlbumsQuery = (user) => ({
+    deletedAt: null,
+    $or: [
+        { ownerId: user.userId },
+        { 'members.email': normalizeEmail(user.email) }
+    ]
+})
+
+// Middleware: load req.params.albumId into req.album and require at least `requiredRole`
+const requireAlbumRole = (requiredRole) => async (req, res, next) => {
+    try {
+        const album = await Album.findOne({ albumId: req.params.albumId, deletedAt: null })
+
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' })
+        }
+
+        const role = getAlbumRole(album, req.user)
+
+        if (!role) {
+            return res.status(403).json({ error: 'You do not have access to this album' })
+        }
+
+        if (ROLE_RANK[role] < ROLE_RANK[requiredRole]) {
+            const message = requiredRole === 'owner'
+                ? 'Only the album owner can do this'
+                : `This action requires the ${requiredRole} role on this album`
+            return res.status(403).json({ error: message })
+        }
+
+        req.album = album
+        req.albumRole = role
+        next()
+    } catch (error) {
+        console.error('Error checking album access:', error)
+        res.status(500).json({ error: 'Failed to check album access' })
+    }
+}
+
+module.exports = { ROLES, ROLE_RANK, getAlbumRole, hasAlbumRole, accessibleAlbumsQuery, requireAlbumRole }
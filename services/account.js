@@ -0,0 +1,64 @@
+const fs = require('fs')
+const Album = require('../models/Album.model')
+const ShareLink = require('../models/ShareLink.model')
+const KaviosUser = require('../models/User.model')
+const Session = require('../models/Session.model')
+const Job = require('../models/Job.model')
+const Image = require('../models/Image.model')
+const Favorite = require('../models/Favorite.model')
+const Person = require('../models/Person.model')
+const Tag = require('../models/Tag.model')
+const Notification = require('../models/Notification.model')
+const Invitation = require('../models/Invitation.model')
+const { purgeAlbum } = require('./trash')
+const { normalizeEmail } = require('./invitations')
+
+// Permanently delete a user's account and everything they own, skipping the trash:
+// their albums (with the images and stored files in them), their share links,
+// their sessions, their favorites, people, tags and queued notifications, and
+// their membership in (and invitations to) other people's albums. Images the user uploaded into
+// albums owned by someone else stay with that album.
+const deleteAccount = async (user) => {
+    const albums = await Album.find({ ownerId: user.userId })
+
+    for (const album of albums) {
+        await purgeAlbum(album)
+    }
+
+    await ShareLink.deleteMany({ ownerId: user.userId })
+
+    // Remove the user from albums shared with them, and from any they were invited to
+    const email = normalizeEmail(user.email)
+    await Album.updateMany(
+        { 'members.email': email },
+        { $pull: { members: { email } } }
+    )
+    await Invitation.deleteMany({ email })
+
+    // Take back the user's stars on images in other people's albums
+    const favorites = await Favorite.find({ userId: user.userId }, { imageId: 1 })
+    await Image.updateMany(
+        { imageId: { $in: favorites.map(favorite => favorite.imageId) } },
+        { $inc: { favoriteCount: -1 } }
+    )
+    await Favorite.deleteMany({ userId: user.userId })
+
+    // Exports contain the user's photos, so don't wait for them to expire
+    const jobs = await Job.find({ userId: user.userId })
+    for (const job of jobs) {
+        if (job.filePath) {
+            await fs.promises.rm(job.filePath, { force: true })
+        }
+    }
+    await Job.deleteMany({ userId: user.userId })
+
+    await Person.deleteMany({ ownerId: user.userId })
+    await Tag.deleteMany({ ownerId: user.userId })
+    await Notification.deleteMany({ email: user.email })
+    await Session.deleteMany({ userId: user.userId })
+    await KaviosUser.deleteOne({ googleId: user.userId })
+
+    return { albums: albums.length }
+}
+
+module.exports = { deleteAccount }
@@ -0,0 +1,139 @@
+const { v4: uuidv4 } = require('uuid')
+const Activity = require('../models/Activity.model')
+const { HttpError } = require('./errors')
+
+// Album activity log. Mutating routes append an entry once the change has been
+// saved; the album feed and the "shared with me" feed read them back, and
+// listeners (notifications, webhooks) are told about each new entry.
+
+const ACTIVITY_ACTIONS = [
+    'album.created',
+    'album.updated',
+    'album.reordered',
+    'album.shared',
+    'album.imported',
+    'album.trashed',
+    'album.restored',
+    'member.role_changed',
+    'member.removed',
+    'member.left',
+    'invite.accepted',
+    'invite.declined',
+    'invite.resent',
+    'invite.revoked',
+    'link.created',
+    'link.revoked',
+    'webhook.created',
+    'webhook.updated',
+    'webhook.deleted',
+    'image.uploaded',
+    'image.updated',
+    'image.tagged',
+    'image.people_changed',
+    'image.moved_in',
+    'image.moved_out',
+    'image.copied_in',
+    'image.trashed',
+    'image.restored',
+    'image.deleted',
+    'comment.added',
+    'comment.edited',
+    'comment.deleted',
+    'comment.reacted',
+    'comment.unreacted'
+]
+
+const listeners = []
+
+// Register a function to call with every new activity entry
+const onActivity = (listener) => {
+    listeners.push(listener)
+}
+
+// Append an entry. A failure here must not fail a change that already
+// happened, so it is logged and swallowed. Listeners run in the background.
+const recordActivity = async (albumId, user, action, { targetType = 'album', targetId = albumId, details = {} } = {}) => {
+    try {
+        const activity = await Activity.create({
+            activityId: uuidv4(),
+            albumId,
+            actorId: user.userId,
+            actorEmail: user.email || null,
+            action,
+            targetType,
+            targetId,
+            details
+        })
+
+        for (const listener of listeners) {
+            Promise.resolve(listener(activity)).catch(error => console.error(`Error handling ${action} activity:`, error))
+        }
+
+        return activity
+    } catch (error) {
+        console.error(`Error recording ${action} activity:`, error)
+        return null
+    }
+}
+
+// Expand a list of actions or whole groups ("image" for every image.* action)
+// into actions, rejecting unknown names
+const expandActions = (values) => {
+    const actions = new Set()
+
+    for (const value of values) {
+        const matches = ACTIVITY_ACTIONS.filter(known => known === value || known.startsWith(`${value}.`))
+
+        if (matches.length === 0) {
+            throw new HttpError(400, `Unknown action "${value}"`)
+        }
+
+        matches.forEach(match => actions.add(match))
+    }
+
+    return [...actions]
+}
+
+// ?action= filter: a comma-separated list of actions or whole groups
+// ("image" for every image.* action)
+const parseActionFilter = (action) => {
+    if (action === undefined || action === '') {
+        return {}
+    }
+
+    return { action: { $in: expandActions(String(action).split(',').map(value => value.trim())) } }
+}
+
+// ?since= filter for "what's new" polling
+const parseSinceFilter = (since) => {
+    if (since === undefined || since === '') {
+        return {}
+    }
+
+    const date = new Date(since)
+    if (isNaN(date.getTime())) {
+        throw new HttpError(400, 'since must be a valid date')
+    }
+
+    return { createdAt: { $gt: date } }
+}
+
+const serializeActivity = (activity) => ({
+    activityId: activity.activityId,
+    albumId: activity.albumId,
+    actor: { userId: activity.actorId, email: activity.actorEmail },
+    action: activity.action,
+    target: { type: activity.targetType, id: activity.targetId },
+    details: activity.details || {},
+    createdAt: activity.createdAt
+})
+
+module.exports = {
+    ACTIVITY_ACTIONS,
+    onActivity,
+    recordActivity,
+    expandActions,
+    parseActionFilter,
+    parseSinceFilter,
+    serializeActivity
+}
@@ -0,0 +1,224 @@
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const { serializeRenditions } = require('./images')
+const { HttpError } = require('./errors')
+
+// Album presentation: the cover image, image count and date span shown in
+// album listings, and the order an album's photos are listed in. The owner
+// picks a sort mode (upload date, capture date, name) or arranges the photos
+// by hand; the manual order is kept in Image.position.
+
+const SORT_MODES = ['uploadedAt', 'capturedAt', 'name', 'manual']
+const SORT_ORDERS = ['asc', 'desc']
+const MAX_ORDER_IMAGES = 10000
+
+// Image sort field and direction for an album's default ordering
+const albumSort = (album) => album.sortMode === 'manual'
+    ? { sortField: 'position', direction: 1 }
+    : { sortField: album.sortMode || 'uploadedAt', direction: album.sortOrder === 'asc' ? 1 : -1 }
+
+// Mongo sort spec for an album's default ordering
+const albumSortSpec = (album) => {
+    const { sortField, direction } = albumSort(album)
+    return { [sortField]: direction, _id: direction }
+}
+
+// Position for an image added to the end of an album's manual order. Taken
+// from the album's counter in one atomic update, so images uploaded at the
+// same time never share a place. Albums from before the counter start it
+// after their highest position; only the first seeding attempt applies.
+const nextPosition = async (albumId) => {
+    for (;;) {
+        const album = await Album.findOneAndUpdate(
+            { albumId, nextImagePosition: { $ne: null } },
+            { $inc: { nextImagePosition: 1 } },
+            { new: true, projection: { nextImagePosition: 1 } }
+        )
+
+        if (album) {
+            return album.nextImagePosition - 1
+        }
+
+        const last = await Image.findOne({ albumId, position: { $ne: null } }, { position: 1 }).sort({ position: -1 })
+        const seeded = await Album.updateOne(
+            { albumId, nextImagePosition: null },
+            { $set: { nextImagePosition: last ? last.position + 1 : 0 } }
+        )
+
+        // No such album: nothing to count against
+        if (seeded.matchedCount === 0 && !(await Album.exists({ albumId }))) {
+            throw new HttpError(404, 'Album not found')
+        }
+    }
+}
+
+// Give images that have no position yet places in the manual order. They were
+// uploaded before positions were recorded, so they go first, oldest first.
+const ensurePositions = async (albumId) => {
+    const unpositioned = await Image.find({ albumId, position: null }, { imageId: 1 }).sort({ uploadedAt: 1, _id: 1 })
+
+    if (unpositioned.length === 0) {
+        return
+    }
+
+    await Album.updateOne({ albumId, nextImagePosition: { $ne: null } }, { $inc: { nextImagePosition: unpositioned.length } })
+    await Image.updateMany({ albumId, position: { $ne: null } }, { $inc: { position: unpositioned.length } })
+    await Image.bulkWrite(unpositioned.map((image, index) => ({
+        updateOne: { filter: { imageId: image.imageId }, update: { $set: { position: index } } }
+    })))
+}
+
+// Persist a manual order. `imageIds` come first in the given order; the rest
+// of the album keeps its current relative order after them.
+const reorderImages = async (album, imageIds) => {
+    if (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > MAX_ORDER_IMAGES) {
+        throw new HttpError(400, `imageIds must be a list of 1 to ${MAX_ORDER_IMAGES} image ids`)
+    }
+
+    if (new Set(imageIds).size !== imageIds.length) {
+        throw new HttpError(400, 'imageIds must not repeat')
+    }
+
+    await ensurePositions(album.albumId)
+
+    // Trashed images keep a place so a restore puts them back where they were
+    const images = await Image.find({ albumId: album.albumId }, { imageId: 1 }).sort({ position: 1, _id: 1 })
+    const known = new Set(images.map(image => image.imageId))
+    const unknown = imageIds.filter(imageId => !known.has(imageId))
+
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Not in this album: ${unknown.slice(0, 10).join(', ')}`)
+    }
+
+    const listed = new Set(imageIds)
+    const sequence = imageIds.concat(images.map(image => image.imageId).filter(imageId => !listed.has(imageId)))
+
+    await Image.bulkWrite(sequence.map((imageId, position) => ({
+        updateOne: { filter: { imageId }, update: { $set: { position } } }
+    })))
+
+    // Positions already handed out stay taken; never move the counter back
+    await Album.updateOne({ albumId: album.albumId }, { $max: { nextImagePosition: sequence.length } })
+
+    return sequence.length
+}
+
+// Validate a cover image choice: an image in the album, or null for automatic
+const parseCoverImage = async (album, coverImageId) => {
+    if (coverImageId === null) {
+        return null
+    }
+
+    if (typeof coverImageId !== 'string' ||
+        !(await Image.exists({ imageId: coverImageId, albumId: album.albumId, deletedAt: null }))) {
+        throw new HttpError(400, 'coverImageId must be an image in this album, or null')
+    }
+
+    return coverImageId
+}
+
+const serializeCover = (image, auto) => ({
+    imageId: image.imageId,
+    url: image.url,
+    renditions: serializeRenditions(image),
+    auto
+})
+
+// albumId -> first image in the album's own order, for albums needing an
+// automatic cover. One aggregation per sort order in use rather than a query
+// per album.
+const firstImages = async (albums, projection) => {
+    const bySort = new Map()
+
+    for (const album of albums) {
+        const spec = albumSortSpec(album)
+        const key = JSON.stringify(spec)
+
+        if (!bySort.has(key)) {
+            bySort.set(key, { spec, albumIds: [] })
+        }
+        bySort.get(key).albumIds.push(album.albumId)
+    }
+
+    const first = Object.fromEntries(Object.keys(projection).map(field => [field, { $first: `$${field}` }]))
+
+    const groups = await Promise.all([...bySort.values()].map(({ spec, albumIds }) => Image.aggregate([
+        { $match: { albumId: { $in: albumIds }, deletedAt: null } },
+        { $sort: { albumId: 1, ...spec } },
+        { $group: { _id: '$albumId', ...first } }
+    ]).allowDiskUse(true)))
+
+    // Hydrated so renditions come back as a Map, as from a query
+    return new Map(groups.flat().map(({ _id, ...image }) => [_id, Image.hydrate(image)]))
+}
+
+// albumId -> { cover, imageCount, dateRange } for a list of albums. The cover
+// is the owner's choice while it is still in the album, otherwise the first
+// photo in the album's own order. The date span uses capture dates, falling
+// back to upload dates.
+const albumSummaries = async (albums) => {
+    const albumIds = albums.map(album => album.albumId)
+    const projection = { imageId: 1, albumId: 1, url: 1, renditions: 1 }
+
+    const [stats, chosen] = await Promise.all([
+        Image.aggregate([
+            { $match: { albumId: { $in: albumIds }, deletedAt: null } },
+            {
+                $group: {
+                    _id: '$albumId',
+                    count: { $sum: 1 },
+                    from: { $min: { $ifNull: ['$capturedAt', '$uploadedAt'] } },
+                    to: { $max: { $ifNull: ['$capturedAt', '$uploadedAt'] } }
+                }
+            }
+        ]),
+        Image.find({
+            imageId: { $in: albums.map(album => album.coverImageId).filter(Boolean) },
+            albumId: { $in: albumIds },
+            deletedAt: null
+        }, projection)
+    ])
+
+    const statsById = new Map(stats.map(entry => [entry._id, entry]))
+    const chosenById = new Map(chosen.map(image => [image.imageId, image]))
+    const picks = new Map()
+
+    for (const album of albums) {
+        const picked = album.coverImageId && chosenById.get(album.coverImageId)
+        if (picked && picked.albumId === album.albumId) {
+            picks.set(album.albumId, picked)
+        }
+    }
+
+    const firsts = await firstImages(
+        albums.filter(album => !picks.has(album.albumId) && statsById.has(album.albumId)),
+        projection
+    )
+
+    const summaries = new Map()
+    for (const album of albums) {
+        const entry = statsById.get(album.albumId)
+        const picked = picks.get(album.albumId)
+        const first = firsts.get(album.albumId)
+
+        summaries.set(album.albumId, {
+            cover: picked ? serializeCover(picked, false) : first ? serializeCover(first, true) : null,
+            imageCount: entry ? entry.count : 0,
+            dateRange: entry ? { from: entry.from, to: entry.to } : null
+        })
+    }
+
+    return summaries
+}
+
+module.exports = {
+    SORT_MODES,
+    SORT_ORDERS,
+    albumSort,
+    albumSortSpec,
+    nextPosition,
+    ensurePositions,
+    reorderImages,
+    parseCoverImage,
+    albumSummaries
+}
@@ -0,0 +1,185 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { v4: uuidv4 } = require('uuid')
+const Session = require('../models/Session.model')
+const KaviosUser = require('../models/User.model')
+const { ACCESS_TOKEN_TTL_MINUTES, REFRESH_TOKEN_TTL_DAYS } = require('.')
+
+// Rotated-out token hashes kept per session for reuse detection. An older
+// token is still refused, it just no longer revokes the session.
+const MAX_PREVIOUS_TOKEN_HASHES = 50
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Refresh tokens are "<sessionId>.<random secret>" so the session can be found without a scan
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`
+
+const signAccessToken = (user, sessionId) => jwt.sign({
+    email: user.email,
+    userId: user.userId,
+    name: user.name,
+    picture: user.picture,
+    sid: sessionId
+}, process.env.JWT_SECRET, { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` })
+
+// Rough, human readable device label from a User-Agent header
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent))
+    const os = [
+        ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent))
+
+    if (!browser && !os) {
+        return 'Unknown device'
+    }
+
+    return [browser?.[0], os?.[0]].filter(Boolean).join(' on ')
+}
+
+// Start a new session for a freshly authenticated user
+const startSession = async (user, req) => {
+    const sessionId = uuidv4()
+    const refreshToken = generateRefreshToken(sessionId)
+
+    await Session.create({
+        sessionId,
+        userId: user.userId,
+        email: user.email,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.headers['user-agent'] || '',
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    })
+
+    return { accessToken: signAccessToken(user, sessionId), refreshToken }
+}
+
+// Exchange a refresh token for a new access/refresh pair.
+// Presenting a refresh token that was already rotated out means it leaked,
+// so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+    const sessionId = refreshToken.split('.')[0]
+    const session = await Session.findOne({ sessionId })
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Invalid or expired refresh token' }
+    }
+
+    const tokenHash = hashToken(refreshToken)
+
+    if (session.previousTokenHashes.includes(tokenHash)) {
+        session.revokedAt = new Date()
+        session.revokedReason = 'refresh_token_reuse'
+        await session.save()
+        console.warn('Refresh token reuse detected, session revoked:', session.sessionId)
+        return { error: 'Refresh token reuse detected, session revoked' }
+    }
+
+    if (session.refreshTokenHash !== tokenHash) {
+        return { error: 'Invalid or expired refresh token' }
+    }
+
+    const nextRefreshToken = generateRefreshToken(sessionId)
+
+    // Only rotate if nobody else rotated this token in the meantime
+    const rotated = await Session.findOneAndUpdate(
+        { sessionId, refreshTokenHash: tokenHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                lastUsedAt: new Date(),
+                userAgent: req.headers['user-agent'] || session.userAgent,
+                ip: req.ip
+            },
+            $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+        },
+        { new: true }
+    )
+
+    if (!rotated) {
+        return { error: 'Invalid or expired refresh token' }
+    }
+
+    const profile = await KaviosUser.findOne({ googleId: rotated.userId })
+    const user = {
+        email: rotated.email,
+        userId: rotated.userId,
+        name: profile?.name,
+        picture: profile?.picture
+    }
+
+    return { session: rotated, accessToken: signAccessToken(user, sessionId), refreshToken: nextRefreshToken }
+}
+
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+    const result = await Session.updateOne(
+        { userId, sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+
+    return result.modifiedCount > 0
+}
+
+// Log out the session a refresh token belongs to. Only the session's current
+// token counts, so a made-up token naming someone's session id does nothing.
+const endSession = async (refreshToken) => {
+    const sessionId = String(refreshToken).split('.')[0]
+    const result = await Session.updateOne(
+        { sessionId, refreshTokenHash: hashToken(String(refreshToken)), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    )
+
+    return result.modifiedCount > 0
+}
+
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+    const query = { userId, revokedAt: null }
+
+    if (exceptSessionId) {
+        query.sessionId = { $ne: exceptSessionId }
+    }
+
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } })
+
+    return result.modifiedCount
+}
+
+// JWT Verification Middleware: a valid signature is not enough, the session
+// behind the token must not have been revoked server-side.
+const verifyJWT = async (req, res, next) => {
+    const token = req.cookies.access_token || req.headers.authorization?.split(' ')[1]
+
+    if(!token){
+        return res.status(401).json({error: 'No token provided'})
+    }
+
+    let decoded
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET)
+    } catch (error) {
+        return res.status(401).json({error: 'Invalid or expired token'})
+    }
+
+    const active = decoded.sid && await Session.exists({ sessionId: decoded.sid, revokedAt: null })
+
+    if (!active) {
+        return res.status(401).json({error: 'Session has been revoked'})
+    }
+
+    req.user = decoded
+    next()
+}
+
+module.exports = {
+    describeDevice,
+    startSession,
+    rotateRefreshToken,
+    revokeSession,
+    endSession,
+    revokeAllSessions,
+    verifyJWT
+}
@@ -0,0 +1,182 @@
+const { v4: uuidv4 } = require('uuid')
+const Comment = require('../models/Comment.model')
+const Image = require('../models/Image.model')
+const { HttpError } = require('./errors')
+
+const MAX_COMMENT_LENGTH = 5000
+
+// Emoji only (including skin tones, flags and ZWJ sequences), kept short
+const EMOJI_PATTERN = /^(?=.*(?:\p{Extended_Pictographic}|\p{Regional_Indicator}))(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u
+const MAX_EMOJI_LENGTH = 32
+
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[^\s@,;:!?()<>'"]+)/g
+
+const normalizeText = (text) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new HttpError(400, 'Comment cannot be empty')
+    }
+
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw new HttpError(400, `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`)
+    }
+
+    return text.trim()
+}
+
+const assertEmoji = (emoji) => {
+    if (typeof emoji !== 'string' || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(emoji)) {
+        throw new HttpError(400, 'Reaction must be an emoji')
+    }
+}
+
+// @email mentions in `text` that belong to someone with access to the album;
+// anything else is left as plain text
+const resolveMentions = (text, album) => {
+    const participants = new Set(
+        [album.ownerEmail, ...(album.members || []).map(member => member.email)]
+            .filter(Boolean)
+            .map(email => email.toLowerCase())
+    )
+
+    const mentions = new Set()
+    for (const [, email] of text.matchAll(MENTION_PATTERN)) {
+        const normalized = email.toLowerCase().replace(/\.+$/, '')
+        if (participants.has(normalized)) {
+            mentions.add(normalized)
+        }
+    }
+
+    return [...mentions]
+}
+
+// Refresh the comment count and searchable text stored on the image
+const syncImageComments = async (imageId) => {
+    const comments = await Comment.find({ imageId }, { comment: 1 })
+
+    await Image.updateOne({ imageId }, {
+        $set: {
+            commentCount: comments.length,
+            commentText: comments.map(comment => comment.comment)
+        }
+    })
+}
+
+// Add a comment (or a reply when `parentId` is given) to an image. Replying
+// to a reply joins the same thread.
+const createComment = async ({ album, image, user, text, parentId = null, createdAt = new Date() }) => {
+    const comment = normalizeText(text)
+
+    let threadId = null
+    if (parentId) {
+        const parent = await Comment.findOne({ commentId: parentId, imageId: image.imageId })
+
+        if (!parent) {
+            throw new HttpError(404, 'Parent comment not found')
+        }
+        threadId = parent.parentId || parent.commentId
+    }
+
+    const created = await Comment.create({
+        commentId: uuidv4(),
+        imageId: image.imageId,
+        albumId: album.albumId,
+        parentId: threadId,
+        userId: user.userId,
+        userEmail: user.email,
+        comment,
+        mentions: resolveMentions(comment, album),
+        createdAt
+    })
+
+    await syncImageComments(image.imageId)
+
+    return created
+}
+
+const editComment = async (comment, album, text) => {
+    comment.comment = normalizeText(text)
+    comment.mentions = resolveMentions(comment.comment, album)
+    comment.editedAt = new Date()
+    await comment.save()
+
+    await syncImageComments(comment.imageId)
+
+    return comment
+}
+
+// Deleting a top-level comment removes its replies with it
+const deleteComment = async (comment) => {
+    await Comment.deleteMany({ $or: [{ commentId: comment.commentId }, { parentId: comment.commentId }] })
+    await syncImageComments(comment.imageId)
+}
+
+const addReaction = async (comment, user, emoji) => {
+    assertEmoji(emoji)
+
+    await Comment.updateOne(
+        { commentId: comment.commentId, reactions: { $not: { $elemMatch: { emoji, userId: user.userId } } } },
+        { $push: { reactions: { emoji, userId: user.userId, userEmail: user.email, createdAt: new Date() } } }
+    )
+
+    return Comment.findOne({ commentId: comment.commentId })
+}
+
+const removeReaction = async (comment, user, emoji) => {
+    await Comment.updateOne(
+        { commentId: comment.commentId },
+        { $pull: { reactions: { emoji, userId: user.userId } } }
+    )
+
+    return Comment.findOne({ commentId: comment.commentId })
+}
+
+// Reactions grouped by emoji, in the order each emoji was first used
+const summarizeReactions = (reactions, user) => {
+    const byEmoji = new Map()
+
+    for (const reaction of reactions || []) {
+        const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, reacted: false, users: [] }
+        entry.count++
+        entry.reacted = entry.reacted || reaction.userId === user?.userId
+        entry.users.push(reaction.userEmail)
+        byEmoji.set(reaction.emoji, entry)
+    }
+
+    return [...byEmoji.values()]
+}
+
+const serializeComment = (comment, user, replyCount) => ({
+    commentId: comment.commentId,
+    imageId: comment.imageId,
+    parentId: comment.parentId,
+    userId: comment.userId,
+    userEmail: comment.userEmail,
+    comment: comment.comment,
+    mentions: comment.mentions,
+    reactions: summarizeReactions(comment.reactions, user),
+    ...(replyCount !== undefined ? { replyCount } : {}),
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt
+})
+
+// commentId -> number of replies, for a page of top-level comments
+const countReplies = async (comments) => {
+    const counts = await Comment.aggregate([
+        { $match: { parentId: { $in: comments.map(comment => comment.commentId) } } },
+        { $group: { _id: '$parentId', count: { $sum: 1 } } }
+    ])
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]))
+}
+
+module.exports = {
+    resolveMentions,
+    syncImageComments,
+    createComment,
+    editComment,
+    deleteComment,
+    addReaction,
+    removeReaction,
+    serializeComment,
+    countReplies
+}
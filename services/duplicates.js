@@ -0,0 +1,232 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const sharp = require('sharp')
+const { HttpError } = require('./errors')
+
+// Duplicate detection. Every image gets a content hash (sha256 of the stored
+// bytes, for exact copies) and a perceptual hash (64-bit difference hash of
+// a 9x8 greyscale thumbnail, for re-encodes, resizes and light edits).
+
+// What an upload does when an identical file is already in the album
+const DUPLICATE_MODES = ['allow', 'flag', 'reject']
+
+// Hamming distance at or below which two perceptual hashes count as the same
+// picture; 64 bits in total
+const DEFAULT_DUPLICATE_THRESHOLD = 10
+const MAX_DUPLICATE_THRESHOLD = 20
+
+const parseDuplicateMode = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return 'allow'
+    }
+
+    if (!DUPLICATE_MODES.includes(value)) {
+        throw new HttpError(400, `duplicates must be one of ${DUPLICATE_MODES.join(', ')}`)
+    }
+
+    return value
+}
+
+const contentHash = async (source) => {
+    const hash = crypto.createHash('sha256')
+
+    if (Buffer.isBuffer(source)) {
+        return hash.update(source).digest('hex')
+    }
+
+    for await (const chunk of fs.createReadStream(source)) {
+        hash.update(chunk)
+    }
+    return hash.digest('hex')
+}
+
+// dHash: each bit says whether a pixel is brighter than its right neighbour
+const perceptualHash = async (source) => {
+    const pixels = await sharp(source)
+        .rotate()
+        .removeAlpha()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer()
+
+    let hash = ''
+    for (let row = 0; row < 8; row++) {
+        let byte = 0
+        for (let col = 0; col < 8; col++) {
+            byte = (byte << 1) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1 : 0)
+        }
+        hash += byte.toString(16).padStart(2, '0')
+    }
+
+    return hash
+}
+
+// Both hashes for an image (buffer or file path). The perceptual hash is
+// best effort and left null when it cannot be computed.
+const computeHashes = async (source) => {
+    let phash = null
+    try {
+        phash = await perceptualHash(source)
+    } catch (error) {
+        console.error('Error computing perceptual hash:', error.message)
+    }
+
+    return { contentHash: await contentHash(source), perceptualHash: phash }
+}
+
+// Set bits in a 32-bit integer
+const popcount = (x) => {
+    x = x - ((x >>> 1) & 0x55555555)
+    x = (x & 0x33333333) + ((x >>> 2) & 0x33333333)
+    return (((x + (x >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24
+}
+
+// Most images one duplicate scan compares; larger libraries are checked album
+// by album
+const MAX_DUPLICATE_SCAN_IMAGES = Number(process.env.MAX_DUPLICATE_SCAN_IMAGES) || 20000
+
+// Hash comparisons between yields to the event loop, so a large scan doesn't
+// hold up other requests
+const COMPARISONS_PER_YIELD = 200000
+
+// Below this many bits per band, banding stops filtering and costs more than
+// comparing every pair
+const MIN_BAND_BITS = 5
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve))
+
+// Groups of hash indexes that need comparing with each other. Split into
+// threshold + 1 bands, two hashes within `threshold` bits must agree exactly
+// on at least one band (pigeonhole), so only hashes sharing a band value are
+// candidates. Wide thresholds fall back to a single group of everything.
+const candidateGroups = (hexes, threshold) => {
+    const bands = threshold + 1
+
+    if (64 / bands < MIN_BAND_BITS) {
+        return [hexes.map((_, index) => index)]
+    }
+
+    const values = hexes.map(hex => BigInt(`0x${hex}`))
+    const groups = []
+
+    for (let band = 0; band < bands; band++) {
+        const from = Math.floor(band * 64 / bands)
+        const to = Math.floor((band + 1) * 64 / bands)
+        const mask = (1n << BigInt(to - from)) - 1n
+        const buckets = new Map()
+
+        values.forEach((value, index) => {
+            const key = Number((value >> BigInt(from)) & mask)
+            const bucket = buckets.get(key)
+
+            if (bucket) {
+                bucket.push(index)
+            } else {
+                buckets.set(key, [index])
+            }
+        })
+
+        for (const bucket of buckets.values()) {
+            if (bucket.length > 1) {
+                groups.push(bucket)
+            }
+        }
+    }
+
+    return groups
+}
+
+// Group images into clusters of exact (same content hash) or near (perceptual
+// hashes within `threshold` bits) duplicates. Each cluster is oldest first,
+// so the first image is the natural one to keep. Only contentHash,
+// perceptualHash and uploadedAt are read from the images.
+const findDuplicateClusters = async (images, threshold = DEFAULT_DUPLICATE_THRESHOLD) => {
+    const parent = images.map((_, index) => index)
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]]
+            index = parent[index]
+        }
+        return index
+    }
+    const union = (a, b) => {
+        parent[find(a)] = find(b)
+    }
+
+    // Same content, or the same perceptual hash, joins images directly; each
+    // distinct perceptual hash is then compared once
+    const byContent = new Map()
+    const byPerceptual = new Map()
+    images.forEach((image, index) => {
+        for (const [seen, hash] of [[byContent, image.contentHash], [byPerceptual, image.perceptualHash]]) {
+            if (!hash) {
+                continue
+            }
+            if (seen.has(hash)) {
+                union(index, seen.get(hash))
+            } else {
+                seen.set(hash, index)
+            }
+        }
+    })
+
+    if (threshold > 0) {
+        const hexes = [...byPerceptual.keys()]
+        const owners = [...byPerceptual.values()]
+        // Each hash as two 32-bit halves, so a comparison is two popcounts
+        const high = Uint32Array.from(hexes, hex => parseInt(hex.slice(0, 8), 16))
+        const low = Uint32Array.from(hexes, hex => parseInt(hex.slice(8, 16), 16))
+        let comparisons = 0
+
+        for (const group of candidateGroups(hexes, threshold)) {
+            for (let i = 0; i < group.length; i++) {
+                const a = group[i]
+
+                for (let j = i + 1; j < group.length; j++) {
+                    const b = group[j]
+
+                    if (popcount(high[a] ^ high[b]) + popcount(low[a] ^ low[b]) <= threshold) {
+                        union(owners[a], owners[b])
+                    }
+
+                    if (++comparisons % COMPARISONS_PER_YIELD === 0) {
+                        await yieldToEventLoop()
+                    }
+                }
+            }
+        }
+    }
+
+    const groups = new Map()
+    images.forEach((image, index) => {
+        const root = find(index)
+
+        if (groups.has(root)) {
+            groups.get(root).push(image)
+        } else {
+            groups.set(root, [image])
+        }
+    })
+
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => {
+            const sorted = group.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+            return {
+                exact: sorted.every(image => image.contentHash && image.contentHash === sorted[0].contentHash),
+                images: sorted
+            }
+        })
+        .sort((a, b) => b.images.length - a.images.length)
+}
+
+module.exports = {
+    DUPLICATE_MODES,
+    DEFAULT_DUPLICATE_THRESHOLD,
+    MAX_DUPLICATE_THRESHOLD,
+    MAX_DUPLICATE_SCAN_IMAGES,
+    parseDuplicateMode,
+    computeHashes,
+    findDuplicateClusters
+}
@@ -0,0 +1,176 @@
+const fs = require('fs')
+const path = require('path')
+const archiver = require('archiver')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Comment = require('../models/Comment.model')
+const Job = require('../models/Job.model')
+const { getStorage } = require('./storage')
+const { favoriteSet } = require('./favorites')
+const { registerJobHandler, jobFilePath } = require('./jobs')
+
+// Name used for an entry in the archive, made unique within `used`
+// ("beach.jpg", "beach (1).jpg", ...). Path separators are stripped.
+const uniqueFilename = (filename, used) => {
+    const safe = (filename || 'image').replace(/[/\\]/g, '_')
+    const extension = path.extname(safe)
+    const base = safe.slice(0, safe.length - extension.length)
+
+    let candidate = safe
+    for (let n = 1; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${extension}`
+    }
+
+    used.add(candidate.toLowerCase())
+    return candidate
+}
+
+// Comments are listed oldest first; replies carry their thread's commentId as parentId
+const buildManifestEntry = (img, file, comments, isFavorite) => ({
+    file,
+    imageId: img.imageId,
+    name: img.name,
+    filename: img.filename,
+    tags: img.tags,
+    people: (img.people || []).map(person => ({ name: person.name, region: person.region || null })),
+    isFavorite,
+    comments: comments.map(comment => ({
+        commentId: comment.commentId,
+        parentId: comment.parentId,
+        userEmail: comment.userEmail,
+        comment: comment.comment,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt
+    })),
+    size: img.size,
+    uploadedAt: img.uploadedAt,
+    capturedAt: img.capturedAt
+})
+
+// Add one image to the archive and wait until archiver has consumed it, so
+// only one storage download is open at a time
+const appendImage = async (archive, image, name) => {
+    const stream = await getStorage(image.storageProvider).createReadStream(image.storageKey)
+
+    await new Promise((resolve, reject) => {
+        const onEntry = () => {
+            archive.off('error', onError)
+            resolve()
+        }
+        const onError = (error) => {
+            archive.off('entry', onEntry)
+            reject(error)
+        }
+
+        archive.once('entry', onEntry)
+        archive.once('error', onError)
+        stream.once('error', onError)
+        archive.append(stream, { name, date: image.uploadedAt })
+    })
+}
+
+// Write an album's images plus a manifest.json describing them into `archive`
+// under `prefix` (e.g. "Holidays/"). Images that can't be read from storage are
+// listed in the manifest's `missing` array instead of failing the export.
+// `isFavorite` in the manifest reflects the stars of `user` (the exporter).
+const appendAlbum = async (archive, album, images, user, prefix = '', onProgress = async () => {}) => {
+    const used = new Set(['manifest.json'])
+    const favorites = await favoriteSet(user, images)
+    const entries = []
+    const missing = []
+
+    for (const image of images) {
+        const file = uniqueFilename(image.filename || image.name, used)
+
+        try {
+            await appendImage(archive, image, `${prefix}${file}`)
+            const comments = await Comment.find({ imageId: image.imageId }).sort({ createdAt: 1 })
+            entries.push(buildManifestEntry(image, file, comments, favorites.has(image.imageId)))
+        } catch (error) {
+            console.error(`Error exporting image ${image.imageId}:`, error.message)
+            missing.push({ imageId: image.imageId, name: image.name })
+        }
+
+        await onProgress()
+    }
+
+    const manifest = {
+        version: 1,
+        exportedAt: new Date(),
+        album: {
+            albumId: album.albumId,
+            name: album.name,
+            description: album.description,
+            createdAt: album.createdAt
+        },
+        images: entries,
+        missing
+    }
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: `${prefix}manifest.json` })
+}
+
+// Account export job: every album the user owns, one folder per album (each
+// with its own manifest.json), plus account.json listing the albums
+const exportAccount = async (job) => {
+    const albums = await Album.find({ ownerId: job.userId, deletedAt: null }).sort({ createdAt: 1 })
+    const imagesByAlbum = new Map()
+
+    for (const album of albums) {
+        imagesByAlbum.set(album.albumId, await Image.find({ albumId: album.albumId, deletedAt: null }).sort({ uploadedAt: 1 }))
+    }
+
+    job.progress.total = [...imagesByAlbum.values()].reduce((sum, images) => sum + images.length, 0)
+    await Job.updateOne({ jobId: job.jobId }, { $set: { 'progress.total': job.progress.total } })
+
+    const filePath = jobFilePath(job.jobId, '.zip')
+    const output = fs.createWriteStream(filePath)
+    const archive = archiver('zip', { zlib: { level: 0 } })
+
+    const written = new Promise((resolve, reject) => {
+        output.on('close', resolve)
+        output.on('error', reject)
+        archive.on('error', reject)
+    })
+
+    archive.pipe(output)
+
+    try {
+        const usedFolders = new Set(['account.json'])
+        const folders = []
+
+        for (const album of albums) {
+            const folder = uniqueFilename(album.name, usedFolders)
+            folders.push({ albumId: album.albumId, name: album.name, folder })
+
+            await appendAlbum(archive, album, imagesByAlbum.get(album.albumId), { userId: job.userId }, `${folder}/`, async () => {
+                job.progress.processed++
+                await Job.updateOne({ jobId: job.jobId }, { $set: { 'progress.processed': job.progress.processed } })
+            })
+        }
+
+        archive.append(JSON.stringify({
+            version: 1,
+            exportedAt: new Date(),
+            user: { email: job.userEmail },
+            albums: folders
+        }, null, 2), { name: 'account.json' })
+
+        await archive.finalize()
+        await written
+    } catch (error) {
+        // Don't leave a partial zip behind: a failed job never gets a filePath,
+        // so purgeExpiredJobs would not find it
+        written.catch(() => {})
+        archive.abort()
+        output.destroy()
+        await fs.promises.rm(filePath, { force: true })
+        throw error
+    }
+
+    job.filePath = filePath
+}
+
+registerJobHandler('account-export', exportAccount)
+
+module.exports = { uniqueFilename, appendAlbum }
@@ -0,0 +1,55 @@
+const Favorite = require('../models/Favorite.model')
+const Image = require('../models/Image.model')
+
+// Favorites are per user; Image.favoriteCount keeps a running total so album
+// owners can see how popular an image is without counting on every listing.
+
+// Star or unstar `image` for `user`. Returns whether it is now a favorite.
+const setFavorite = async (image, user, isFavorite) => {
+    if (isFavorite) {
+        const result = await Favorite.updateOne(
+            { userId: user.userId, imageId: image.imageId },
+            { $setOnInsert: { albumId: image.albumId, createdAt: new Date() } },
+            { upsert: true }
+        )
+
+        if (result.upsertedCount > 0) {
+            await Image.updateOne({ imageId: image.imageId }, { $inc: { favoriteCount: 1 } })
+        }
+    } else {
+        const result = await Favorite.deleteOne({ userId: user.userId, imageId: image.imageId })
+
+        if (result.deletedCount > 0) {
+            await Image.updateOne({ imageId: image.imageId }, { $inc: { favoriteCount: -1 } })
+        }
+    }
+
+    return isFavorite
+}
+
+const isFavoriteOf = async (image, user) => {
+    return !!(await Favorite.exists({ userId: user.userId, imageId: image.imageId }))
+}
+
+// Which of `images` the user has starred, as a Set of imageIds
+const favoriteSet = async (user, images) => {
+    const favorites = await Favorite.find(
+        { userId: user.userId, imageId: { $in: images.map(image => image.imageId) } },
+        { imageId: 1 }
+    )
+
+    return new Set(favorites.map(favorite => favorite.imageId))
+}
+
+// Every imageId the user has starred, optionally within some albums
+const favoriteImageIds = async (user, albumIds) => {
+    const query = { userId: user.userId }
+    if (albumIds) {
+        query.albumId = { $in: albumIds }
+    }
+
+    const favorites = await Favorite.find(query, { imageId: 1 })
+    return favorites.map(favorite => favorite.imageId)
+}
+
+module.exports = { setFavorite, isFavoriteOf, favoriteSet, favoriteImageIds }
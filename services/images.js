@@ -0,0 +1,79 @@
+const { getStorage } = require('./storage')
+const { removeRenditions } = require('./renditions')
+const { serializeImagePeople } = require('./people')
+
+// Whether GPS coordinates may be shown to someone with `role` on the album.
+// Stored originals carry no GPS of their own (see stripLocation in
+// services/metadata.js), so the structured fields are all there is to filter.
+const canSeeLocation = (album, role) => role === 'owner' || !!album.shareLocation
+
+// Structured photo metadata; GPS is left out unless `showLocation` is set
+const serializeMetadata = (img, showLocation) => ({
+    capturedAt: img.capturedAt,
+    camera: { make: img.camera?.make || '', model: img.camera?.model || '' },
+    lens: img.lens,
+    exposure: {
+        exposureTime: img.exposure?.exposureTime ?? null,
+        fNumber: img.exposure?.fNumber ?? null,
+        iso: img.exposure?.iso ?? null,
+        focalLength: img.exposure?.focalLength ?? null
+    },
+    orientation: img.orientation,
+    width: img.width,
+    height: img.height,
+    gps: showLocation && img.gps?.latitude != null
+        ? { latitude: img.gps.latitude, longitude: img.gps.longitude, altitude: img.gps.altitude }
+        : null
+})
+
+// Rendition name -> { url, width, height, format }
+const serializeRenditions = (img) => {
+    const renditions = {}
+
+    for (const [name, rendition] of img.renditions || []) {
+        renditions[name] = {
+            url: rendition.url,
+            width: rendition.width,
+            height: rendition.height,
+            format: rendition.format
+        }
+    }
+
+    return renditions
+}
+
+// Shape an image document for API responses. Comments are paged separately
+// (GET /images/:albumId/images/:imageId/comments); only their count is here.
+// `favorites` is the set of imageIds the caller has starred; the favorite
+// count is for album owners only.
+const serializeImage = (img, { showLocation = false, favorites = null, showFavoriteCount = false } = {}) => ({
+    imageId: img.imageId,
+    name: img.name,
+    url: img.url,
+    renditions: serializeRenditions(img),
+    tags: img.tags,
+    people: serializeImagePeople(img),
+    isFavorite: favorites ? favorites.has(img.imageId) : false,
+    ...(showFavoriteCount ? { favoriteCount: img.favoriteCount || 0 } : {}),
+    commentCount: img.commentCount || 0,
+    size: img.size,
+    uploadedAt: img.uploadedAt,
+    position: img.position ?? null,
+    duplicateOf: img.duplicateOf || null,
+    metadata: serializeMetadata(img, showLocation)
+})
+
+// Listings don't need the comment text kept for search
+const LISTING_PROJECTION = { commentText: 0 }
+
+// Remove the stored files behind an image, logging rather than failing
+const removeImageAssets = async (image) => {
+    try {
+        await getStorage(image.storageProvider).remove(image.storageKey)
+        await removeRenditions(image)
+    } catch (storageError) {
+        console.error('Error deleting from storage: ', storageError)
+    }
+}
+
+module.exports = { canSeeLocation, serializeMetadata, serializeRenditions, serializeImage, LISTING_PROJECTION, removeImageAssets }
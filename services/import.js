@@ -0,0 +1,270 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { pipeline } = require('stream/promises')
+const yauzl = require('yauzl')
+const { v4: uuidv4 } = require('uuid')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Job = require('../models/Job.model')
+const { assertUploadAllowed, ingestImage } = require('./ingest')
+const { createComment } = require('./comments')
+const { registerJobHandler } = require('./jobs')
+const { recordActivity } = require('./activity')
+
+// Album import job: ingest every image in an uploaded ZIP into an album,
+// restoring tags, people, favorite and comments from a manifest.json that
+// sits in the same folder as the images (the format written by album and
+// account exports). Entries that fail are listed on the job and skipped.
+// An import cut off by a restart is failed rather than run again: its ZIP
+// sits in the temp directory, and a second run would ingest every image
+// imported before the restart once more.
+
+const MAX_MANIFEST_BYTES = 10 * 1024 * 1024
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+}
+
+const openZip = (zipPath) => new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+        error ? reject(error) : resolve(zipfile)
+    })
+})
+
+const listEntries = (zipfile) => new Promise((resolve, reject) => {
+    const entries = []
+    zipfile.on('entry', (entry) => {
+        entries.push(entry)
+        zipfile.readEntry()
+    })
+    zipfile.once('end', () => resolve(entries))
+    zipfile.once('error', reject)
+    zipfile.readEntry()
+})
+
+const openEntryStream = (zipfile, entry) => new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+        error ? reject(error) : resolve(stream)
+    })
+})
+
+const readEntry = async (zipfile, entry) => {
+    const chunks = []
+    for await (const chunk of await openEntryStream(zipfile, entry)) {
+        chunks.push(chunk)
+    }
+    return Buffer.concat(chunks)
+}
+
+// Skip folders, hidden files and macOS resource forks
+const isImportable = (entry) => {
+    const name = entry.fileName
+    const basename = path.posix.basename(name)
+
+    return !name.endsWith('/') &&
+        !name.startsWith('__MACOSX/') &&
+        !basename.startsWith('.') &&
+        !!MIME_TYPES[path.posix.extname(basename).toLowerCase()]
+}
+
+// Manifest image entries keyed by "<folder>/<file>", plus the album details
+// of the top-most manifest
+const readManifests = async (zipfile, entries, failures) => {
+    const byPath = new Map()
+    let album = null
+
+    for (const entry of entries.filter(e => path.posix.basename(e.fileName) === 'manifest.json')) {
+        try {
+            if (entry.uncompressedSize > MAX_MANIFEST_BYTES) {
+                throw new Error('Manifest is too large')
+            }
+
+            const manifest = JSON.parse((await readEntry(zipfile, entry)).toString('utf8'))
+            const folder = path.posix.dirname(entry.fileName)
+
+            if (!album && manifest.album && typeof manifest.album.name === 'string') {
+                album = manifest.album
+            }
+
+            for (const image of manifest.images || []) {
+                if (image && typeof image.file === 'string') {
+                    byPath.set(path.posix.join(folder, image.file), image)
+                }
+            }
+        } catch (error) {
+            failures.push({ item: entry.fileName, error: `Invalid manifest: ${error.message}` })
+        }
+    }
+
+    return { images: byPath, album }
+}
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : [])
+
+// `people` ([{ name, region }]) from current manifests, `person` from older ones
+const manifestPeople = (meta) => {
+    if (Array.isArray(meta.people)) {
+        return meta.people
+            .filter(person => person && typeof person.name === 'string' && person.name.trim() !== '')
+            .map(person => ({ name: person.name, region: person.region || null }))
+    }
+
+    return typeof meta.person === 'string' && meta.person.trim() !== '' ? [meta.person] : []
+}
+
+// Comment text and threads are restored under the importing user; comments
+// that can't be restored are skipped rather than failing the image
+const importComments = async ({ album, image, user, comments }) => {
+    const valid = (Array.isArray(comments) ? comments : [])
+        .filter(comment => comment && typeof comment.comment === 'string' && comment.comment.trim() !== '')
+    const threadIds = new Map()
+
+    // Top-level comments first so replies can find their new parent
+    for (const comment of valid.filter(c => !c.parentId).concat(valid.filter(c => c.parentId))) {
+        try {
+            const created = await createComment({
+                album,
+                image,
+                user,
+                text: comment.comment,
+                parentId: comment.parentId ? threadIds.get(comment.parentId) || null : null,
+                createdAt: comment.createdAt ? new Date(comment.createdAt) : new Date()
+            })
+
+            if (comment.commentId) {
+                threadIds.set(comment.commentId, created.commentId)
+            }
+        } catch (error) {
+            console.error(`Error importing comment on ${image.imageId}:`, error.message)
+        }
+    }
+}
+
+const importImageEntry = async ({ zipfile, entry, album, user, meta, duplicates }) => {
+    const basename = path.posix.basename(entry.fileName)
+    const mimetype = MIME_TYPES[path.posix.extname(basename).toLowerCase()]
+
+    // Check the declared size before writing anything to disk
+    await assertUploadAllowed({ album, user, mimetype, size: entry.uncompressedSize })
+
+    const tempPath = path.join(os.tmpdir(), `kaviospix-import-${uuidv4()}`)
+
+    try {
+        await pipeline(await openEntryStream(zipfile, entry), fs.createWriteStream(tempPath))
+
+        const image = await ingestImage({
+            album,
+            user,
+            file: {
+                originalname: typeof meta.filename === 'string' ? meta.filename : basename,
+                mimetype,
+                size: entry.uncompressedSize,
+                path: tempPath
+            },
+            tags: stringList(meta.tags),
+            people: manifestPeople(meta),
+            isFavorite: meta.isFavorite === true,
+            duplicates
+        })
+
+        await importComments({ album, image, user, comments: meta.comments })
+
+        return image
+    } finally {
+        await fs.promises.rm(tempPath, { force: true })
+    }
+}
+
+// Remove the album made for an import (POST /albums/import) when the import
+// left nothing in it, so a failed import doesn't leave an empty album behind
+const discardCreatedAlbum = async (job) => {
+    const { albumId, createdAlbum } = job.params
+
+    if (createdAlbum && !(await Image.exists({ albumId }))) {
+        await Album.deleteOne({ albumId })
+    }
+}
+
+// Clean up after an import a restart cut off
+const abandonImport = async (job) => {
+    await fs.promises.rm(job.params.zipPath, { force: true })
+    await discardCreatedAlbum(job)
+}
+
+const importAlbum = async (job) => {
+    const { albumId, zipPath, originalName, nameFromManifest, duplicates = 'allow' } = job.params
+
+    try {
+        const album = await Album.findOne({ albumId, deletedAt: null })
+
+        if (!album) {
+            throw new Error('Album not found')
+        }
+
+        const user = { userId: job.userId, email: job.userEmail }
+        const zipfile = await openZip(zipPath).catch(error => {
+            throw error.code === 'ENOENT' ? new Error('The uploaded archive is no longer available') : error
+        })
+
+        try {
+            const entries = await listEntries(zipfile)
+            const manifest = await readManifests(zipfile, entries, job.failures)
+
+            // Albums created for the import take their name from the manifest
+            // unless one was given explicitly
+            if (nameFromManifest && manifest.album) {
+                album.name = manifest.album.name
+                album.description = typeof manifest.album.description === 'string' ? manifest.album.description : album.description
+                await album.save()
+            }
+            const imageEntries = entries.filter(isImportable)
+            let imported = 0
+
+            job.progress.total = imageEntries.length
+            await Job.updateOne({ jobId: job.jobId }, { $set: { 'progress.total': job.progress.total, failures: job.failures } })
+
+            for (const entry of imageEntries) {
+                try {
+                    await importImageEntry({
+                        zipfile,
+                        entry,
+                        album,
+                        user,
+                        meta: manifest.images.get(entry.fileName) || {},
+                        duplicates
+                    })
+                    imported++
+                } catch (error) {
+                    job.failures.push({ item: entry.fileName, error: error.message || 'Failed to import image' })
+                }
+
+                job.progress.processed++
+                await Job.updateOne({ jobId: job.jobId }, {
+                    $set: { 'progress.processed': job.progress.processed, failures: job.failures }
+                })
+            }
+
+            job.result = { albumId, imported, failed: imageEntries.length - imported }
+
+            await recordActivity(albumId, user, 'album.imported', {
+                details: { jobId: job.jobId, archive: originalName, imported, failed: job.result.failed }
+            })
+        } finally {
+            zipfile.close()
+        }
+    } catch (error) {
+        await discardCreatedAlbum(job)
+        throw error
+    } finally {
+        await fs.promises.rm(zipPath, { force: true })
+    }
+}
+
+registerJobHandler('album-import', importAlbum, { restartable: false, onAbandon: abandonImport })
+
+module.exports = { importAlbum }
@@ -1,12 +1,90 @@
+const crypto = require('crypto')
+
 // Helper Function
 
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+})
+
+// Short-lived access token cookie, sent with every request
 function setSecureCookie (res, token) {
     res.cookie('access_token', token, {
-        httpOnly: true,
-        maxAge: 60 * 1000, // 1 minute
+        ...cookieOptions(),
+        maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+        path: '/'
     })
     
     return res
 }
 
-module.exports = { setSecureCookie }
\ No newline at end of file
+// Long-lived refresh token cookie, only sent to the auth routes
+function setRefreshCookie (res, token) {
+    res.cookie('refresh_token', token, {
+        ...cookieOptions(),
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+        path: '/auth'
+    })
+
+    return res
+}
+
+function clearAuthCookies (res) {
+    res.clearCookie('access_token', { ...cookieOptions(), path: '/' })
+    res.clearCookie('refresh_token', { ...cookieOptions(), path: '/auth' })
+
+    return res
+}
+
+// Hash a password with a random salt using scrypt ("salt:hash", both hex)
+function hashPassword (password) {
+    const salt = crypto.randomBytes(16).toString('hex')
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex')
+
+    return `${salt}:${hash}`
+}
+
+function verifyPassword (password, stored) {
+    const [salt, hash] = stored.split(':')
+    const candidate = crypto.scryptSync(password, salt, 64)
+
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'))
+}
+
+// Byte count as megabytes for messages, e.g. "12.5MB"
+function formatBytes (bytes) {
+    return `${Math.round(bytes / (1024 * 1024) * 10) / 10}MB`
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight; results keep input order
+async function mapWithConcurrency (items, limit, fn) {
+    const results = new Array(items.length)
+    let next = 0
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await fn(items[index], index)
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+
+    return results
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MINUTES,
+    REFRESH_TOKEN_TTL_DAYS,
+    setSecureCookie,
+    setRefreshCookie,
+    clearAuthCookies,
+    hashPassword,
+    verifyPassword,
+    formatBytes,
+    mapWithConcurrency
+}
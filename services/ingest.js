@@ -0,0 +1,142 @@
+const { v4: uuidv4 } = require('uuid')
+const Image = require('../models/Image.model')
+const KaviosUser = require('../models/User.model')
+const { albumFolder, getStorage } = require('./storage')
+const { extractMetadata, hasEmbeddedLocation, stripLocation } = require('./metadata')
+const { generateRenditions } = require('./renditions')
+const { computeHashes } = require('./duplicates')
+const { setFavorite } = require('./favorites')
+const { resolvePeopleTags } = require('./people')
+const { resolveTags } = require('./tags')
+const { assertQuota, reserveQuota, adjustUsage } = require('./quota')
+const { nextPosition } = require('./albums')
+const { HttpError } = require('./errors')
+const { formatBytes } = require('.')
+
+// Server-wide cap on a single upload; albums and users can only lower it
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 50 * 1024 * 1024
+const ALLOWED_TYPES = /jpeg|jpg|png|gif|webp/
+
+const isAllowedImage = (mimetype) => ALLOWED_TYPES.test(mimetype)
+
+// Largest single file `user` may upload into `album`
+const getUploadLimit = async (album, user) => {
+    const account = await KaviosUser.findOne({ googleId: user.userId }, { maxUploadBytes: 1 })
+    const limits = [MAX_UPLOAD_BYTES, album.maxUploadBytes, account?.maxUploadBytes]
+
+    return Math.min(...limits.filter(limit => limit > 0))
+}
+
+// Throw when a file of `size` bytes is not accepted for this album and user,
+// including when it would not fit in the storage quota it is charged to
+const assertUploadAllowed = async ({ album, user, mimetype, size }) => {
+    if (!isAllowedImage(mimetype)) {
+        throw new HttpError(415, 'Only image files (jpg, jpeg, png, gif, webp) are allowed')
+    }
+
+    const limit = await getUploadLimit(album, user)
+
+    if (size > limit) {
+        throw new HttpError(413, `File exceeds the ${formatBytes(limit)} upload limit`)
+    }
+
+    await assertQuota({ album, user, size })
+}
+
+// Store one uploaded file in an album and create its Image record.
+// `file` is a multer-style file ({ originalname, mimetype, size }) held either
+// in memory (buffer) or on disk (path). `tags` and `people` (names, or
+// { name, region } for people) are resolved against the album owner's registries. `duplicates` (allow, flag or reject)
+// decides what happens when the album already holds an identical file.
+const ingestImage = async ({ album, user, file, tags = [], people = [], isFavorite = false, duplicates = 'allow' }) => {
+    await assertUploadAllowed({ album, user, mimetype: file.mimetype, size: file.size })
+
+    const tagNames = await resolveTags(album.ownerId, tags)
+
+    const tagged = await resolvePeopleTags(album.ownerId, people, user)
+
+    const received = file.buffer || file.path
+    const metadata = await extractMetadata(received)
+
+    // The stored original never keeps its embedded GPS; the location stays in
+    // the structured gps fields, which are filtered per viewer
+    const source = await hasEmbeddedLocation(received) ? await stripLocation(received) : received
+    const hashes = await computeHashes(source)
+
+    let duplicate = null
+    if (duplicates !== 'allow') {
+        duplicate = await Image.findOne(
+            { albumId: album.albumId, contentHash: hashes.contentHash, deletedAt: null },
+            { imageId: 1 }
+        )
+
+        if (duplicate && duplicates === 'reject') {
+            throw new HttpError(409, `Image is a duplicate of ${duplicate.imageId}`)
+        }
+    }
+
+    // Take the bytes out of the quota before storing anything, so concurrent
+    // uploads can't each fit on their own and together overrun it
+    const charged = await reserveQuota({ album, user, size: file.size })
+    let reserved = file.size
+    let image
+
+    try {
+        // Upload to the configured storage backend
+        const storage = getStorage()
+        const uploadResult = await storage.upload(source, {
+            folder: albumFolder(album.albumId),
+            filename: file.originalname,
+            mimetype: file.mimetype
+        })
+
+        // Stripping GPS may have changed the size; charge what was stored
+        await adjustUsage(charged, uploadResult.bytes - reserved)
+        reserved = uploadResult.bytes
+
+        // Resized copies for grids and previews; a failure here should not lose the
+        // upload, the regeneration job can fill them in later
+        let renditions = {}
+        try {
+            renditions = await generateRenditions(source, album.albumId)
+        } catch (error) {
+            console.error('Error generating renditions:', error)
+        }
+
+        // Create image record
+        image = new Image({
+            imageId: uuidv4(),
+            albumId: album.albumId,
+            name: file.originalname,
+            filename: file.originalname,
+            storageProvider: storage.name,
+            storageKey: uploadResult.key,
+            url: uploadResult.url,
+            tags: tagNames,
+            people: tagged,
+            size: uploadResult.bytes,
+            uploadedBy: user.userId,
+            ...metadata,
+            gpsCheckedAt: new Date(),
+            ...hashes,
+            duplicateOf: duplicate ? duplicate.imageId : null,
+            renditions,
+            position: await nextPosition(album.albumId)
+        })
+
+        await image.save()
+    } catch (error) {
+        await adjustUsage(charged, -reserved)
+        throw error
+    }
+
+    // `isFavorite` stars the image for the uploader
+    if (isFavorite) {
+        await setFavorite(image, user, true)
+        image.favoriteCount = 1
+    }
+
+    return image
+}
+
+module.exports = { MAX_UPLOAD_BYTES, isAllowedImage, assertUploadAllowed, ingestImage }
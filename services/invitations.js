@@ -0,0 +1,195 @@
+const { v4: uuidv4 } = require('uuid')
+const Album = require('../models/Album.model')
+const Invitation = require('../models/Invitation.model')
+const { HttpError } = require('./errors')
+
+// Album invitations. Sharing an album invites each address; the invitee sees
+// the invitation after signing in and accepts or declines it. Membership (and
+// with it access) is only granted on acceptance.
+
+const INVITATION_EXPIRY_DAYS = Number(process.env.INVITATION_EXPIRY_DAYS) || 14
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired']
+
+const expiryDate = () => new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+
+// Addresses are stored and compared trimmed and lower-cased: invitations,
+// album members and the signed-in user's email alike
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase()
+
+// Status as the user should see it: pending invitations past their expiry
+// are expired even before the scheduler has stored that
+const invitationStatus = (invitation) =>
+    invitation.status === 'pending' && invitation.expiresAt <= new Date() ? 'expired' : invitation.status
+
+// Query for invitations in `status`, treating stale pending ones as expired
+const statusQuery = (status) => {
+    if (status === 'pending') {
+        return { status: 'pending', expiresAt: { $gt: new Date() } }
+    }
+    if (status === 'expired') {
+        return { $or: [{ status: 'expired' }, { status: 'pending', expiresAt: { $lte: new Date() } }] }
+    }
+    return { status }
+}
+
+const parseStatus = (status, fallback) => {
+    if (status === undefined || status === '') {
+        return fallback
+    }
+    if (!INVITATION_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of: ${INVITATION_STATUSES.join(', ')}`)
+    }
+    return status
+}
+
+// Invite `emails` to `album` with `role`. Members, the owner and addresses
+// with a live invitation are skipped.
+const inviteToAlbum = async (album, user, emails, role) => {
+    const invited = []
+    const skipped = []
+
+    for (const email of new Set(emails.map(normalizeEmail))) {
+        if (email === album.ownerEmail || album.members.some(member => member.email === email)) {
+            skipped.push({ email, reason: 'already_member' })
+            continue
+        }
+
+        if (await Invitation.exists({ albumId: album.albumId, email, ...statusQuery('pending') })) {
+            skipped.push({ email, reason: 'already_invited' })
+            continue
+        }
+
+        invited.push(await Invitation.create({
+            invitationId: uuidv4(),
+            albumId: album.albumId,
+            email,
+            role,
+            invitedBy: user.userId,
+            invitedByEmail: user.email,
+            expiresAt: expiryDate()
+        }))
+    }
+
+    return { invited, skipped }
+}
+
+// Settle a pending invitation addressed to `user`. Only one response wins if
+// two arrive at once.
+const respondToInvitation = async (invitationId, user, status) => {
+    const invitation = await Invitation.findOneAndUpdate(
+        { invitationId, email: normalizeEmail(user.email), ...statusQuery('pending') },
+        { $set: { status, respondedAt: new Date() } },
+        { new: true }
+    )
+
+    if (!invitation) {
+        throw new HttpError(404, 'Pending invitation not found')
+    }
+
+    return invitation
+}
+
+const acceptInvitation = async (invitationId, user) => {
+    const pending = await Invitation.findOne({ invitationId, email: normalizeEmail(user.email), ...statusQuery('pending') })
+    const album = pending && await Album.findOne({ albumId: pending.albumId, deletedAt: null })
+
+    if (pending && !album) {
+        throw new HttpError(410, 'The album is no longer available')
+    }
+
+    const invitation = await respondToInvitation(invitationId, user, 'accepted')
+    const email = normalizeEmail(user.email)
+
+    // Members invited again keep the role they already have
+    await Album.updateOne(
+        { albumId: invitation.albumId, 'members.email': { $ne: email } },
+        { $push: { members: { email, role: invitation.role } } }
+    )
+
+    return { invitation, album }
+}
+
+const declineInvitation = (invitationId, user) => respondToInvitation(invitationId, user, 'declined')
+
+const findAlbumInvitation = async (album, invitationId) => {
+    const invitation = await Invitation.findOne({ invitationId, albumId: album.albumId })
+
+    if (!invitation) {
+        throw new HttpError(404, 'Invitation not found')
+    }
+
+    return invitation
+}
+
+// Send a pending or expired invitation again with a fresh expiry
+const resendInvitation = async (album, invitationId) => {
+    const invitation = await findAlbumInvitation(album, invitationId)
+
+    if (!['pending', 'expired'].includes(invitationStatus(invitation))) {
+        throw new HttpError(409, `An invitation that was ${invitation.status} cannot be resent`)
+    }
+
+    if (album.members.some(member => member.email === invitation.email)) {
+        throw new HttpError(409, 'This person is already a member')
+    }
+
+    invitation.status = 'pending'
+    invitation.expiresAt = expiryDate()
+    invitation.sentCount += 1
+    invitation.lastSentAt = new Date()
+    await invitation.save()
+
+    return invitation
+}
+
+const revokeInvitation = async (album, invitationId) => {
+    const invitation = await findAlbumInvitation(album, invitationId)
+
+    if (invitationStatus(invitation) !== 'pending') {
+        throw new HttpError(409, 'Only pending invitations can be revoked')
+    }
+
+    invitation.status = 'revoked'
+    invitation.respondedAt = new Date()
+    await invitation.save()
+
+    return invitation
+}
+
+// Store the expired status of stale pending invitations
+const expireInvitations = async () => {
+    const result = await Invitation.updateMany(
+        { status: 'pending', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired' } }
+    )
+    return { expired: result.modifiedCount }
+}
+
+const serializeInvitation = (invitation, extra = {}) => ({
+    invitationId: invitation.invitationId,
+    albumId: invitation.albumId,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitationStatus(invitation),
+    invitedBy: { userId: invitation.invitedBy, email: invitation.invitedByEmail },
+    expiresAt: invitation.expiresAt,
+    sentCount: invitation.sentCount,
+    lastSentAt: invitation.lastSentAt,
+    respondedAt: invitation.respondedAt,
+    createdAt: invitation.createdAt,
+    ...extra
+})
+
+module.exports = {
+    INVITATION_STATUSES,
+    normalizeEmail,
+    statusQuery,
+    parseStatus,
+    inviteToAlbum,
+    acceptInvitation,
+    declineInvitation,
+    resendInvitation,
+    revokeInvitation,
+    expireInvitations,
+    serializeInvitation
+}
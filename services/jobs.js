@@ -0,0 +1,137 @@
+const fs = require('fs')
+const path = require('path')
+const { v4: uuidv4 } = require('uuid')
+const Job = require('../models/Job.model')
+
+// Minimal in-process job runner. Jobs are persisted, run one at a time in the
+// background, and picked up again after a restart: pending jobs run as usual,
+// and a job cut off mid-run starts over unless its type is not restartable.
+
+const jobsDir = path.resolve(process.env.JOBS_DIR || path.join(__dirname, '../exports'))
+const JOB_RETENTION_HOURS = Number(process.env.JOB_RETENTION_HOURS) || 24
+
+// type -> { run, restartable, onAbandon }. `run(job)` reports progress
+// through job.progress and may set job.filePath; throwing marks the job
+// failed. A job that is not restartable is failed instead of re-run when a
+// restart interrupted it, after `onAbandon(job)` has cleaned up after it.
+const handlers = {}
+
+const registerJobHandler = (type, run, { restartable = true, onAbandon = null } = {}) => {
+    handlers[type] = { run, restartable, onAbandon }
+}
+
+const jobFilePath = (jobId, extension) => path.join(jobsDir, `${jobId}${extension}`)
+
+let queue = Promise.resolve()
+
+const runJob = async (jobId) => {
+    const job = await Job.findOne({ jobId })
+
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+        return
+    }
+
+    job.status = 'running'
+    await job.save()
+
+    try {
+        await fs.promises.mkdir(jobsDir, { recursive: true })
+        await handlers[job.type].run(job)
+
+        job.status = 'completed'
+    } catch (error) {
+        console.error(`Job ${job.jobId} (${job.type}) failed:`, error)
+        job.status = 'failed'
+        job.error = error.message || 'Job failed'
+    }
+
+    job.completedAt = new Date()
+    job.expiresAt = new Date(Date.now() + JOB_RETENTION_HOURS * 60 * 60 * 1000)
+    await job.save()
+}
+
+const enqueue = (jobId) => {
+    queue = queue.then(() => runJob(jobId)).catch(error => console.error('Job runner error:', error))
+}
+
+const createJob = async (type, user, params = {}) => {
+    const job = await Job.create({
+        jobId: uuidv4(),
+        type,
+        userId: user.userId,
+        userEmail: user.email,
+        params
+    })
+
+    enqueue(job.jobId)
+    return job
+}
+
+// Re-queue jobs interrupted by a restart, failing those that can't start over
+const resumeJobs = async () => {
+    const jobs = await Job.find({ status: { $in: ['pending', 'running'] } }).sort({ createdAt: 1 })
+    let resumed = 0
+
+    for (const job of jobs) {
+        const handler = handlers[job.type]
+
+        if (job.status === 'running' && handler && !handler.restartable) {
+            try {
+                if (handler.onAbandon) {
+                    await handler.onAbandon(job)
+                }
+            } catch (error) {
+                console.error(`Error cleaning up interrupted job ${job.jobId}:`, error)
+            }
+
+            job.status = 'failed'
+            job.error = 'Interrupted by a server restart'
+            job.completedAt = new Date()
+            job.expiresAt = new Date(Date.now() + JOB_RETENTION_HOURS * 60 * 60 * 1000)
+            await job.save()
+            continue
+        }
+
+        enqueue(job.jobId)
+        resumed++
+    }
+
+    return resumed
+}
+
+// Remove finished jobs (and their files) past their retention period
+const purgeExpiredJobs = async () => {
+    const jobs = await Job.find({ expiresAt: { $ne: null, $lte: new Date() } })
+
+    for (const job of jobs) {
+        if (job.filePath) {
+            await fs.promises.rm(job.filePath, { force: true })
+        }
+        await Job.deleteOne({ jobId: job.jobId })
+    }
+
+    return { jobs: jobs.length }
+}
+
+const serializeJob = (job) => ({
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    failures: job.failures.map(failure => ({ item: failure.item, error: failure.error })),
+    error: job.error,
+    downloadUrl: job.status === 'completed' && job.filePath ? `/jobs/${job.jobId}/download` : null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt
+})
+
+module.exports = {
+    registerJobHandler,
+    jobFilePath,
+    createJob,
+    resumeJobs,
+    purgeExpiredJobs,
+    serializeJob
+}
@@ -0,0 +1,13 @@
+const axios = require('axios')
+
+// POST { from, to, subject, text } as JSON to MAIL_HTTP_URL
+const send = async ({ from, to, subject, text }) => {
+    if (!process.env.MAIL_HTTP_URL) {
+        throw new Error('MAIL_HTTP_URL is not configured')
+    }
+
+    const response = await axios.post(process.env.MAIL_HTTP_URL, { from, to, subject, text }, { timeout: 10000 })
+    return { messageId: response.data?.messageId || null }
+}
+
+module.exports = { name: 'http', send }
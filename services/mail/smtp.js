@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer')
+
+let transporter = null
+
+// Created on first use so a missing SMTP_URL only matters when mail is sent
+const getTransporter = () => {
+    if (!transporter) {
+        if (!process.env.SMTP_URL) {
+            throw new Error('SMTP_URL is not configured')
+        }
+        transporter = nodemailer.createTransport(process.env.SMTP_URL)
+    }
+    return transporter
+}
+
+const send = async ({ from, to, subject, text }) => {
+    const info = await getTransporter().sendMail({ from, to, subject, text })
+    return { messageId: info.messageId }
+}
+
+module.exports = { name: 'smtp', send }
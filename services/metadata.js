@@ -0,0 +1,161 @@
+const fs = require('fs')
+const exifr = require('exifr')
+const sharp = require('sharp')
+const { HttpError } = require('./errors')
+
+const EXIF_OPTIONS = { tiff: true, exif: true, gps: true, ifd1: false, interop: false }
+
+const numberOrNull = (value) => (typeof value === 'number' && isFinite(value) ? value : null)
+
+// Read pixel dimensions and EXIF from an image (buffer or file path) into the
+// structured fields stored on Image. Files without EXIF still get dimensions.
+const extractMetadata = async (source) => {
+    let info
+    try {
+        info = await sharp(source).metadata()
+    } catch (error) {
+        throw new HttpError(415, 'File could not be read as an image')
+    }
+
+    let exif = null
+    try {
+        exif = await exifr.parse(source, EXIF_OPTIONS)
+    } catch (error) {
+        console.error('Error reading EXIF data:', error.message)
+    }
+    exif = exif || {}
+
+    const capturedAt = exif.DateTimeOriginal || exif.CreateDate || null
+    const hasLocation = numberOrNull(exif.latitude) !== null && numberOrNull(exif.longitude) !== null
+
+    return {
+        capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt : null,
+        camera: {
+            make: exif.Make ? String(exif.Make).trim() : '',
+            model: exif.Model ? String(exif.Model).trim() : ''
+        },
+        lens: exif.LensModel ? String(exif.LensModel).trim() : '',
+        exposure: {
+            exposureTime: numberOrNull(exif.ExposureTime),
+            fNumber: numberOrNull(exif.FNumber),
+            iso: numberOrNull(exif.ISO),
+            focalLength: numberOrNull(exif.FocalLength)
+        },
+        orientation: info.orientation || 1,
+        width: info.width || null,
+        height: info.height || null,
+        gps: {
+            latitude: hasLocation ? exif.latitude : null,
+            longitude: hasLocation ? exif.longitude : null,
+            altitude: hasLocation ? numberOrNull(exif.GPSAltitude) : null
+        },
+        metadataExtractedAt: new Date()
+    }
+}
+
+// Bytes per value of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 }
+const GPS_IFD_TAG = 0x8825
+
+// Zero the GPS IFD, and the values it points to, of the TIFF block at
+// buf[start, end). What is left is a valid, empty GPS IFD.
+const wipeTiffGps = (buf, start, end) => {
+    const little = buf.toString('latin1', start, start + 2) === 'II'
+    const u16 = (offset) => (little ? buf.readUInt16LE(start + offset) : buf.readUInt16BE(start + offset))
+    const u32 = (offset) => (little ? buf.readUInt32LE(start + offset) : buf.readUInt32BE(start + offset))
+
+    const ifd0 = u32(4)
+    const entries = u16(ifd0)
+
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd0 + 2 + i * 12
+        if (u16(entry) !== GPS_IFD_TAG) {
+            continue
+        }
+
+        const gps = u32(entry + 8)
+        const fields = u16(gps)
+
+        for (let j = 0; j < fields; j++) {
+            const field = gps + 2 + j * 12
+            const bytes = (TIFF_TYPE_SIZES[u16(field + 2)] || 1) * u32(field + 4)
+
+            // Values of up to 4 bytes sit in the entry itself
+            if (bytes > 4) {
+                const value = start + u32(field + 8)
+                buf.fill(0, value, Math.min(value + bytes, end))
+            }
+        }
+
+        buf.fill(0, start + gps, Math.min(start + gps + 2 + fields * 12 + 4, end))
+    }
+}
+
+// Wipe the GPS block of every EXIF segment in a JPEG, in place
+const wipeJpegGps = (buf) => {
+    let pos = 2
+
+    while (pos + 4 <= buf.length && buf[pos] === 0xFF) {
+        const marker = buf[pos + 1]
+
+        // Fill byte before a marker
+        if (marker === 0xFF) {
+            pos++
+            continue
+        }
+
+        // Start of scan: the compressed image follows, metadata comes before it
+        if (marker === 0xDA) {
+            break
+        }
+
+        const length = buf.readUInt16BE(pos + 2)
+
+        if (marker === 0xE1 && buf.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0') {
+            wipeTiffGps(buf, pos + 10, pos + 2 + length)
+        }
+
+        pos += 2 + length
+    }
+}
+
+// Whether an image (buffer or file path) carries GPS coordinates. Reads the
+// EXIF block through sharp, which finds it in every format we accept.
+const hasEmbeddedLocation = async (source) => {
+    const { exif } = await sharp(source).metadata()
+
+    if (!exif) {
+        return false
+    }
+
+    const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif
+    const gps = await exifr.gps(tiff).catch(() => null)
+
+    return numberOrNull(gps?.latitude) !== null && numberOrNull(gps?.longitude) !== null
+}
+
+// A copy of an image (buffer or file path) without its embedded GPS. Stored
+// originals never keep it: the location lives on in the structured gps fields,
+// which only the album owner sees unless the album shares its location. JPEG
+// EXIF is edited in place so the photo and its other EXIF stay untouched;
+// other formats, or a JPEG that could not be edited, are re-encoded without
+// metadata.
+const stripLocation = async (source) => {
+    const buffer = Buffer.isBuffer(source) ? Buffer.from(source) : await fs.promises.readFile(source)
+
+    if (buffer.length > 2 && buffer.readUInt16BE(0) === 0xFFD8) {
+        try {
+            wipeJpegGps(buffer)
+
+            if (!await hasEmbeddedLocation(buffer)) {
+                return buffer
+            }
+        } catch (error) {
+            console.error('Error removing GPS from JPEG EXIF:', error.message)
+        }
+    }
+
+    return sharp(source, { animated: true }).rotate().keepIccProfile().toBuffer()
+}
+
+module.exports = { extractMetadata, hasEmbeddedLocation, stripLocation }
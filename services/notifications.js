@@ -0,0 +1,276 @@
+const { v4: uuidv4 } = require('uuid')
+const Album = require('../models/Album.model')
+const KaviosUser = require('../models/User.model')
+const Notification = require('../models/Notification.model')
+const { sendMail } = require('./mail')
+const { onActivity } = require('./activity')
+const { deliverWebhooks } = require('./webhooks')
+const { HttpError } = require('./errors')
+
+// Notifications. New album activity is mailed to the people it concerns:
+// invitees learn they were invited, owners hear back when an invitation is
+// answered, and members hear about uploads and comments. Each user chooses per category whether mail comes instantly, in
+// the periodic digest, or not at all. Album webhooks get every matching entry.
+
+const CATEGORIES = ['shares', 'uploads', 'comments']
+const DELIVERY_MODES = ['instant', 'digest', 'off']
+const DEFAULT_PREFERENCES = { shares: 'instant', uploads: 'digest', comments: 'instant' }
+
+const albumUrl = (albumId) => `${process.env.FRONTEND_URL}/albums/${albumId}`
+const invitationsUrl = () => `${process.env.FRONTEND_URL}/invitations`
+
+// Activity that is mailed, with its category and message. `recipients`
+// overrides the default of everyone with access; `url` the album link.
+const MESSAGES = {
+    'album.shared': {
+        category: 'shares',
+        recipients: (activity) => activity.details.emails || [],
+        url: invitationsUrl,
+        compose: (actor, album, details) => ({
+            subject: `${actor} invited you to "${album.name}"`,
+            text: `${actor} invited you to join the album "${album.name}" as ${details.role}. Sign in to accept or decline.`
+        })
+    },
+    'invite.resent': {
+        category: 'shares',
+        recipients: (activity) => [activity.details.email],
+        url: invitationsUrl,
+        compose: (actor, album, details) => ({
+            subject: `Reminder: ${actor} invited you to "${album.name}"`,
+            text: `${actor} invited you to join the album "${album.name}" as ${details.role}. Sign in to accept or decline.`
+        })
+    },
+    'invite.accepted': {
+        category: 'shares',
+        recipients: (activity, album) => [album.ownerEmail],
+        compose: (actor, album) => ({
+            subject: `${actor} joined "${album.name}"`,
+            text: `${actor} accepted your invitation to the album "${album.name}".`
+        })
+    },
+    'invite.declined': {
+        category: 'shares',
+        recipients: (activity, album) => [album.ownerEmail],
+        compose: (actor, album) => ({
+            subject: `${actor} declined your invitation to "${album.name}"`,
+            text: `${actor} declined your invitation to the album "${album.name}".`
+        })
+    },
+    'image.uploaded': {
+        category: 'uploads',
+        compose: (actor, album, details) => ({
+            subject: `${actor} added a photo to "${album.name}"`,
+            text: `${actor} uploaded ${details.name || 'a photo'} to "${album.name}".`
+        })
+    },
+    'image.moved_in': {
+        category: 'uploads',
+        compose: (actor, album, details) => ({
+            subject: `${actor} added a photo to "${album.name}"`,
+            text: `${actor} moved ${details.name || 'a photo'} into "${album.name}".`
+        })
+    },
+    'image.copied_in': {
+        category: 'uploads',
+        compose: (actor, album, details) => ({
+            subject: `${actor} added a photo to "${album.name}"`,
+            text: `${actor} copied ${details.name || 'a photo'} into "${album.name}".`
+        })
+    },
+    'album.imported': {
+        category: 'uploads',
+        compose: (actor, album, details) => ({
+            subject: `${actor} added ${details.imported} photos to "${album.name}"`,
+            text: `${actor} imported ${details.imported} photos into "${album.name}".`
+        })
+    },
+    'comment.added': {
+        category: 'comments',
+        compose: (actor, album) => ({
+            subject: `${actor} commented on a photo in "${album.name}"`,
+            text: `${actor} left a comment on a photo in "${album.name}".`
+        })
+    }
+}
+
+// Who hears about an activity (never the person who did it)
+const recipientsFor = (activity, album, message) => {
+    const recipients = message.recipients
+        ? message.recipients(activity, album)
+        : [album.ownerEmail, ...album.members.map(member => member.email)]
+
+    return [...new Set(recipients)].filter(email => email && email !== activity.actorEmail)
+}
+
+// email -> preferences; people without an account get the defaults
+const preferencesFor = async (emails) => {
+    const users = await KaviosUser.find({ email: { $in: emails } }, { email: 1, notifications: 1 }).lean()
+    const byEmail = new Map(users.map(user => [user.email, user.notifications]))
+
+    return new Map(emails.map(email => [email, { ...DEFAULT_PREFERENCES, ...byEmail.get(email) }]))
+}
+
+const sendNotification = async (notification) => {
+    try {
+        await sendMail({ to: notification.email, subject: notification.subject, text: notification.text })
+        notification.status = 'sent'
+        notification.sentAt = new Date()
+    } catch (error) {
+        console.error(`Error sending notification ${notification.notificationId}:`, error)
+        notification.status = 'failed'
+        notification.error = error.message || 'Failed to send'
+    }
+    await notification.save()
+}
+
+// Activity listener: mail the people concerned and call the album's webhooks
+const dispatchActivity = async (activity) => {
+    const album = await Album.findOne({ albumId: activity.albumId })
+
+    if (!album) {
+        return
+    }
+
+    await deliverWebhooks(activity, album)
+
+    const message = MESSAGES[activity.action]
+    if (!message) {
+        return
+    }
+
+    const recipients = recipientsFor(activity, album, message)
+    const preferences = await preferencesFor(recipients)
+    const { subject, text } = message.compose(activity.actorEmail || 'Someone', album, activity.details || {})
+    const url = message.url ? message.url() : albumUrl(album.albumId)
+
+    for (const email of recipients) {
+        const delivery = preferences.get(email)[message.category]
+
+        if (delivery === 'off') {
+            continue
+        }
+
+        const notification = await Notification.create({
+            notificationId: uuidv4(),
+            email,
+            category: message.category,
+            delivery,
+            albumId: album.albumId,
+            activityId: activity.activityId,
+            subject,
+            text: `${text}\n\n${url}`,
+            url
+        })
+
+        if (delivery === 'instant') {
+            await sendNotification(notification)
+        }
+    }
+}
+
+onActivity(dispatchActivity)
+
+// Claims older than this belong to a digest run that died midway
+const DIGEST_CLAIM_TIMEOUT_MINUTES = 60
+
+// Send one digest email per recipient with everything queued for the digest.
+// Every API instance runs the scheduler, so a run first claims the pending
+// notifications; each one goes out in exactly one digest.
+const sendDigests = async () => {
+    await Notification.updateMany(
+        {
+            delivery: 'digest',
+            status: 'sending',
+            claimedAt: { $lte: new Date(Date.now() - DIGEST_CLAIM_TIMEOUT_MINUTES * 60 * 1000) }
+        },
+        { $set: { status: 'pending', claimId: null, claimedAt: null } }
+    )
+
+    const claimId = uuidv4()
+    await Notification.updateMany(
+        { delivery: 'digest', status: 'pending' },
+        { $set: { status: 'sending', claimId, claimedAt: new Date() } }
+    )
+
+    const pending = await Notification.find({ claimId }).sort({ createdAt: 1 })
+    const byEmail = new Map()
+
+    for (const notification of pending) {
+        if (!byEmail.has(notification.email)) {
+            byEmail.set(notification.email, [])
+        }
+        byEmail.get(notification.email).push(notification)
+    }
+
+    let sent = 0
+    for (const [email, notifications] of byEmail) {
+        const ids = notifications.map(notification => notification.notificationId)
+        const lines = notifications.map(notification => `- ${notification.subject}\n  ${notification.url}`)
+
+        try {
+            await sendMail({
+                to: email,
+                subject: `Kavios Pix: ${notifications.length} new ${notifications.length === 1 ? 'update' : 'updates'} in your albums`,
+                text: `Here is what happened since your last digest:\n\n${lines.join('\n')}`
+            })
+            await Notification.updateMany(
+                { notificationId: { $in: ids }, claimId },
+                { $set: { status: 'sent', sentAt: new Date(), claimId: null, claimedAt: null } }
+            )
+            sent++
+        } catch (error) {
+            // Back to pending, so the next run tries again
+            console.error(`Error sending digest to ${email}:`, error)
+            await Notification.updateMany(
+                { notificationId: { $in: ids }, claimId },
+                { $set: { status: 'pending', claimId: null, claimedAt: null } }
+            )
+        }
+    }
+
+    return { recipients: byEmail.size, sent, notifications: pending.length }
+}
+
+const getPreferences = async (userId) => {
+    const user = await KaviosUser.findOne({ googleId: userId }, { notifications: 1 }).lean()
+    return { ...DEFAULT_PREFERENCES, ...user?.notifications }
+}
+
+// Change some of the user's preferences, e.g. { uploads: 'off' }
+const updatePreferences = async (user, changes) => {
+    const updates = {}
+
+    for (const [category, delivery] of Object.entries(changes || {})) {
+        if (!CATEGORIES.includes(category)) {
+            throw new HttpError(400, `Unknown notification category "${category}"; use ${CATEGORIES.join(', ')}`)
+        }
+        if (!DELIVERY_MODES.includes(delivery)) {
+            throw new HttpError(400, `${category} must be one of: ${DELIVERY_MODES.join(', ')}`)
+        }
+        updates[`notifications.${category}`] = delivery
+    }
+
+    if (Object.keys(updates).length === 0) {
+        throw new HttpError(400, `Provide at least one of ${CATEGORIES.join(', ')}`)
+    }
+
+    const updated = await KaviosUser.findOneAndUpdate(
+        { googleId: user.userId },
+        {
+            $set: updates,
+            $setOnInsert: { email: user.email, name: user.name, picture: user.picture }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean()
+
+    return { ...DEFAULT_PREFERENCES, ...updated.notifications }
+}
+
+module.exports = {
+    CATEGORIES,
+    DELIVERY_MODES,
+    dispatchActivity,
+    sendDigests,
+    getPreferences,
+    updatePreferences
+}
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose')
+const { HttpError } = require('./errors')
+
+// Keyset ("cursor") pagination. Pages are ordered by (sort field, _id) and the
+// cursor records the last document's pair, so documents inserted while a
+// client is paging never shift or repeat items on later pages.
+//
+// Text relevance cannot be expressed as a range filter, so `sort=relevance`
+// falls back to an offset stored in the same opaque cursor.
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+const RELEVANCE = 'relevance'
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url')
+
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    } catch {
+        throw new HttpError(400, 'Invalid cursor')
+    }
+}
+
+// Cursors come back from clients, so check every part before it reaches a
+// query: a relevance cursor needs an offset, a keyset cursor a typed sort
+// value and an ObjectId. Only plain values are accepted, never query operators.
+const isValidCursorValue = (packed) => {
+    if (!packed || typeof packed !== 'object') return false
+
+    const { t, v } = packed
+    if (t === 'date') return typeof v === 'string' && !isNaN(new Date(v).getTime())
+    if (t === 'string') return typeof v === 'string'
+    if (t === 'number') return typeof v === 'number' && isFinite(v)
+    if (t === 'boolean') return typeof v === 'boolean'
+    if (t === 'null') return v === null
+    return false
+}
+
+const isValidCursor = (cursor, sortField) => {
+    if (!cursor || typeof cursor !== 'object') return false
+
+    if (sortField === RELEVANCE) {
+        return Number.isSafeInteger(cursor.offset) && cursor.offset >= 0
+    }
+
+    return isValidCursorValue(cursor.value) &&
+        typeof cursor.id === 'string' &&
+        mongoose.isValidObjectId(cursor.id)
+}
+
+// Dates don't survive JSON, so remember the type of the sort value
+const packValue = (value) => {
+    if (value instanceof Date) return { t: 'date', v: value.toISOString() }
+    if (value === null || value === undefined) return { t: 'null', v: null }
+    return { t: typeof value, v: value }
+}
+
+const unpackValue = ({ t, v }) => {
+    if (t === 'date') return new Date(v)
+    if (t === 'null') return null
+    return v
+}
+
+// Read limit, sort, order and cursor from query parameters
+const parsePageParams = (query, { sortFields, defaultSort, allowRelevance = false }) => {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit)
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`)
+    }
+
+    const sortField = query.sort || defaultSort
+    const allowed = allowRelevance ? sortFields.concat(RELEVANCE) : sortFields
+
+    if (!allowed.includes(sortField)) {
+        throw new HttpError(400, `sort must be one of: ${allowed.join(', ')}`)
+    }
+
+    if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+        throw new HttpError(400, 'order must be asc or desc')
+    }
+
+    const direction = query.order === 'asc' ? 1 : -1
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null
+
+    if (query.cursor && !isValidCursor(cursor, sortField)) {
+        throw new HttpError(400, 'Invalid cursor')
+    }
+
+    // A cursor only makes sense for the ordering it was issued for
+    if (cursor && (cursor.s !== sortField || cursor.d !== direction)) {
+        throw new HttpError(400, 'Cursor does not match the requested sort')
+    }
+
+    return { limit, sortField, direction, cursor }
+}
+
+// Filter selecting documents after the cursor position. MongoDB sorts null
+// below every value, so nulls come first ascending and last descending.
+const afterCursor = (field, direction, cursor) => {
+    const value = unpackValue(cursor.value)
+    const id = new mongoose.Types.ObjectId(cursor.id)
+    const beyond = direction === 1 ? '$gt' : '$lt'
+
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: id } }
+    }
+
+    const conditions = [
+        { [field]: { [beyond]: value } },
+        { [field]: value, _id: { [beyond]: id } }
+    ]
+
+    if (direction === -1) {
+        conditions.push({ [field]: null })
+    }
+
+    return { $or: conditions }
+}
+
+// Fetch one page of `Model` documents matching `filter`
+const paginate = async (Model, filter, { limit, sortField, direction, cursor }, projection = {}) => {
+    const relevance = sortField === RELEVANCE
+    let query
+
+    if (relevance) {
+        query = Model.find(filter, { ...projection, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, _id: -1 })
+            .skip(cursor ? cursor.offset : 0)
+    } else {
+        const pageFilter = cursor ? { $and: [filter, afterCursor(sortField, direction, cursor)] } : filter
+        query = Model.find(pageFilter, projection).sort({ [sortField]: direction, _id: direction })
+    }
+
+    const [docs, total] = await Promise.all([
+        query.limit(limit + 1),
+        Model.countDocuments(filter)
+    ])
+
+    const hasMore = docs.length > limit
+    const items = docs.slice(0, limit)
+    let nextCursor = null
+
+    if (hasMore) {
+        const last = items[items.length - 1]
+        nextCursor = relevance
+            ? encodeCursor({ s: sortField, d: direction, offset: (cursor ? cursor.offset : 0) + limit })
+            : encodeCursor({ s: sortField, d: direction, value: packValue(last.get(sortField)), id: String(last._id) })
+    }
+
+    return {
+        items,
+        pageInfo: { limit, total, hasMore, nextCursor }
+    }
+}
+
+module.exports = { parsePageParams, paginate }
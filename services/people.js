@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid')
+const Person = require('../models/Person.model')
+const Image = require('../models/Image.model')
+const { HttpError } = require('./errors')
+
+// People registry. Each album owner has their own list of people; images in
+// the owner's albums tag them by personId, optionally with a face region.
+
+const MAX_NAME_LENGTH = 100
+
+const nameKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase()
+
+const normalizeName = (name) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new HttpError(400, 'Person name is required')
+    }
+
+    const normalized = name.trim().replace(/\s+/g, ' ')
+    if (normalized.length > MAX_NAME_LENGTH) {
+        throw new HttpError(400, `Person name cannot be longer than ${MAX_NAME_LENGTH} characters`)
+    }
+
+    return normalized
+}
+
+// A region is { x, y, width, height } relative to the image, each 0-1, and must
+// lie within it. null/undefined means "somewhere in the photo".
+const parseRegion = (region) => {
+    if (region === undefined || region === null) {
+        return null
+    }
+
+    const fields = ['x', 'y', 'width', 'height']
+    const valid = typeof region === 'object' &&
+        fields.every(field => typeof region[field] === 'number' && region[field] >= 0 && region[field] <= 1) &&
+        region.width > 0 && region.height > 0 &&
+        region.x + region.width <= 1 && region.y + region.height <= 1
+
+    if (!valid) {
+        throw new HttpError(400, 'region must be { x, y, width, height } with values from 0 to 1 inside the image')
+    }
+
+    return { x: region.x, y: region.y, width: region.width, height: region.height }
+}
+
+const findOrCreatePerson = async (ownerId, name) => {
+    const normalized = normalizeName(name)
+
+    return Person.findOneAndUpdate(
+        { ownerId, nameKey: nameKey(normalized) },
+        { $setOnInsert: { personId: uuidv4(), name: normalized, createdAt: new Date() } },
+        { upsert: true, new: true }
+    )
+}
+
+// Resolve { personId } or { name } within an owner's registry, creating named
+// people on first use
+const resolvePerson = async (ownerId, { personId, name }) => {
+    if (personId) {
+        const person = await Person.findOne({ personId, ownerId })
+        if (!person) {
+            throw new HttpError(404, 'Person not found')
+        }
+        return person
+    }
+
+    return findOrCreatePerson(ownerId, name)
+}
+
+// Image.people entries for a list of names or { name, region } objects, with
+// the names resolved (or added) in the owner's registry
+const resolvePeopleTags = async (ownerId, entries, user) => {
+    const tagged = []
+
+    for (const entry of entries) {
+        const region = typeof entry === 'string' ? null : parseRegion(entry?.region)
+        const person = await findOrCreatePerson(ownerId, typeof entry === 'string' ? entry : entry?.name)
+
+        if (!tagged.some(tag => tag.personId === person.personId)) {
+            tagged.push({
+                personId: person.personId,
+                name: person.name,
+                region,
+                source: 'manual',
+                confidence: null,
+                addedBy: user.userId,
+                addedAt: new Date()
+            })
+        }
+    }
+
+    return tagged
+}
+
+// Tag `person` on `image`, or update the existing tag's region
+const tagPerson = async (image, person, { region = null, source = 'manual', confidence = null, user = null } = {}) => {
+    const existing = image.people.find(entry => entry.personId === person.personId)
+
+    if (existing) {
+        existing.region = region
+        existing.source = source
+        existing.confidence = confidence
+    } else {
+        image.people.push({
+            personId: person.personId,
+            name: person.name,
+            region,
+            source,
+            confidence,
+            addedBy: user ? user.userId : null,
+            addedAt: new Date()
+        })
+    }
+
+    await image.save()
+    return image
+}
+
+const untagPerson = async (image, personId) => {
+    const before = image.people.length
+    image.people = image.people.filter(entry => entry.personId !== personId)
+
+    if (image.people.length === before) {
+        return false
+    }
+
+    await image.save()
+    return true
+}
+
+const renamePerson = async (person, name) => {
+    const normalized = normalizeName(name)
+    const key = nameKey(normalized)
+
+    if (key !== person.nameKey && await Person.exists({ ownerId: person.ownerId, nameKey: key })) {
+        throw new HttpError(409, 'Someone with that name already exists; merge them instead')
+    }
+
+    person.name = normalized
+    person.nameKey = key
+    await person.save()
+
+    await Image.updateMany(
+        { 'people.personId': person.personId },
+        { $set: { 'people.$[tag].name': normalized } },
+        { arrayFilters: [{ 'tag.personId': person.personId }] }
+    )
+
+    return person
+}
+
+// Fold `source` into `target`: images tagged with both keep the target's tag,
+// the rest are re-pointed at the target
+const mergePeople = async (source, target) => {
+    await Image.updateMany(
+        { $and: [{ 'people.personId': source.personId }, { 'people.personId': target.personId }] },
+        { $pull: { people: { personId: source.personId } } }
+    )
+
+    const result = await Image.updateMany(
+        { 'people.personId': source.personId },
+        { $set: { 'people.$[tag].personId': target.personId, 'people.$[tag].name': target.name } },
+        { arrayFilters: [{ 'tag.personId': source.personId }] }
+    )
+
+    await Person.deleteOne({ personId: source.personId })
+
+    return { images: result.modifiedCount }
+}
+
+const deletePerson = async (person) => {
+    await Image.updateMany(
+        { 'people.personId': person.personId },
+        { $pull: { people: { personId: person.personId } } }
+    )
+    await Person.deleteOne({ personId: person.personId })
+}
+
+const serializePerson = (person, imageCount) => ({
+    personId: person.personId,
+    name: person.name,
+    ...(imageCount !== undefined ? { imageCount } : {}),
+    createdAt: person.createdAt
+})
+
+const serializeImagePeople = (img) => (img.people || []).map(entry => ({
+    personId: entry.personId,
+    name: entry.name,
+    region: entry.region && entry.region.x !== undefined
+        ? { x: entry.region.x, y: entry.region.y, width: entry.region.width, height: entry.region.height }
+        : null,
+    source: entry.source,
+    confidence: entry.confidence
+}))
+
+module.exports = {
+    nameKey,
+    parseRegion,
+    findOrCreatePerson,
+    resolvePerson,
+    resolvePeopleTags,
+    tagPerson,
+    untagPerson,
+    renamePerson,
+    mergePeople,
+    deletePerson,
+    serializePerson,
+    serializeImagePeople
+}
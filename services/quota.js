@@ -0,0 +1,248 @@
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const KaviosUser = require('../models/User.model')
+const { HttpError } = require('./errors')
+const { formatBytes } = require('.')
+
+// Storage quotas. A user's usage is the size of the originals charged to them,
+// trashed images included since their files are kept until purged. Who is
+// charged for an upload into someone else's album depends on
+// QUOTA_CHARGE_POLICY:
+//   owner     the album owner pays for everything stored in their albums (default)
+//   uploader  each uploader pays for what they upload, wherever it lives
+// STORAGE_QUOTA_BYTES sets the default quota (5GB, 0 for unlimited); a user's
+// storageQuotaBytes overrides it.
+//
+// Usage is kept on the user as a counter (usedBytes) so that concurrent
+// uploads, imports and copies can't each pass the check and together go over
+// the quota: bytes are reserved with a conditional $inc before a file is
+// stored and given back if storing it fails, and purges release them. The
+// counter starts from the images' sizes the first time it is needed; setting
+// it back to null has it counted again.
+
+const QUOTA_POLICIES = ['owner', 'uploader']
+const QUOTA_CHARGE_POLICY = process.env.QUOTA_CHARGE_POLICY || 'owner'
+const DEFAULT_QUOTA_BYTES = process.env.STORAGE_QUOTA_BYTES !== undefined
+    ? Number(process.env.STORAGE_QUOTA_BYTES)
+    : 5 * 1024 * 1024 * 1024
+
+if (!QUOTA_POLICIES.includes(QUOTA_CHARGE_POLICY)) {
+    throw new Error(`Unknown QUOTA_CHARGE_POLICY "${QUOTA_CHARGE_POLICY}"`)
+}
+
+const GROWTH_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' }
+
+// Quota of a user in bytes, or null when unlimited
+const getQuota = async (userId) => {
+    const account = await KaviosUser.findOne({ googleId: userId }, { storageQuotaBytes: 1 })
+    const quota = account?.storageQuotaBytes ?? DEFAULT_QUOTA_BYTES
+
+    return quota > 0 ? quota : null
+}
+
+// The user who pays for bytes `user` uploads into `album`
+const chargedUserId = (album, user) => QUOTA_CHARGE_POLICY === 'owner' ? album.ownerId : user.userId
+
+// Filter for the images charged to a user
+const chargedImagesQuery = async (userId) => {
+    if (QUOTA_CHARGE_POLICY === 'uploader') {
+        return { uploadedBy: userId }
+    }
+
+    const albums = await Album.find({ ownerId: userId }, { albumId: 1 })
+    return { albumId: { $in: albums.map(album => album.albumId) } }
+}
+
+const getUsage = async (userId) => {
+    const [usage] = await Image.aggregate([
+        { $match: await chargedImagesQuery(userId) },
+        { $group: { _id: null, bytes: { $sum: '$size' }, images: { $sum: 1 } } }
+    ])
+
+    return { bytes: usage?.bytes || 0, images: usage?.images || 0 }
+}
+
+// The user's usage counter, counting it from their images the first time.
+// Returns null for a user without an account (nobody to charge).
+const countedUsage = async (userId) => {
+    const account = await KaviosUser.findOne({ googleId: userId }, { usedBytes: 1 })
+
+    if (!account) {
+        return null
+    }
+
+    if (account.usedBytes !== null && account.usedBytes !== undefined) {
+        return account.usedBytes
+    }
+
+    const { bytes } = await getUsage(userId)
+
+    // Only the first count applies; a concurrent one may already have been used
+    await KaviosUser.updateOne({ googleId: userId, usedBytes: null }, { $set: { usedBytes: bytes } })
+
+    const counted = await KaviosUser.findOne({ googleId: userId }, { usedBytes: 1 })
+    return counted ? counted.usedBytes : null
+}
+
+const quotaFullError = (userId, user, quota, used) => {
+    const whose = userId === user.userId ? 'Your' : 'The album owner\'s'
+    return new HttpError(507, `${whose} storage quota of ${formatBytes(quota)} is full (${formatBytes(used)} used)`)
+}
+
+// Throw when storing `size` more bytes for `user` in `album` would go over the
+// charged user's quota. An early check only; storing a file reserves the
+// bytes with reserveQuota.
+const assertQuota = async ({ album, user, size }) => {
+    const userId = chargedUserId(album, user)
+    const quota = await getQuota(userId)
+
+    if (quota === null) {
+        return
+    }
+
+    const used = await countedUsage(userId)
+
+    if (used !== null && used + size > quota) {
+        throw quotaFullError(userId, user, quota, used)
+    }
+}
+
+// Reserve `size` bytes for a file `user` is storing in `album`, throwing
+// when they don't fit in the charged user's quota. Returns the charged
+// userId; hand it to adjustUsage to give the bytes back if storing fails.
+const reserveQuota = async ({ album, user, size }) => {
+    const userId = chargedUserId(album, user)
+    const [quota, used] = await Promise.all([getQuota(userId), countedUsage(userId)])
+
+    if (used === null) {
+        return null
+    }
+
+    const filter = quota === null
+        ? { googleId: userId }
+        : { googleId: userId, usedBytes: { $lte: quota - size } }
+    const reserved = await KaviosUser.findOneAndUpdate(filter, { $inc: { usedBytes: size } }, { new: true, projection: { usedBytes: 1 } })
+
+    if (!reserved) {
+        const current = await KaviosUser.findOne({ googleId: userId }, { usedBytes: 1 })
+        throw quotaFullError(userId, user, quota, current ? current.usedBytes : used)
+    }
+
+    return userId
+}
+
+// Add `bytes` (negative to release them) to a user's counted usage. Users
+// not counted yet are left alone: their first count includes the change.
+const adjustUsage = async (userId, bytes) => {
+    if (!userId || !bytes) {
+        return
+    }
+
+    await KaviosUser.updateOne({ googleId: userId, usedBytes: { $ne: null } }, { $inc: { usedBytes: bytes } })
+}
+
+// The user an image's original is charged to, or null when that can't be
+// told any more (an owner-policy image whose album is gone)
+const chargedUserOfImage = async (image, album = null) => {
+    const uploader = { userId: image.uploadedBy }
+
+    if (QUOTA_CHARGE_POLICY === 'uploader') {
+        return chargedUserId(album, uploader)
+    }
+
+    const holder = album || await Album.findOne({ albumId: image.albumId }, { ownerId: 1 })
+    return holder ? chargedUserId(holder, uploader) : null
+}
+
+// Usage report for a user: totals, a per-album breakdown, the largest files
+// and bytes added per day, week or month
+const usageReport = async (userId, { groupBy = 'month', largest = 10 } = {}) => {
+    if (!GROWTH_FORMATS[groupBy]) {
+        throw new HttpError(400, `groupBy must be one of: ${Object.keys(GROWTH_FORMATS).join(', ')}`)
+    }
+
+    const match = await chargedImagesQuery(userId)
+
+    const [quota, perAlbum, largestImages, growth] = await Promise.all([
+        getQuota(userId),
+        Image.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$albumId',
+                    bytes: { $sum: '$size' },
+                    images: { $sum: 1 },
+                    trashedBytes: { $sum: { $cond: [{ $ne: ['$deletedAt', null] }, '$size', 0] } }
+                }
+            },
+            { $sort: { bytes: -1 } }
+        ]),
+        Image.find(match, { imageId: 1, albumId: 1, name: 1, size: 1, uploadedAt: 1, deletedAt: 1 })
+            .sort({ size: -1 })
+            .limit(largest),
+        Image.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { $dateToString: { format: GROWTH_FORMATS[groupBy], date: '$uploadedAt' } },
+                    bytes: { $sum: '$size' },
+                    images: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ])
+    ])
+
+    const albums = await Album.find({ albumId: { $in: perAlbum.map(entry => entry._id) } }, { albumId: 1, name: 1, ownerId: 1, deletedAt: 1 })
+    const albumsById = new Map(albums.map(album => [album.albumId, album]))
+
+    const usedBytes = perAlbum.reduce((sum, entry) => sum + entry.bytes, 0)
+    let cumulativeBytes = 0
+
+    return {
+        policy: QUOTA_CHARGE_POLICY,
+        quotaBytes: quota,
+        usedBytes,
+        remainingBytes: quota === null ? null : Math.max(quota - usedBytes, 0),
+        imageCount: perAlbum.reduce((sum, entry) => sum + entry.images, 0),
+        albums: perAlbum.map(entry => {
+            const album = albumsById.get(entry._id)
+            return {
+                albumId: entry._id,
+                name: album ? album.name : null,
+                owned: album ? album.ownerId === userId : false,
+                trashed: album ? !!album.deletedAt : false,
+                imageCount: entry.images,
+                bytes: entry.bytes,
+                trashedBytes: entry.trashedBytes
+            }
+        }),
+        largest: largestImages.map(image => ({
+            imageId: image.imageId,
+            albumId: image.albumId,
+            name: image.name,
+            size: image.size,
+            uploadedAt: image.uploadedAt,
+            trashed: !!image.deletedAt
+        })),
+        growth: {
+            groupBy,
+            periods: growth.map(entry => {
+                cumulativeBytes += entry.bytes
+                return { period: entry._id, bytes: entry.bytes, imageCount: entry.images, cumulativeBytes }
+            })
+        }
+    }
+}
+
+module.exports = {
+    QUOTA_CHARGE_POLICY,
+    getQuota,
+    getUsage,
+    chargedUserId,
+    chargedUserOfImage,
+    assertQuota,
+    reserveQuota,
+    adjustUsage,
+    usageReport
+}
@@ -0,0 +1,62 @@
+const sharp = require('sharp')
+const { albumFolder, getStorage } = require('./storage')
+
+// Sizes generated for every image. Widths are upper bounds: images are fitted
+// inside a width x width box and never enlarged.
+const RENDITIONS = [
+    { name: 'thumb', width: 320, format: 'jpeg', quality: 75 },
+    { name: 'medium', width: 1280, format: 'jpeg', quality: 80 },
+    { name: 'webp', width: 2048, format: 'webp', quality: 80 }
+]
+
+const RENDITION_NAMES = RENDITIONS.map(rendition => rendition.name)
+
+// Render every rendition of `source` (buffer or file path) and store them
+// next to the album's originals. Returns a map of name -> stored rendition.
+const generateRenditions = async (source, albumId) => {
+    const storage = getStorage()
+    const renditions = {}
+
+    try {
+        for (const rendition of RENDITIONS) {
+            const { data, info } = await sharp(source)
+                .rotate()
+                .resize({ width: rendition.width, height: rendition.width, fit: 'inside', withoutEnlargement: true })
+                .toFormat(rendition.format, { quality: rendition.quality })
+                .toBuffer({ resolveWithObject: true })
+
+            const uploadResult = await storage.upload(data, {
+                folder: `${albumFolder(albumId)}/renditions`,
+                filename: `${rendition.name}.${rendition.format}`,
+                mimetype: `image/${rendition.format}`
+            })
+
+            renditions[rendition.name] = {
+                provider: storage.name,
+                key: uploadResult.key,
+                url: uploadResult.url,
+                width: info.width,
+                height: info.height,
+                format: rendition.format,
+                bytes: uploadResult.bytes
+            }
+        }
+    } catch (error) {
+        // Don't leave a partial set behind
+        for (const rendition of Object.values(renditions)) {
+            await storage.remove(rendition.key).catch(() => {})
+        }
+        throw error
+    }
+
+    return renditions
+}
+
+// Delete the stored files of an image's renditions
+const removeRenditions = async (image) => {
+    for (const rendition of image.renditions?.values() || []) {
+        await getStorage(rendition.provider).remove(rendition.key)
+    }
+}
+
+module.exports = { RENDITIONS, RENDITION_NAMES, generateRenditions, removeRenditions }
@@ -0,0 +1,105 @@
+const { HttpError } = require('./errors')
+
+// Fields search results can be sorted by (besides text relevance)
+const SORT_FIELDS = ['uploadedAt', 'capturedAt', 'size', 'name']
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean)
+
+const parseDate = (value, field) => {
+    const date = new Date(value)
+    if (isNaN(date.getTime())) {
+        throw new HttpError(400, `${field} must be a valid date`)
+    }
+    return date
+}
+
+const parseNumber = (value, field) => {
+    const number = Number(value)
+    if (!isFinite(number) || number < 0) {
+        throw new HttpError(400, `${field} must be a non-negative number`)
+    }
+    return number
+}
+
+// Add a { $gte, $lte } range on `field` when either bound is present
+const addRange = (filter, field, from, to) => {
+    if (from === undefined && to === undefined) {
+        return
+    }
+
+    filter[field] = {}
+    if (from !== undefined) filter[field].$gte = from
+    if (to !== undefined) filter[field].$lte = to
+}
+
+// Case-insensitive exact match
+const exactMatch = (value) => new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i')
+
+// Translate search query parameters into a Mongo filter.
+// Album scoping, trash exclusion and paging are left to the caller, as is
+// looking up the caller's starred imageIds for the favorite filter.
+const buildImageSearch = (query, { favoriteIds = [] } = {}) => {
+    const filter = {}
+
+    if (query.q) {
+        filter.$text = { $search: String(query.q) }
+    }
+
+    if (query.tags) {
+        filter.tags = { $all: splitList(query.tags) }
+    }
+
+    if (query.anyTags) {
+        filter.$and = [{ tags: { $in: splitList(query.anyTags) } }]
+    }
+
+    if (query.person) {
+        filter['people.name'] = exactMatch(query.person)
+    }
+
+    if (query.personId) {
+        filter['people.personId'] = String(query.personId)
+    }
+
+    if (query.favorite !== undefined) {
+        filter.imageId = query.favorite === 'true' ? { $in: favoriteIds } : { $nin: favoriteIds }
+    }
+
+    if (query.uploadedBy) {
+        filter.uploadedBy = String(query.uploadedBy)
+    }
+
+    addRange(filter, 'size',
+        query.minSize !== undefined ? parseNumber(query.minSize, 'minSize') : undefined,
+        query.maxSize !== undefined ? parseNumber(query.maxSize, 'maxSize') : undefined)
+
+    addRange(filter, 'uploadedAt',
+        query.uploadedFrom ? parseDate(query.uploadedFrom, 'uploadedFrom') : undefined,
+        query.uploadedTo ? parseDate(query.uploadedTo, 'uploadedTo') : undefined)
+
+    addRange(filter, 'capturedAt',
+        query.takenFrom ? parseDate(query.takenFrom, 'takenFrom') : undefined,
+        query.takenTo ? parseDate(query.takenTo, 'takenTo') : undefined)
+
+    if (query.cameraMake) {
+        filter['camera.make'] = exactMatch(query.cameraMake)
+    }
+
+    if (query.cameraModel) {
+        filter['camera.model'] = exactMatch(query.cameraModel)
+    }
+
+    if (query.lens) {
+        filter.lens = exactMatch(query.lens)
+    }
+
+    if (query.hasLocation !== undefined) {
+        filter['gps.latitude'] = query.hasLocation === 'true' ? { $ne: null } : null
+    }
+
+    return filter
+}
+
+module.exports = { SORT_FIELDS, escapeRegex, buildImageSearch }
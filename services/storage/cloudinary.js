@@ -0,0 +1,77 @@
+const axios = require('axios')
+const cloudinary = require('cloudinary').v2
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+})
+
+const toResult = (result) => ({
+    key: result.public_id,
+    url: result.secure_url,
+    bytes: result.bytes
+})
+
+// Upload a buffer through Cloudinary's upload stream, or a file on disk by path
+const upload = (source, { folder }) => {
+    if (typeof source === 'string') {
+        return cloudinary.uploader.upload(source, { folder, resource_type: 'image' }).then(toResult)
+    }
+
+    return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+            {
+                folder: folder,
+                resource_type: 'image'
+            },
+            (error, result) => {
+                if(error) {
+                    reject(error)
+                } else {
+                    resolve(toResult(result))
+                }
+            }
+        )
+        uploadStream.end(source)
+    })
+}
+
+// Copy an asset into another folder; Cloudinary fetches it from its own URL
+const copy = (key, { folder }) => {
+    const url = cloudinary.url(key, { secure: true, resource_type: 'image' })
+    return cloudinary.uploader.upload(url, { folder, resource_type: 'image' }).then(toResult)
+}
+
+const remove = async (key) => {
+    await cloudinary.uploader.destroy(key)
+}
+
+// Cloudinary assets are public, so the stored URL is fetched directly
+const createReadStream = async (key) => {
+    const url = cloudinary.url(key, { secure: true, resource_type: 'image' })
+    const response = await axios.get(url, { responseType: 'stream' })
+    return response.data
+}
+
+// Names of the folders directly below `parent`
+const listFolders = async (parent) => {
+    const names = []
+    let nextCursor
+
+    do {
+        const result = await cloudinary.api.sub_folders(parent, { max_results: 500, next_cursor: nextCursor })
+        names.push(...result.folders.map(folder => folder.name))
+        nextCursor = result.next_cursor
+    } while (nextCursor)
+
+    return names
+}
+
+// Delete every asset under a folder, then the folder itself
+const removeFolder = async (folder) => {
+    await cloudinary.api.delete_resources_by_prefix(`${folder}/`)
+    await cloudinary.api.delete_folder(folder)
+}
+
+module.exports = { name: 'cloudinary', upload, copy, remove, createReadStream, listFolders, removeFolder }
@@ -0,0 +1,51 @@
+// Storage backend selection
+//
+// Every adapter exposes the same interface:
+//   upload(bufferOrPath, { folder, filename, mimetype }) -> { key, url, bytes }
+//   copy(key, { folder }) -> { key, url, bytes }
+//   remove(key)
+//   createReadStream(key) -> Readable
+//   listFolders(parent) -> [folder name]
+//   removeFolder(folder)
+//
+// STORAGE_DRIVER picks the adapter used for new uploads ('cloudinary' by default).
+// Images remember the provider that stored them, so switching drivers keeps
+// older files reachable through their original adapter.
+
+const drivers = {
+    cloudinary: () => require('./cloudinary'),
+    local: () => require('./local')
+}
+
+// Every album's files live under this folder
+const albumFolder = (albumId) => `kaviospix/${albumId}`
+
+const defaultDriver = process.env.STORAGE_DRIVER || 'cloudinary'
+
+if (!drivers[defaultDriver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${defaultDriver}"`)
+}
+
+const getStorage = (provider = defaultDriver) => {
+    const load = drivers[provider]
+
+    if (!load) {
+        throw new Error(`Unknown storage provider "${provider}"`)
+    }
+
+    return load()
+}
+
+// Read a whole stored file into memory
+const readFile = async (provider, key) => {
+    const stream = await getStorage(provider).createReadStream(key)
+    const chunks = []
+
+    for await (const chunk of stream) {
+        chunks.push(chunk)
+    }
+
+    return Buffer.concat(chunks)
+}
+
+module.exports = { albumFolder, getStorage, readFile }
@@ -0,0 +1,91 @@
+const fs = require('fs')
+const path = require('path')
+const { v4: uuidv4 } = require('uuid')
+
+const rootDir = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../uploads'))
+
+const extensions = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+}
+
+// Resolve a storage key to a path inside the storage root, rejecting traversal
+const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key)
+
+    if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new Error('Invalid storage key')
+    }
+
+    return filePath
+}
+
+// Store a buffer, or copy a file on disk when given its path
+const upload = async (source, { folder, mimetype, filename }) => {
+    const extension = extensions[mimetype] || path.extname(filename || '').toLowerCase()
+    const key = path.posix.join(folder, `${uuidv4()}${extension}`)
+    const filePath = resolvePath(key)
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+
+    if (typeof source === 'string') {
+        await fs.promises.copyFile(source, filePath)
+    } else {
+        await fs.promises.writeFile(filePath, source)
+    }
+
+    const { size } = await fs.promises.stat(filePath)
+
+    return {
+        key,
+        url: `${process.env.BACKEND_URL || ''}/files/${key}`,
+        bytes: size
+    }
+}
+
+// Copy a stored file into another folder under a new name
+const copy = async (key, { folder }) => {
+    const newKey = path.posix.join(folder, `${uuidv4()}${path.posix.extname(key)}`)
+    const filePath = resolvePath(newKey)
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.copyFile(resolvePath(key), filePath)
+
+    const { size } = await fs.promises.stat(filePath)
+
+    return {
+        key: newKey,
+        url: `${process.env.BACKEND_URL || ''}/files/${newKey}`,
+        bytes: size
+    }
+}
+
+const remove = async (key) => {
+    await fs.promises.rm(resolvePath(key), { force: true })
+}
+
+const createReadStream = async (key) => {
+    const filePath = resolvePath(key)
+    await fs.promises.access(filePath)
+    return fs.createReadStream(filePath)
+}
+
+const listFolders = async (parent) => {
+    try {
+        const entries = await fs.promises.readdir(resolvePath(parent), { withFileTypes: true })
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name)
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return []
+        }
+        throw error
+    }
+}
+
+const removeFolder = async (folder) => {
+    await fs.promises.rm(resolvePath(folder), { recursive: true, force: true })
+}
+
+module.exports = { name: 'local', rootDir, resolvePath, upload, copy, remove, createReadStream, listFolders, removeFolder }
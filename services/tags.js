@@ -0,0 +1,191 @@
+const { v4: uuidv4 } = require('uuid')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Tag = require('../models/Tag.model')
+const { HttpError } = require('./errors')
+
+// Tag vocabulary. Each album owner has a registry of tag names; tags added to
+// images in their albums take the registry's spelling, so "Beach" and "beach"
+// stay one tag. Usage counts are computed from the images when asked for.
+
+const MAX_TAG_LENGTH = 50
+const MAX_TAGS_PER_IMAGE = 100
+
+const nameKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase()
+
+const normalizeTag = (name) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new HttpError(400, 'Tags must be non-empty strings')
+    }
+
+    const normalized = name.trim().replace(/\s+/g, ' ')
+    if (normalized.length > MAX_TAG_LENGTH) {
+        throw new HttpError(400, `Tags cannot be longer than ${MAX_TAG_LENGTH} characters`)
+    }
+
+    return normalized
+}
+
+// Tags from a request: an array of strings, or a JSON string of one (as sent
+// in multipart forms and tus metadata). Anything else is a 400.
+const parseTags = (tags) => {
+    if (tags === undefined || tags === null || tags === '') {
+        return []
+    }
+
+    let parsed = tags
+    if (typeof tags === 'string') {
+        try {
+            parsed = JSON.parse(tags)
+        } catch {
+            throw new HttpError(400, 'tags must be a JSON array of strings')
+        }
+    }
+
+    if (!Array.isArray(parsed) || !parsed.every(tag => typeof tag === 'string')) {
+        throw new HttpError(400, 'tags must be a JSON array of strings')
+    }
+
+    if (parsed.length > MAX_TAGS_PER_IMAGE) {
+        throw new HttpError(400, `An image can have at most ${MAX_TAGS_PER_IMAGE} tags`)
+    }
+
+    return parsed.map(normalizeTag)
+}
+
+// Map names onto the owner's registry spelling, registering new ones.
+// Duplicates (in any case) are dropped.
+const resolveTags = async (ownerId, names) => {
+    const resolved = []
+    const seen = new Set()
+
+    for (const name of names) {
+        const normalized = normalizeTag(name)
+        const key = nameKey(normalized)
+        if (seen.has(key)) {
+            continue
+        }
+        seen.add(key)
+
+        const tag = await Tag.findOneAndUpdate(
+            { ownerId, nameKey: key },
+            { $setOnInsert: { tagId: uuidv4(), name: normalized, createdAt: new Date() } },
+            { upsert: true, new: true }
+        )
+        resolved.push(tag.name)
+    }
+
+    return resolved
+}
+
+// Apply a tag edit to an image: `tags` replaces the list, otherwise `add` and
+// `remove` adjust it. Names are resolved against the album owner's registry.
+const editImageTags = async (image, album, { tags, add = [], remove = [] }) => {
+    let next
+    if (tags !== undefined) {
+        next = await resolveTags(album.ownerId, tags)
+    } else {
+        const removed = new Set(remove.map(nameKey))
+        next = await resolveTags(album.ownerId, image.tags.concat(add).filter(tag => !removed.has(nameKey(tag))))
+    }
+
+    if (next.length > MAX_TAGS_PER_IMAGE) {
+        throw new HttpError(400, `An image can have at most ${MAX_TAGS_PER_IMAGE} tags`)
+    }
+
+    image.tags = next
+    await image.save()
+
+    return image
+}
+
+// Every album (trashed or not) whose images use the owner's vocabulary
+const ownerAlbumIds = async (ownerId) => {
+    const albums = await Album.find({ ownerId }, { albumId: 1 })
+    return albums.map(album => album.albumId)
+}
+
+// tag name -> number of images (outside the trash) using it
+const countTagUsage = async (ownerId, names) => {
+    const albumIds = await Album.find({ ownerId, deletedAt: null }, { albumId: 1 })
+    const counts = await Image.aggregate([
+        { $match: { albumId: { $in: albumIds.map(album => album.albumId) }, tags: { $in: names }, deletedAt: null } },
+        { $unwind: '$tags' },
+        { $match: { tags: { $in: names } } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ])
+
+    return new Map(counts.map(({ _id, count }) => [_id, count]))
+}
+
+const renameTag = async (tag, name) => {
+    const normalized = normalizeTag(name)
+    const key = nameKey(normalized)
+
+    if (key !== tag.nameKey && await Tag.exists({ ownerId: tag.ownerId, nameKey: key })) {
+        throw new HttpError(409, 'A tag with that name already exists; merge them instead')
+    }
+
+    const previous = tag.name
+    tag.name = normalized
+    tag.nameKey = key
+    await tag.save()
+
+    const result = await Image.updateMany(
+        { albumId: { $in: await ownerAlbumIds(tag.ownerId) }, tags: previous },
+        { $set: { 'tags.$[tag]': normalized } },
+        { arrayFilters: [{ tag: previous }] }
+    )
+
+    return { tag, images: result.modifiedCount }
+}
+
+// Fold `source` into `target` on every image in the owner's albums, then drop
+// `source` from the registry
+const mergeTags = async (source, target) => {
+    const albumIds = await ownerAlbumIds(source.ownerId)
+
+    await Image.updateMany(
+        { albumId: { $in: albumIds }, $and: [{ tags: source.name }, { tags: target.name }] },
+        { $pull: { tags: source.name } }
+    )
+
+    const result = await Image.updateMany(
+        { albumId: { $in: albumIds }, tags: source.name },
+        { $set: { 'tags.$[tag]': target.name } },
+        { arrayFilters: [{ tag: source.name }] }
+    )
+
+    await Tag.deleteOne({ tagId: source.tagId })
+
+    return { images: result.modifiedCount }
+}
+
+const deleteTag = async (tag) => {
+    const result = await Image.updateMany(
+        { albumId: { $in: await ownerAlbumIds(tag.ownerId) }, tags: tag.name },
+        { $pull: { tags: tag.name } }
+    )
+    await Tag.deleteOne({ tagId: tag.tagId })
+
+    return { images: result.modifiedCount }
+}
+
+const serializeTag = (tag, usageCount) => ({
+    tagId: tag.tagId,
+    name: tag.name,
+    ...(usageCount !== undefined ? { usageCount } : {}),
+    createdAt: tag.createdAt
+})
+
+module.exports = {
+    nameKey,
+    parseTags,
+    resolveTags,
+    editImageTags,
+    countTagUsage,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    serializeTag
+}
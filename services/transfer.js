@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid')
+const Image = require('../models/Image.model')
+const Comment = require('../models/Comment.model')
+const Favorite = require('../models/Favorite.model')
+const ShareLink = require('../models/ShareLink.model')
+const { albumFolder, getStorage, readFile } = require('./storage')
+const { hasEmbeddedLocation, stripLocation } = require('./metadata')
+const { canSeeLocation } = require('./images')
+const { getAlbumRole } = require('./access')
+const { findOrCreatePerson } = require('./people')
+const { resolveTags } = require('./tags')
+const { chargedUserId, reserveQuota, adjustUsage } = require('./quota')
+const { nextPosition } = require('./albums')
+
+// Moving and copying images between albums. Stored files always live in the
+// folder of the album that holds the image, so both operations copy the
+// original and its renditions into the target album's folder; a move then
+// removes the old files once the record points at the new ones.
+
+// Copy an image's original into `folder`. Originals stored before uploads were
+// stripped of GPS may still carry it; their copies are stored without it.
+const copyOriginal = async (image, folder) => {
+    const storage = getStorage(image.storageProvider)
+
+    if (!image.gpsCheckedAt) {
+        const buffer = await readFile(image.storageProvider, image.storageKey)
+
+        if (await hasEmbeddedLocation(buffer)) {
+            return storage.upload(await stripLocation(buffer), { folder, filename: image.filename })
+        }
+    }
+
+    return storage.copy(image.storageKey, { folder })
+}
+
+// Copy an image's original and renditions into `albumId`'s folder. On failure
+// the copies made so far are removed again.
+const copyAssets = async (image, albumId) => {
+    const storage = getStorage(image.storageProvider)
+    const folder = albumFolder(albumId)
+    const copied = []
+
+    try {
+        const original = await copyOriginal(image, folder)
+        copied.push({ provider: storage.name, key: original.key })
+
+        const renditions = {}
+        for (const [name, rendition] of image.renditions || []) {
+            const result = await getStorage(rendition.provider).copy(rendition.key, { folder: `${folder}/renditions` })
+            copied.push({ provider: rendition.provider, key: result.key })
+
+            renditions[name] = {
+                provider: rendition.provider,
+                key: result.key,
+                url: result.url,
+                width: rendition.width,
+                height: rendition.height,
+                format: rendition.format,
+                bytes: result.bytes
+            }
+        }
+
+        return { storageKey: original.key, url: original.url, renditions, gpsCheckedAt: image.gpsCheckedAt || new Date() }
+    } catch (error) {
+        for (const { provider, key } of copied) {
+            await getStorage(provider).remove(key).catch(() => {})
+        }
+        throw error
+    }
+}
+
+const removeAssets = async (image) => {
+    const assets = [{ provider: image.storageProvider, key: image.storageKey }]
+        .concat([...(image.renditions?.values() || [])].map(rendition => ({ provider: rendition.provider, key: rendition.key })))
+
+    for (const { provider, key } of assets) {
+        try {
+            await getStorage(provider).remove(key)
+        } catch (error) {
+            console.error('Error removing moved file from storage:', error)
+        }
+    }
+}
+
+// Tags and people re-resolved in the target owner's registries, and GPS kept
+// only if the caller was allowed to see it in the source album
+const targetFields = async (image, source, target, user) => {
+    const people = []
+    for (const tag of image.people || []) {
+        const person = source.ownerId === target.ownerId
+            ? { personId: tag.personId, name: tag.name }
+            : await findOrCreatePerson(target.ownerId, tag.name)
+
+        people.push({
+            personId: person.personId,
+            name: person.name,
+            region: tag.region,
+            source: tag.source,
+            confidence: tag.confidence,
+            addedBy: tag.addedBy,
+            addedAt: tag.addedAt
+        })
+    }
+
+    const fields = {
+        tags: await resolveTags(target.ownerId, image.tags || []),
+        people,
+        position: await nextPosition(target.albumId)
+    }
+
+    if (!canSeeLocation(source, getAlbumRole(source, user))) {
+        fields.gps = { latitude: null, longitude: null, altitude: null }
+    }
+
+    return fields
+}
+
+const moveImage = async (image, source, target, user) => {
+    // Only a move that changes who pays for the file (the album owner, under
+    // the owner policy) needs room in the target's quota; the bytes are
+    // reserved there and given back to the source once the move is done
+    const uploader = { userId: image.uploadedBy }
+    const from = chargedUserId(source, uploader)
+    const changesPayer = from !== chargedUserId(target, uploader)
+    const to = changesPayer ? await reserveQuota({ album: target, user, size: image.size }) : null
+
+    const previous = {
+        storageProvider: image.storageProvider,
+        storageKey: image.storageKey,
+        renditions: new Map([...(image.renditions || [])].map(([name, rendition]) => [name, { provider: rendition.provider, key: rendition.key }]))
+    }
+
+    try {
+        const fields = await targetFields(image, source, target, user)
+        const assets = await copyAssets(image, target.albumId)
+
+        image.set({
+            albumId: target.albumId,
+            ...assets,
+            ...fields
+        })
+        await image.save()
+    } catch (error) {
+        await adjustUsage(to, -image.size)
+        throw error
+    }
+
+    if (changesPayer) {
+        await adjustUsage(from, -image.size)
+    }
+
+    await Comment.updateMany({ imageId: image.imageId }, { $set: { albumId: target.albumId } })
+    await Favorite.updateMany({ imageId: image.imageId }, { $set: { albumId: target.albumId } })
+
+    // Links to the image follow it while the owner stays the same
+    if (source.ownerId === target.ownerId) {
+        await ShareLink.updateMany({ imageId: image.imageId }, { $set: { albumId: target.albumId } })
+    } else {
+        await ShareLink.updateMany({ imageId: image.imageId, revokedAt: null }, { $set: { revokedAt: new Date() } })
+    }
+
+    await removeAssets(previous)
+
+    return image
+}
+
+// A copy is a new image owned by the caller; comments and favorites stay with
+// the original
+const copyImage = async (image, source, target, user) => {
+    const charged = await reserveQuota({ album: target, user, size: image.size })
+
+    let fields
+    let assets
+    try {
+        fields = await targetFields(image, source, target, user)
+        assets = await copyAssets(image, target.albumId)
+    } catch (error) {
+        await adjustUsage(charged, -image.size)
+        throw error
+    }
+
+    const data = image.toObject()
+    delete data._id
+    delete data.__v
+
+    const copy = new Image({
+        ...data,
+        imageId: uuidv4(),
+        albumId: target.albumId,
+        ...assets,
+        ...fields,
+        commentCount: 0,
+        commentText: [],
+        favoriteCount: 0,
+        duplicateOf: null,
+        uploadedAt: new Date(),
+        uploadedBy: user.userId,
+        deletedAt: null,
+        deletedBy: null
+    })
+
+    try {
+        await copy.save()
+    } catch (error) {
+        await removeAssets({ storageProvider: copy.storageProvider, storageKey: copy.storageKey, renditions: copy.renditions })
+        await adjustUsage(charged, -image.size)
+        throw error
+    }
+
+    return copy
+}
+
+module.exports = { moveImage, copyImage }
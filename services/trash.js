@@ -0,0 +1,106 @@
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const ShareLink = require('../models/ShareLink.model')
+const Comment = require('../models/Comment.model')
+const Favorite = require('../models/Favorite.model')
+const Activity = require('../models/Activity.model')
+const Notification = require('../models/Notification.model')
+const Webhook = require('../models/Webhook.model')
+const Invitation = require('../models/Invitation.model')
+const { albumFolder, getStorage } = require('./storage')
+const { removeImageAssets } = require('./images')
+const { chargedUserOfImage, adjustUsage } = require('./quota')
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+
+// When a trashed item will be purged automatically
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+const trashImage = async (image, user) => {
+    image.deletedAt = new Date()
+    image.deletedBy = user.userId
+    await image.save()
+}
+
+const trashAlbum = async (album, user) => {
+    album.deletedAt = new Date()
+    album.deletedBy = user.userId
+    await album.save()
+}
+
+const restoreItem = async (doc) => {
+    doc.deletedAt = null
+    doc.deletedBy = null
+    await doc.save()
+}
+
+// Permanently delete an image, its stored files, comments, favorites and any
+// links to it, and give its bytes back to the quota it was charged to.
+// `album` saves looking up the album the image is in.
+const purgeImage = async (image, album = null) => {
+    const charged = await chargedUserOfImage(image, album)
+
+    await removeImageAssets(image)
+    await ShareLink.deleteMany({ imageId: image.imageId })
+    await Comment.deleteMany({ imageId: image.imageId })
+    await Favorite.deleteMany({ imageId: image.imageId })
+    const { deletedCount } = await Image.deleteOne({ imageId: image.imageId })
+
+    // Only the purge that removed the record releases its bytes
+    if (deletedCount > 0) {
+        await adjustUsage(charged, -image.size)
+    }
+}
+
+// Permanently delete an album with every image in it (trashed or not)
+const purgeAlbum = async (album) => {
+    const images = await Image.find({ albumId: album.albumId })
+
+    for (const image of images) {
+        await purgeImage(image, album)
+    }
+
+    // Catch anything left in the album folder, whichever backends were used
+    for (const provider of new Set(images.map(image => image.storageProvider).concat(getStorage().name))) {
+        try {
+            await getStorage(provider).removeFolder(albumFolder(album.albumId))
+        } catch (storageError) {
+            console.error('Error deleting album folder from storage: ', storageError)
+        }
+    }
+
+    await ShareLink.deleteMany({ albumId: album.albumId })
+    await Activity.deleteMany({ albumId: album.albumId })
+    await Notification.deleteMany({ albumId: album.albumId })
+    await Webhook.deleteMany({ albumId: album.albumId })
+    await Invitation.deleteMany({ albumId: album.albumId })
+    await Album.deleteOne({ albumId: album.albumId })
+}
+
+// Purge everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+    const albums = await Album.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    for (const album of albums) {
+        await purgeAlbum(album)
+    }
+
+    const images = await Image.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    for (const image of images) {
+        await purgeImage(image)
+    }
+
+    return { albums: albums.length, images: images.length }
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeDate,
+    trashImage,
+    trashAlbum,
+    restoreItem,
+    purgeImage,
+    purgeAlbum,
+    purgeExpiredTrash
+}
@@ -0,0 +1,196 @@
+const fs = require('fs')
+const path = require('path')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Upload = require('../models/Upload.model')
+const { ingestImage } = require('./ingest')
+const { hasAlbumRole } = require('./access')
+const { HttpError } = require('./errors')
+const { recordActivity } = require('./activity')
+
+const stagingDir = path.resolve(process.env.UPLOAD_STAGING_DIR || path.join(__dirname, '../staging'))
+const UPLOAD_EXPIRY_HOURS = Number(process.env.UPLOAD_EXPIRY_HOURS) || 24
+const COMPLETION_TIMEOUT_MINUTES = 10
+
+const stagingPath = (uploadId) => path.join(stagingDir, uploadId)
+
+// Each write pushes the expiry out again, so only abandoned uploads expire
+const nextExpiry = () => new Date(Date.now() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000)
+
+const createStagingFile = async (uploadId) => {
+    await fs.promises.mkdir(stagingDir, { recursive: true })
+    await fs.promises.writeFile(stagingPath(uploadId), Buffer.alloc(0))
+}
+
+// Bytes actually on disk. This, not the stored offset, is the source of truth:
+// the process may have stopped mid-chunk after writing but before saving.
+const stagedBytes = async (uploadId) => {
+    try {
+        const { size } = await fs.promises.stat(stagingPath(uploadId))
+        return size
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null
+        }
+        throw error
+    }
+}
+
+// Append a request body to the staged file, refusing to grow past `maxBytes`.
+// Whatever arrived before an error or disconnect stays on disk for resuming.
+const appendChunk = async (uploadId, req, maxBytes) => {
+    let received = 0
+
+    const limiter = new Transform({
+        transform (chunk, encoding, callback) {
+            received += chunk.length
+
+            if (received > maxBytes) {
+                return callback(new HttpError(413, 'Chunk exceeds the declared Upload-Length'))
+            }
+
+            callback(null, chunk)
+        }
+    })
+
+    try {
+        await pipeline(req, limiter, fs.createWriteStream(stagingPath(uploadId), { flags: 'a' }))
+    } finally {
+        await Upload.updateOne(
+            { uploadId },
+            { $set: { offset: await stagedBytes(uploadId), expiresAt: nextExpiry() } }
+        )
+    }
+}
+
+// The upload's album, provided `user` may still upload to it. Access is
+// checked again on every chunk and at completion: a member removed or demoted
+// after creating the upload must not keep staging bytes or finish it.
+const loadUploadAlbum = async (upload, user) => {
+    const album = await Album.findOne({ albumId: upload.albumId, deletedAt: null })
+
+    if (!album) {
+        throw new HttpError(404, 'Album not found')
+    }
+
+    if (!hasAlbumRole(album, user, 'contributor')) {
+        throw new HttpError(403, 'You do not have permission to upload to this album')
+    }
+
+    return album
+}
+
+// Turn a fully received upload into an Image, then drop the staged file.
+// Safe to call again after a crash: a completed upload just returns its image.
+// The upload is claimed first, so a final PATCH racing a POST /complete (or two
+// completes) ingests it once; the loser gets the image, or a 409 while the
+// winner is still working.
+const completeUpload = async (upload, user) => {
+    if (upload.status === 'completed') {
+        return Image.findOne({ imageId: upload.imageId })
+    }
+
+    const album = await loadUploadAlbum(upload, user)
+    const size = await stagedBytes(upload.uploadId)
+
+    if (size !== upload.length) {
+        throw new HttpError(409, `Upload is incomplete (${size || 0} of ${upload.length} bytes received)`)
+    }
+
+    // A claim older than the timeout belongs to a completion that died midway
+    const staleBefore = new Date(Date.now() - COMPLETION_TIMEOUT_MINUTES * 60 * 1000)
+    const claimed = await Upload.findOneAndUpdate(
+        {
+            uploadId: upload.uploadId,
+            $or: [
+                { status: 'uploading' },
+                { status: 'completing', completingSince: { $lte: staleBefore } }
+            ]
+        },
+        { $set: { status: 'completing', completingSince: new Date() } },
+        { new: true }
+    )
+
+    if (!claimed) {
+        const current = await Upload.findOne({ uploadId: upload.uploadId })
+
+        if (current?.status === 'completed') {
+            upload.status = current.status
+            upload.imageId = current.imageId
+            return Image.findOne({ imageId: current.imageId })
+        }
+
+        throw new HttpError(409, 'Upload is already being completed')
+    }
+
+    let image
+    try {
+        image = await ingestImage({
+            album,
+            user,
+            file: {
+                originalname: upload.filename,
+                mimetype: upload.mimetype,
+                size,
+                path: stagingPath(upload.uploadId)
+            },
+            tags: upload.tags,
+            people: upload.person ? [upload.person] : [],
+            duplicates: upload.duplicates
+        })
+    } catch (error) {
+        // Release the claim so the upload can be completed again
+        await Upload.updateOne(
+            { uploadId: upload.uploadId, status: 'completing' },
+            { $set: { status: 'uploading', completingSince: null } }
+        )
+        throw error
+    }
+
+    await Upload.updateOne(
+        { uploadId: upload.uploadId },
+        { $set: { status: 'completed', offset: size, imageId: image.imageId, completingSince: null } }
+    )
+    upload.status = 'completed'
+    upload.offset = size
+    upload.imageId = image.imageId
+
+    await recordActivity(image.albumId, user, 'image.uploaded', {
+        targetType: 'image',
+        targetId: image.imageId,
+        details: { name: image.name }
+    })
+
+    await fs.promises.rm(stagingPath(upload.uploadId), { force: true })
+
+    return image
+}
+
+const removeUpload = async (upload) => {
+    await fs.promises.rm(stagingPath(upload.uploadId), { force: true })
+    await Upload.deleteOne({ uploadId: upload.uploadId })
+}
+
+// Drop uploads nobody has written to within the expiry window
+const purgeExpiredUploads = async () => {
+    const uploads = await Upload.find({ expiresAt: { $lte: new Date() } })
+
+    for (const upload of uploads) {
+        await removeUpload(upload)
+    }
+
+    return { uploads: uploads.length }
+}
+
+module.exports = {
+    nextExpiry,
+    createStagingFile,
+    stagedBytes,
+    loadUploadAlbum,
+    appendChunk,
+    completeUpload,
+    removeUpload,
+    purgeExpiredUploads
+}
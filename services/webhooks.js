@@ -0,0 +1,272 @@
+const crypto = require('crypto')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const axios = require('axios')
+const { v4: uuidv4 } = require('uuid')
+const Webhook = require('../models/Webhook.model')
+const { expandActions, serializeActivity } = require('./activity')
+const { HttpError } = require('./errors')
+
+// Outgoing webhooks. Each delivery is a JSON POST of the activity entry with
+//   X-KaviosPix-Event      the action, e.g. image.uploaded
+//   X-KaviosPix-Delivery   the activityId (stable across retries by the receiver)
+//   X-KaviosPix-Timestamp  unix seconds when the request was signed
+//   X-KaviosPix-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+// Receivers should recompute the signature over the raw body and reject stale
+// timestamps.
+
+const MAX_WEBHOOKS_PER_ALBUM = 10
+const MAX_CONSECUTIVE_FAILURES = 10
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+
+// Receivers must be public hosts. Loopback, private, link-local (cloud
+// metadata endpoints), shared, multicast and reserved ranges are refused so a
+// hook can't be pointed at services inside our own network.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4
+// ranges by BlockList itself, so they need no entry of their own.
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this for development and tests.
+const blockedAddresses = new net.BlockList()
+;[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+].forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type))
+
+const isBlockedAddress = (address) => {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true') {
+        return false
+    }
+
+    return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+}
+
+const blockedHostError = (hostname) =>
+    Object.assign(new Error(`${hostname} does not resolve to a public address`), { code: 'EBLOCKEDHOST' })
+
+// dns.lookup that refuses non-public addresses. Deliveries connect through it,
+// so the address checked is the one connected to, even if DNS changes between
+// registering a hook and calling it.
+const publicLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options
+        options = {}
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error)
+        }
+
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(blockedHostError(hostname))
+        }
+
+        if (options.all) {
+            return callback(null, addresses)
+        }
+
+        callback(null, addresses[0].address, addresses[0].family)
+    })
+}
+
+const deliveryAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+}
+
+// Throw unless every address `url`'s host resolves to is public. IP literals
+// never reach the agents' lookup, so deliveries check here first as well.
+const assertPublicHost = async (url) => {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '')
+
+    let addresses
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true })
+    } catch {
+        throw new HttpError(400, `Could not resolve ${hostname}`)
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new HttpError(400, 'url must point to a public host')
+    }
+}
+
+const parseWebhookUrl = async (url) => {
+    let parsed
+    try {
+        parsed = new URL(url)
+    } catch {
+        throw new HttpError(400, 'url must be a valid http(s) URL')
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new HttpError(400, 'url must be a valid http(s) URL')
+    }
+
+    await assertPublicHost(parsed.toString())
+
+    return parsed.toString()
+}
+
+// What the owner is told about a failed delivery. Raw errors stay in our logs:
+// echoing them would let a hook probe what sits behind the receiver's address.
+const deliveryErrorMessage = (error) => {
+    if (error.code === 'EBLOCKEDHOST' || error.status === 400) {
+        return 'Receiver address is not allowed'
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return 'Receiver timed out'
+    }
+
+    return 'Could not reach the receiver'
+}
+
+// events: a list of actions or action groups; omitted or empty means all
+const parseWebhookEvents = (events) => {
+    if (events === undefined || events === null) {
+        return []
+    }
+
+    if (!Array.isArray(events) || !events.every(event => typeof event === 'string')) {
+        throw new HttpError(400, 'events must be a list of activity actions')
+    }
+
+    return expandActions(events)
+}
+
+const createWebhook = async (album, user, { url, events }) => {
+    const parsedUrl = await parseWebhookUrl(url)
+    const parsedEvents = parseWebhookEvents(events)
+
+    if (await Webhook.countDocuments({ albumId: album.albumId }) >= MAX_WEBHOOKS_PER_ALBUM) {
+        throw new HttpError(409, `An album can have at most ${MAX_WEBHOOKS_PER_ALBUM} webhooks`)
+    }
+
+    return Webhook.create({
+        webhookId: uuidv4(),
+        albumId: album.albumId,
+        ownerId: user.userId,
+        url: parsedUrl,
+        secret: crypto.randomBytes(32).toString('hex'),
+        events: parsedEvents
+    })
+}
+
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+// POST one activity entry to one webhook and record the outcome. Hooks that
+// keep failing are switched off until the owner re-enables them.
+const deliverWebhook = async (webhook, activity, album) => {
+    const body = JSON.stringify({
+        ...serializeActivity(activity),
+        album: { albumId: album.albumId, name: album.name }
+    })
+    const timestamp = Math.floor(Date.now() / 1000)
+
+    let status = null
+    let error = null
+    try {
+        await assertPublicHost(webhook.url)
+
+        const response = await axios.post(webhook.url, body, {
+            ...deliveryAgents,
+            proxy: false,
+            timeout: DELIVERY_TIMEOUT_MS,
+            maxRedirects: 0,
+            validateStatus: () => true,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'KaviosPix-Webhook',
+                'X-KaviosPix-Event': activity.action,
+                'X-KaviosPix-Delivery': activity.activityId,
+                'X-KaviosPix-Timestamp': String(timestamp),
+                'X-KaviosPix-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+            }
+        })
+        status = response.status
+        if (status < 200 || status >= 300) {
+            error = `Receiver answered ${status}`
+        }
+    } catch (deliveryError) {
+        console.error(`Error delivering webhook ${webhook.webhookId}:`, deliveryError.message)
+        error = deliveryErrorMessage(deliveryError)
+    }
+
+    // Deliveries to the same hook can overlap, so the outcome is written with
+    // atomic updates rather than by saving the document loaded before sending
+    const outcome = { lastDeliveryAt: new Date(), lastStatus: status, lastError: error }
+    if (!error) {
+        await Webhook.updateOne({ webhookId: webhook.webhookId }, { $set: { ...outcome, failureCount: 0 } })
+        return true
+    }
+
+    await Webhook.updateOne({ webhookId: webhook.webhookId }, { $set: outcome, $inc: { failureCount: 1 } })
+    await Webhook.updateOne(
+        { webhookId: webhook.webhookId, failureCount: { $gte: MAX_CONSECUTIVE_FAILURES } },
+        { $set: { active: false } }
+    )
+
+    return false
+}
+
+// Deliver an activity entry to every active webhook of its album that wants it
+const deliverWebhooks = async (activity, album) => {
+    const webhooks = await Webhook.find({ albumId: album.albumId, active: true })
+
+    for (const webhook of webhooks) {
+        if (webhook.events.length === 0 || webhook.events.includes(activity.action)) {
+            await deliverWebhook(webhook, activity, album)
+        }
+    }
+}
+
+// The secret is only shown when the hook is created
+const serializeWebhook = (webhook, { includeSecret = false } = {}) => ({
+    webhookId: webhook.webhookId,
+    albumId: webhook.albumId,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    ...(includeSecret ? { secret: webhook.secret } : {}),
+    lastDeliveryAt: webhook.lastDeliveryAt,
+    lastStatus: webhook.lastStatus,
+    lastError: webhook.lastError,
+    failureCount: webhook.failureCount,
+    createdAt: webhook.createdAt
+})
+
+// Activity details for a webhook change. Members can read the activity feed,
+// so neither the secret nor the full URL (which may carry a token) is kept.
+const webhookActivityDetails = (webhook) => ({
+    host: new URL(webhook.url).host,
+    events: webhook.events,
+    active: webhook.active
+})
+
+module.exports = {
+    webhookActivityDetails,
+    parseWebhookUrl,
+    parseWebhookEvents,
+    createWebhook,
+    signPayload,
+    deliverWebhook,
+    deliverWebhooks,
+    serializeWebhook
+}
@@ -0,0 +1,169 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { startApp } = require('./helpers')
+
+process.env.JWT_SECRET = 'test-secret'
+
+const Session = require('../models/Session.model')
+const KaviosUser = require('../models/User.model')
+const { rotateRefreshToken, verifyJWT } = require('../services/auth')
+const authRoutes = require('../routes/auth')
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex')
+const req = { headers: { 'user-agent': 'test' }, ip: '127.0.0.1' }
+
+// In-memory sessions applying the filters and updates services/auth.js sends
+let sessions
+const matches = (session, filter) => Object.entries(filter).every(([key, value]) => session[key] === value)
+const apply = (session, update) => {
+    Object.assign(session, update.$set || {})
+    for (const [key, push] of Object.entries(update.$push || {})) {
+        session[key] = session[key].concat(push.$each || [push])
+        if (push.$slice) {
+            session[key] = session[key].slice(push.$slice)
+        }
+    }
+}
+
+const stubSessions = () => {
+    mock.method(Session, 'findOne', async (filter) => sessions.find(session => matches(session, filter)) || null)
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+        const session = sessions.find(candidate => matches(candidate, filter))
+        if (session) apply(session, update)
+        return session || null
+    })
+    mock.method(Session, 'updateOne', async (filter, update) => {
+        const session = sessions.find(candidate => matches(candidate, filter))
+        if (session) apply(session, update)
+        return { modifiedCount: session ? 1 : 0 }
+    })
+    mock.method(KaviosUser, 'findOne', async () => ({ name: 'Sam', picture: '' }))
+}
+
+const makeSession = (token, fields = {}) => ({
+    sessionId: 'session-1',
+    userId: 'sam',
+    email: 'sam@example.com',
+    refreshTokenHash: hash(token),
+    previousTokenHashes: [],
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    async save () {},
+    ...fields
+})
+
+beforeEach(() => stubSessions())
+afterEach(() => mock.restoreAll())
+
+describe('rotateRefreshToken', () => {
+    test('hands out a new token and retires the old one', async () => {
+        sessions = [makeSession('session-1.first')]
+
+        const result = await rotateRefreshToken('session-1.first', req)
+
+        assert.ok(result.refreshToken.startsWith('session-1.'))
+        assert.equal(sessions[0].refreshTokenHash, hash(result.refreshToken))
+        assert.deepEqual(sessions[0].previousTokenHashes, [hash('session-1.first')])
+        assert.equal(jwt.verify(result.accessToken, 'test-secret').sid, 'session-1')
+    })
+
+    test('revokes the session when a retired token comes back', async () => {
+        sessions = [makeSession('session-1.second', { previousTokenHashes: [hash('session-1.first')] })]
+
+        const result = await rotateRefreshToken('session-1.first', req)
+
+        assert.equal(result.error, 'Refresh token reuse detected, session revoked')
+        assert.ok(sessions[0].revokedAt)
+        assert.equal(sessions[0].revokedReason, 'refresh_token_reuse')
+    })
+
+    test('refuses a made-up token without touching the session', async () => {
+        sessions = [makeSession('session-1.real')]
+
+        const result = await rotateRefreshToken('session-1.forged', req)
+
+        assert.equal(result.error, 'Invalid or expired refresh token')
+        assert.equal(sessions[0].revokedAt, null)
+        assert.equal(sessions[0].refreshTokenHash, hash('session-1.real'))
+    })
+
+    test('keeps only the most recent retired hashes', async () => {
+        const retired = Array.from({ length: 50 }, (_, i) => `old-${i}`)
+        sessions = [makeSession('session-1.current', { previousTokenHashes: retired })]
+
+        await rotateRefreshToken('session-1.current', req)
+
+        assert.equal(sessions[0].previousTokenHashes.length, 50)
+        assert.equal(sessions[0].previousTokenHashes[0], 'old-1')
+        assert.equal(sessions[0].previousTokenHashes[49], hash('session-1.current'))
+    })
+})
+
+describe('POST /logout', () => {
+    let app
+
+    before(async () => {
+        app = await startApp(authRoutes)
+    })
+
+    after(() => app.close())
+
+    const logout = (token) => fetch(`${app.url}/logout`, {
+        method: 'POST',
+        headers: { Cookie: `refresh_token=${token}` }
+    })
+
+    test('leaves the session alone for a token that only names its id', async () => {
+        sessions = [makeSession('session-1.real')]
+
+        const response = await logout('session-1.forged')
+
+        assert.equal(response.status, 200)
+        assert.equal(sessions[0].revokedAt, null)
+    })
+
+    test('revokes the session of its current token', async () => {
+        sessions = [makeSession('session-1.real')]
+
+        const response = await logout('session-1.real')
+
+        assert.equal(response.status, 200)
+        assert.ok(sessions[0].revokedAt)
+        assert.equal(sessions[0].revokedReason, 'logout')
+        assert.match(response.headers.get('set-cookie'), /refresh_token=;/)
+    })
+})
+
+describe('verifyJWT', () => {
+    const run = async (token) => {
+        let status = null
+        let nextCalled = false
+        const res = { status: (code) => { status = code; return { json: () => {} } } }
+
+        await verifyJWT({ cookies: { access_token: token }, headers: {} }, res, () => { nextCalled = true })
+
+        return { status, nextCalled }
+    }
+
+    const accessToken = (sid) => jwt.sign({ userId: 'sam', email: 'sam@example.com', sid }, 'test-secret')
+
+    test('accepts a token whose session is live', async () => {
+        mock.method(Session, 'exists', async () => ({ _id: 'session' }))
+
+        assert.deepEqual(await run(accessToken('session-1')), { status: null, nextCalled: true })
+    })
+
+    test('refuses a token whose session was revoked', async () => {
+        mock.method(Session, 'exists', async () => null)
+
+        assert.deepEqual(await run(accessToken('session-1')), { status: 401, nextCalled: false })
+    })
+
+    test('refuses a token signed with another secret', async () => {
+        const forged = jwt.sign({ userId: 'sam', sid: 'session-1' }, 'other-secret')
+
+        assert.deepEqual(await run(forged), { status: 401, nextCalled: false })
+    })
+})
@@ -0,0 +1,53 @@
+const http = require('http')
+const express = require('express')
+const cookieParser = require('cookie-parser')
+
+// Local HTTP stand-in for webhook receivers and the http mail transport.
+// Records every request (headers and raw body) and answers with `status`.
+const startStandIn = async ({ status = 200 } = {}) => {
+    const requests = []
+    const server = http.createServer((req, res) => {
+        let body = ''
+        req.setEncoding('utf8')
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+            res.writeHead(server.status, { 'Content-Type': 'application/json' })
+            res.end(JSON.stringify({ messageId: `stand-in-${requests.length}` }))
+        })
+    })
+    server.status = status
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setStatus: (code) => { server.status = code },
+        close: () => new Promise(resolve => server.close(resolve))
+    }
+}
+
+// Serve `router` on a local port as `user` would see it once signed in
+// (null for no session)
+const startApp = async (router, user = null) => {
+    const app = express()
+    app.use(express.json())
+    app.use(cookieParser())
+    app.use((req, res, next) => {
+        req.user = user
+        next()
+    })
+    app.use(router)
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    }
+}
+
+module.exports = { startStandIn, startApp }
@@ -0,0 +1,58 @@
+const { test, describe, before, after, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./helpers')
+
+const Album = require('../models/Album.model')
+const imageRoutes = require('../routes/images')
+
+const viewer = { userId: 'viewer', email: 'viewer@example.com' }
+const contributor = { userId: 'contributor', email: 'contributor@example.com' }
+
+const source = {
+    albumId: 'source',
+    ownerId: 'owner',
+    members: [
+        { email: 'viewer@example.com', role: 'viewer' },
+        { email: 'contributor@example.com', role: 'contributor' }
+    ]
+}
+
+// Both callers own the album they copy into; no target exists here, so a
+// request the source allows stops at the target lookup with 404
+const copyAs = async (user) => {
+    const app = await startApp(imageRoutes, user)
+
+    try {
+        return await fetch(`${app.url}/source/images/copy`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ imageIds: ['image-1'], targetAlbumId: 'their-own' })
+        })
+    } finally {
+        await app.close()
+    }
+}
+
+describe('POST /:albumId/images/copy', () => {
+    before(() => {
+        mock.method(Album, 'findOne', async (filter) => (filter.albumId === 'source' ? source : null))
+    })
+
+    after(() => mock.restoreAll())
+
+    afterEach(() => Album.findOne.mock.resetCalls())
+
+    test('refuses viewers, who can only read the source album', async () => {
+        const response = await copyAs(viewer)
+
+        assert.equal(response.status, 403)
+        assert.equal(Album.findOne.mock.callCount(), 1)
+    })
+
+    test('lets contributors on the source through to the target check', async () => {
+        const response = await copyAs(contributor)
+
+        assert.equal(response.status, 404)
+        assert.deepEqual(await response.json(), { error: 'Target album not found' })
+    })
+})
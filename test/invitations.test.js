@@ -0,0 +1,40 @@
+const { test, describe, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+const Album = require('../models/Album.model')
+const Invitation = require('../models/Invitation.model')
+const { acceptInvitation } = require('../services/invitations')
+const { getAlbumRole } = require('../services/access')
+
+// The account's address differs in case and spacing from the invitation's
+const user = { userId: 'sam', email: ' Sam@Example.com ' }
+
+afterEach(() => mock.restoreAll())
+
+describe('acceptInvitation', () => {
+    test('adds the member under the normalized address', async () => {
+        const invitation = { invitationId: 'invite-1', albumId: 'album-1', email: 'sam@example.com', role: 'contributor' }
+        mock.method(Invitation, 'findOne', async (filter) => {
+            assert.equal(filter.email, 'sam@example.com')
+            return invitation
+        })
+        mock.method(Invitation, 'findOneAndUpdate', async () => invitation)
+        mock.method(Album, 'findOne', async () => ({ albumId: 'album-1' }))
+        mock.method(Album, 'updateOne', async () => ({ modifiedCount: 1 }))
+
+        await acceptInvitation('invite-1', user)
+
+        const [filter, update] = Album.updateOne.mock.calls[0].arguments
+        assert.deepEqual(filter['members.email'], { $ne: 'sam@example.com' })
+        assert.deepEqual(update.$push.members, { email: 'sam@example.com', role: 'contributor' })
+    })
+})
+
+describe('getAlbumRole', () => {
+    test('finds a member whatever the case of their account address', () => {
+        const album = { ownerId: 'owner', members: [{ email: 'sam@example.com', role: 'editor' }] }
+
+        assert.equal(getAlbumRole(album, user), 'editor')
+        assert.equal(getAlbumRole(album, { userId: 'other', email: 'other@example.com' }), null)
+    })
+})
@@ -0,0 +1,82 @@
+const { test, describe, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const Job = require('../models/Job.model')
+const { resumeJobs } = require('../services/jobs')
+const { importAlbum } = require('../services/import')
+
+const makeJob = (fields) => ({
+    jobId: 'job-1',
+    type: 'album-import',
+    userId: 'owner',
+    userEmail: 'owner@example.com',
+    status: 'running',
+    progress: { total: 0, processed: 0 },
+    failures: [],
+    result: null,
+    saved: 0,
+    async save () { this.saved++ },
+    ...fields
+})
+
+afterEach(() => mock.restoreAll())
+
+describe('resumeJobs', () => {
+    test('fails an interrupted import instead of importing again', async () => {
+        const zipPath = path.join(os.tmpdir(), `kavios-import-test-${process.pid}.zip`)
+        await fs.promises.writeFile(zipPath, 'zip')
+
+        const job = makeJob({ params: { albumId: 'album-1', zipPath, createdAlbum: true } })
+        mock.method(Job, 'find', () => ({ sort: async () => [job] }))
+        mock.method(Job, 'findOne', async () => {
+            throw new Error('must not run the job again')
+        })
+        mock.method(Image, 'exists', async () => null)
+        mock.method(Album, 'deleteOne', async () => ({ deletedCount: 1 }))
+
+        assert.equal(await resumeJobs(), 0)
+        assert.equal(job.status, 'failed')
+        assert.equal(job.error, 'Interrupted by a server restart')
+        assert.equal(job.saved, 1)
+        assert.equal(Album.deleteOne.mock.calls[0].arguments[0].albumId, 'album-1')
+        await assert.rejects(fs.promises.stat(zipPath), { code: 'ENOENT' })
+    })
+
+    test('keeps the album of an interrupted import that already holds images', async () => {
+        const job = makeJob({ params: { albumId: 'album-1', zipPath: '/nonexistent.zip', createdAlbum: true } })
+        mock.method(Job, 'find', () => ({ sort: async () => [job] }))
+        mock.method(Image, 'exists', async () => ({ _id: 'image' }))
+        mock.method(Album, 'deleteOne', async () => ({ deletedCount: 1 }))
+
+        await resumeJobs()
+
+        assert.equal(job.status, 'failed')
+        assert.equal(Album.deleteOne.mock.callCount(), 0)
+    })
+})
+
+describe('importAlbum', () => {
+    test('removes the album it created when the archive is gone', async () => {
+        const job = makeJob({ params: { albumId: 'album-1', zipPath: '/nonexistent.zip', createdAlbum: true } })
+        mock.method(Album, 'findOne', async () => ({ albumId: 'album-1' }))
+        mock.method(Image, 'exists', async () => null)
+        mock.method(Album, 'deleteOne', async () => ({ deletedCount: 1 }))
+
+        await assert.rejects(importAlbum(job), { message: 'The uploaded archive is no longer available' })
+        assert.equal(Album.deleteOne.mock.callCount(), 1)
+    })
+
+    test('leaves an existing album alone', async () => {
+        const job = makeJob({ params: { albumId: 'album-1', zipPath: '/nonexistent.zip' } })
+        mock.method(Album, 'findOne', async () => ({ albumId: 'album-1' }))
+        mock.method(Album, 'deleteOne', async () => ({ deletedCount: 1 }))
+
+        await assert.rejects(importAlbum(job))
+        assert.equal(Album.deleteOne.mock.callCount(), 0)
+    })
+})
@@ -0,0 +1,187 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { startStandIn } = require('./helpers')
+
+// The transport is picked when services/mail loads
+process.env.MAIL_TRANSPORT = 'http'
+
+const Album = require('../models/Album.model')
+const KaviosUser = require('../models/User.model')
+const Notification = require('../models/Notification.model')
+const Webhook = require('../models/Webhook.model')
+const { dispatchActivity, sendDigests } = require('../services/notifications')
+
+const album = {
+    albumId: 'album-1',
+    name: 'Holiday',
+    ownerEmail: 'owner@example.com',
+    members: [
+        { email: 'instant@example.com' },
+        { email: 'digest@example.com' },
+        { email: 'off@example.com' },
+        { email: 'guest@example.com' }
+    ]
+}
+
+// Stored preferences; guest@example.com has no account and gets the defaults
+const accounts = [
+    { email: 'owner@example.com', notifications: { uploads: 'instant', comments: 'instant' } },
+    { email: 'instant@example.com', notifications: { uploads: 'instant', comments: 'instant' } },
+    { email: 'digest@example.com', notifications: { uploads: 'digest', comments: 'digest' } },
+    { email: 'off@example.com', notifications: { uploads: 'off', comments: 'off' } }
+]
+
+const activityFor = (action, actorEmail) => ({
+    activityId: `${action}-1`,
+    albumId: 'album-1',
+    actorId: 'actor',
+    actorEmail,
+    action,
+    targetType: 'image',
+    targetId: 'image-1',
+    details: { name: 'beach.jpg' }
+})
+
+describe('dispatchActivity', () => {
+    let mailer
+    let created
+
+    before(async () => {
+        mailer = await startStandIn()
+        process.env.MAIL_HTTP_URL = `${mailer.url}/send`
+    })
+
+    after(() => mailer.close())
+
+    beforeEach(() => {
+        mailer.requests.length = 0
+        created = []
+
+        mock.method(Album, 'findOne', async () => album)
+        mock.method(Webhook, 'find', async () => [])
+        mock.method(KaviosUser, 'find', (filter) => ({
+            lean: async () => accounts.filter(account => filter.email.$in.includes(account.email))
+        }))
+        mock.method(Notification, 'create', async (fields) => {
+            const notification = { ...fields, status: 'pending', async save () {} }
+            created.push(notification)
+            return notification
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    const sentTo = () => mailer.requests.map(({ body }) => JSON.parse(body).to).sort()
+    const queuedFor = (delivery) => created.filter(n => n.delivery === delivery).map(n => n.email).sort()
+
+    test('follows each recipient\'s upload preference and skips the actor', async () => {
+        await dispatchActivity(activityFor('image.uploaded', 'owner@example.com'))
+
+        assert.deepEqual(queuedFor('instant'), ['instant@example.com'])
+        assert.deepEqual(queuedFor('digest'), ['digest@example.com', 'guest@example.com'])
+        assert.ok(!created.some(n => n.email === 'off@example.com'))
+        assert.ok(!created.some(n => n.email === 'owner@example.com'))
+
+        assert.deepEqual(sentTo(), ['instant@example.com'])
+        assert.equal(created.find(n => n.email === 'instant@example.com').status, 'sent')
+        assert.equal(created.find(n => n.email === 'digest@example.com').status, 'pending')
+    })
+
+    test('mails comments instantly by default', async () => {
+        await dispatchActivity(activityFor('comment.added', 'instant@example.com'))
+
+        assert.deepEqual(sentTo(), ['guest@example.com', 'owner@example.com'])
+        assert.deepEqual(queuedFor('digest'), ['digest@example.com'])
+
+        const { subject, text } = JSON.parse(mailer.requests[0].body)
+        assert.equal(subject, 'instant@example.com commented on a photo in "Holiday"')
+        assert.match(text, /\/albums\/album-1$/)
+    })
+
+    test('marks the notification failed when the mail transport fails', async () => {
+        mailer.setStatus(500)
+        mock.method(console, 'error', () => {})
+
+        await dispatchActivity(activityFor('comment.added', 'owner@example.com'))
+
+        const failed = created.filter(n => n.delivery === 'instant')
+        assert.ok(failed.length > 0)
+        assert.ok(failed.every(n => n.status === 'failed'))
+
+        mailer.setStatus(200)
+    })
+
+    test('does nothing for an album that no longer exists', async () => {
+        Album.findOne.mock.mockImplementation(async () => null)
+
+        await dispatchActivity(activityFor('image.uploaded', 'owner@example.com'))
+
+        assert.equal(created.length, 0)
+        assert.equal(mailer.requests.length, 0)
+    })
+})
+
+describe('sendDigests', () => {
+    let mailer
+    let updates
+
+    before(async () => {
+        mailer = await startStandIn()
+        process.env.MAIL_HTTP_URL = `${mailer.url}/send`
+    })
+
+    after(() => mailer.close())
+
+    beforeEach(() => {
+        mailer.requests.length = 0
+        updates = []
+        mock.method(Notification, 'updateMany', async (filter, update) => {
+            updates.push({ filter, update })
+            return { modifiedCount: 0 }
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    // find({ claimId }) answers with the notifications this run claimed
+    const claimed = (notifications) => mock.method(Notification, 'find', (filter) => ({
+        sort: async () => notifications.map(n => ({ ...n, claimId: filter.claimId }))
+    }))
+
+    test('sends one digest per recipient from the notifications it claimed', async () => {
+        claimed([
+            { notificationId: 'n1', email: 'a@example.com', subject: 'First', url: 'u1' },
+            { notificationId: 'n2', email: 'a@example.com', subject: 'Second', url: 'u2' },
+            { notificationId: 'n3', email: 'b@example.com', subject: 'Third', url: 'u3' }
+        ])
+
+        const result = await sendDigests()
+
+        assert.deepEqual(result, { recipients: 2, sent: 2, notifications: 3 })
+        assert.equal(mailer.requests.length, 2)
+        assert.match(JSON.parse(mailer.requests[0].body).subject, /2 new updates/)
+
+        // Pending digests are claimed under one id, and only that claim is marked sent
+        const claim = updates.find(({ update }) => update.$set.status === 'sending')
+        assert.deepEqual(claim.filter, { delivery: 'digest', status: 'pending' })
+
+        const claimId = claim.update.$set.claimId
+        const marked = updates.filter(({ update }) => update.$set.status === 'sent')
+        assert.equal(marked.length, 2)
+        assert.ok(marked.every(({ filter }) => filter.claimId === claimId))
+    })
+
+    test('puts a recipient\'s notifications back to pending when the digest fails', async () => {
+        mailer.setStatus(500)
+        mock.method(console, 'error', () => {})
+        claimed([{ notificationId: 'n1', email: 'a@example.com', subject: 'First', url: 'u1' }])
+
+        const result = await sendDigests()
+
+        assert.equal(result.sent, 0)
+        const released = updates.filter(({ update }) => update.$set.status === 'pending' && update.$set.claimId === null)
+        assert.ok(released.some(({ filter }) => filter.notificationId?.$in.includes('n1')))
+
+        mailer.setStatus(200)
+    })
+})
@@ -0,0 +1,106 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+
+// Quotas are read when services/quota loads
+process.env.STORAGE_QUOTA_BYTES = '10'
+process.env.QUOTA_CHARGE_POLICY = 'owner'
+
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const KaviosUser = require('../models/User.model')
+const { assertQuota, reserveQuota, adjustUsage } = require('../services/quota')
+
+const album = { albumId: 'album-1', ownerId: 'owner' }
+const owner = { userId: 'owner', email: 'owner@example.com' }
+const member = { userId: 'member', email: 'member@example.com' }
+
+// In-memory accounts applying the filters and updates quota.js sends
+let accounts
+const matches = (account, filter) => Object.entries(filter).every(([key, condition]) => {
+    const value = account[key]
+    if (condition && typeof condition === 'object') {
+        if ('$lte' in condition) return value !== null && value <= condition.$lte
+        if ('$ne' in condition) return value !== condition.$ne
+    }
+    return value === condition
+})
+const apply = (account, update) => {
+    Object.assign(account, update.$set || {})
+    for (const [key, by] of Object.entries(update.$inc || {})) {
+        account[key] += by
+    }
+}
+const find = (filter) => accounts.find(account => matches(account, filter)) || null
+
+const stubAccounts = () => {
+    mock.method(KaviosUser, 'findOne', async (filter) => {
+        const account = find(filter)
+        return account ? { ...account } : null
+    })
+    mock.method(KaviosUser, 'findOneAndUpdate', async (filter, update) => {
+        const account = find(filter)
+        if (account) apply(account, update)
+        return account ? { ...account } : null
+    })
+    mock.method(KaviosUser, 'updateOne', async (filter, update) => {
+        const account = find(filter)
+        if (account) apply(account, update)
+        return { matchedCount: account ? 1 : 0 }
+    })
+    mock.method(Album, 'find', async () => [album])
+    mock.method(Image, 'aggregate', async () => [{ bytes: 3, images: 1 }])
+}
+
+describe('reserveQuota', () => {
+    beforeEach(() => {
+        accounts = [{ googleId: 'owner', storageQuotaBytes: null, usedBytes: 0 }]
+        stubAccounts()
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    test('lets concurrent uploads reserve only what fits', async () => {
+        const results = await Promise.allSettled(
+            Array.from({ length: 4 }, () => reserveQuota({ album, user: member, size: 4 }))
+        )
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 2)
+        assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.status === 507))
+        assert.equal(accounts[0].usedBytes, 8)
+    })
+
+    test('charges the album owner and names whose quota is full', async () => {
+        accounts[0].usedBytes = 9
+
+        assert.equal(await reserveQuota({ album, user: owner, size: 1 }), 'owner')
+        await assert.rejects(reserveQuota({ album, user: member, size: 1 }), {
+            status: 507,
+            message: 'The album owner\'s storage quota of 0MB is full (0MB used)'
+        })
+    })
+
+    test('frees reserved bytes again', async () => {
+        const charged = await reserveQuota({ album, user: owner, size: 6 })
+        await adjustUsage(charged, -6)
+
+        assert.equal(accounts[0].usedBytes, 0)
+        assert.equal(await reserveQuota({ album, user: owner, size: 10 }), 'owner')
+    })
+
+    test('counts usage from the images the first time', async () => {
+        accounts[0].usedBytes = null
+
+        await reserveQuota({ album, user: owner, size: 2 })
+
+        assert.equal(accounts[0].usedBytes, 5)
+        await assert.rejects(assertQuota({ album, user: owner, size: 6 }), { status: 507 })
+    })
+
+    test('leaves users who are not counted yet alone when adjusting', async () => {
+        accounts[0].usedBytes = null
+
+        await adjustUsage('owner', -4)
+
+        assert.equal(accounts[0].usedBytes, null)
+    })
+})
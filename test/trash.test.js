@@ -0,0 +1,79 @@
+const { test, describe, before, after, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./helpers')
+
+const Album = require('../models/Album.model')
+const Image = require('../models/Image.model')
+const trashRoutes = require('../routes/trash')
+
+const owner = { userId: 'owner', email: 'owner@example.com' }
+const contributor = { userId: 'contributor', email: 'contributor@example.com' }
+
+const album = {
+    albumId: 'album-1',
+    ownerId: 'owner',
+    deletedAt: null,
+    members: [{ email: 'contributor@example.com', role: 'contributor' }]
+}
+const trashedAlbum = { ...album, albumId: 'album-2', deletedAt: new Date() }
+const image = { imageId: 'image-1', albumId: 'album-1', deletedAt: new Date(), deletedBy: 'owner', name: 'beach.jpg' }
+const orphan = { ...image, imageId: 'orphan', albumId: 'gone' }
+
+const albums = [album, trashedAlbum]
+const images = [image, orphan]
+
+// Nothing here may reach a purge or restore: every request is refused first
+const requestAs = async (user, method, path) => {
+    const app = await startApp(trashRoutes, user)
+
+    try {
+        const response = await fetch(`${app.url}${path}`, { method })
+        return { status: response.status, body: await response.json() }
+    } finally {
+        await app.close()
+    }
+}
+
+describe('trash routes', () => {
+    before(() => {
+        mock.method(Image, 'findOne', async (filter) => images.find(i => i.imageId === filter.imageId) || null)
+        mock.method(Album, 'findOne', async (filter) => albums.find(a =>
+            a.albumId === filter.albumId && (!filter.deletedAt || a.deletedAt)) || null)
+    })
+
+    after(() => mock.restoreAll())
+
+    afterEach(() => {
+        Image.findOne.mock.resetCalls()
+        Album.findOne.mock.resetCalls()
+    })
+
+    test('refuses to permanently delete an image for anyone but the album owner', async () => {
+        const { status, body } = await requestAs(contributor, 'DELETE', '/images/image-1')
+
+        assert.equal(status, 403)
+        assert.equal(body.error, 'Only the album owner can permanently delete images')
+    })
+
+    test('answers 404 for a trashed image whose album no longer exists', async () => {
+        const { status } = await requestAs(owner, 'DELETE', '/images/orphan')
+
+        assert.equal(status, 404)
+    })
+
+    test('refuses to restore an image a member did not delete', async () => {
+        const { status } = await requestAs(contributor, 'POST', '/images/image-1/restore')
+
+        assert.equal(status, 403)
+    })
+
+    test('refuses to restore or purge an album for anyone but its owner', async () => {
+        assert.equal((await requestAs(contributor, 'POST', '/albums/album-2/restore')).status, 403)
+        assert.equal((await requestAs(contributor, 'DELETE', '/albums/album-2')).status, 403)
+    })
+
+    test('requires a signed-in user', async () => {
+        assert.equal((await requestAs(null, 'DELETE', '/images/image-1')).status, 401)
+        assert.equal(Image.findOne.mock.callCount(), 0)
+    })
+})
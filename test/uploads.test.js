@@ -0,0 +1,140 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { startApp } = require('./helpers')
+
+// The staging directory is fixed when services/uploads loads
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kavios-uploads-'))
+process.env.UPLOAD_STAGING_DIR = stagingDir
+
+const Album = require('../models/Album.model')
+const Upload = require('../models/Upload.model')
+const { createStagingFile, completeUpload } = require('../services/uploads')
+const uploadRoutes = require('../routes/uploads')
+
+const owner = { userId: 'owner', email: 'owner@example.com' }
+const contributor = { userId: 'contributor', email: 'contributor@example.com' }
+
+// The album as it is now: `contributor` has been demoted to viewer
+const album = {
+    albumId: 'album-1',
+    ownerId: 'owner',
+    members: [{ email: 'contributor@example.com', role: 'viewer' }]
+}
+
+const makeUpload = (uploadId, user) => ({
+    uploadId,
+    albumId: 'album-1',
+    userId: user.userId,
+    userEmail: user.email,
+    filename: 'beach.jpg',
+    mimetype: 'image/jpeg',
+    length: 4,
+    status: 'uploading',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+})
+
+const stage = async (uploadId, bytes) => {
+    await createStagingFile(uploadId)
+    await fs.promises.writeFile(path.join(stagingDir, uploadId), bytes)
+}
+
+const stagedSize = async (uploadId) => (await fs.promises.stat(path.join(stagingDir, uploadId))).size
+
+after(() => fs.promises.rm(stagingDir, { recursive: true, force: true }))
+
+afterEach(() => mock.restoreAll())
+
+describe('completeUpload', () => {
+    beforeEach(() => {
+        mock.method(Album, 'findOne', async () => album)
+        mock.method(Upload, 'findOneAndUpdate', async () => {
+            throw new Error('must not claim')
+        })
+    })
+
+    test('refuses a member who can no longer upload to the album', async () => {
+        await stage('demoted', Buffer.from('full'))
+
+        await assert.rejects(completeUpload(makeUpload('demoted', contributor), contributor), { status: 403 })
+        assert.equal(Upload.findOneAndUpdate.mock.callCount(), 0)
+    })
+
+    test('refuses an upload whose album has gone', async () => {
+        Album.findOne.mock.mockImplementation(async () => null)
+        await stage('orphaned', Buffer.from('full'))
+
+        await assert.rejects(completeUpload(makeUpload('orphaned', owner), owner), { status: 404 })
+        assert.equal(Upload.findOneAndUpdate.mock.callCount(), 0)
+    })
+
+    test('answers 409 while another request holds the claim', async () => {
+        Upload.findOneAndUpdate.mock.mockImplementation(async () => null)
+        mock.method(Upload, 'findOne', async () => ({ status: 'completing' }))
+        await stage('racing', Buffer.from('full'))
+
+        await assert.rejects(completeUpload(makeUpload('racing', owner), owner), { status: 409 })
+    })
+
+    test('refuses to complete before every byte has arrived', async () => {
+        await stage('partial', Buffer.from('pa'))
+
+        await assert.rejects(completeUpload(makeUpload('partial', owner), owner), { status: 409 })
+        assert.equal(Upload.findOneAndUpdate.mock.callCount(), 0)
+    })
+})
+
+describe('PATCH /:uploadId', () => {
+    let app
+
+    before(async () => {
+        app = await startApp(uploadRoutes, contributor)
+    })
+
+    after(() => app.close())
+
+    test('stages no bytes for a member who lost upload access', async () => {
+        await stage('patch-demoted', Buffer.alloc(0))
+        mock.method(console, 'error', () => {})
+        mock.method(Album, 'findOne', async () => album)
+        mock.method(Upload, 'findOne', async () => makeUpload('patch-demoted', contributor))
+        mock.method(Upload, 'updateOne', async () => {
+            throw new Error('must not touch the upload')
+        })
+
+        const response = await fetch(`${app.url}/patch-demoted`, {
+            method: 'PATCH',
+            headers: {
+                'Tus-Resumable': '1.0.0',
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': '0'
+            },
+            body: Buffer.from('data')
+        })
+
+        assert.equal(response.status, 403)
+        assert.equal(await stagedSize('patch-demoted'), 0)
+        assert.equal(Upload.updateOne.mock.callCount(), 0)
+    })
+
+    test('only finds uploads that belong to the caller', async () => {
+        mock.method(Upload, 'findOne', async (filter) => {
+            assert.equal(filter.userId, 'contributor')
+            return null
+        })
+
+        const response = await fetch(`${app.url}/someone-elses`, {
+            method: 'PATCH',
+            headers: {
+                'Tus-Resumable': '1.0.0',
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': '0'
+            },
+            body: Buffer.from('data')
+        })
+
+        assert.equal(response.status, 404)
+    })
+})
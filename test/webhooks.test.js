@@ -0,0 +1,178 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const { startStandIn } = require('./helpers')
+const Webhook = require('../models/Webhook.model')
+const { signPayload, deliverWebhook, parseWebhookUrl, webhookActivityDetails } = require('../services/webhooks')
+
+const album = { albumId: 'album-1', name: 'Holiday' }
+const activity = {
+    activityId: 'activity-1',
+    albumId: 'album-1',
+    actorId: 'user-1',
+    actorEmail: 'sam@example.com',
+    action: 'image.uploaded',
+    targetType: 'image',
+    targetId: 'image-1',
+    details: { name: 'beach.jpg' },
+    createdAt: new Date('2026-01-01T00:00:00Z')
+}
+
+const makeWebhook = (url) => ({
+    webhookId: 'webhook-1',
+    url,
+    secret: 'shh',
+    active: true,
+    failureCount: 0
+})
+
+// Stand-in for the stored hook, applying the updates deliverWebhook sends
+const storeWebhook = (webhook) => {
+    const stored = { ...webhook }
+    const matches = (filter) => Object.entries(filter).every(([key, value]) =>
+        value && value.$gte !== undefined ? stored[key] >= value.$gte : stored[key] === value)
+
+    mock.method(Webhook, 'updateOne', async (filter, update) => {
+        if (!matches(filter)) {
+            return { modifiedCount: 0 }
+        }
+        Object.assign(stored, update.$set)
+        for (const [key, amount] of Object.entries(update.$inc || {})) {
+            stored[key] += amount
+        }
+        return { modifiedCount: 1 }
+    })
+
+    return stored
+}
+
+describe('signPayload', () => {
+    test('is HMAC-SHA256 of "<timestamp>.<body>" in hex', () => {
+        const expected = crypto.createHmac('sha256', 'shh').update('1700000000.{"a":1}').digest('hex')
+
+        assert.equal(signPayload('shh', 1700000000, '{"a":1}'), expected)
+    })
+
+    test('changes with the secret, timestamp and body', () => {
+        const signature = signPayload('shh', 1, 'body')
+
+        assert.notEqual(signPayload('other', 1, 'body'), signature)
+        assert.notEqual(signPayload('shh', 2, 'body'), signature)
+        assert.notEqual(signPayload('shh', 1, 'body!'), signature)
+    })
+})
+
+describe('deliverWebhook', () => {
+    let receiver
+
+    before(async () => {
+        receiver = await startStandIn()
+    })
+
+    after(() => receiver.close())
+
+    afterEach(() => mock.restoreAll())
+
+    beforeEach(() => {
+        receiver.requests.length = 0
+        receiver.setStatus(200)
+        process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true'
+    })
+
+    test('posts a signed activity entry the receiver can verify', async () => {
+        const webhook = makeWebhook(`${receiver.url}/hook`)
+        const stored = storeWebhook({ ...webhook, failureCount: 3 })
+
+        assert.equal(await deliverWebhook(webhook, activity, album), true)
+        assert.equal(receiver.requests.length, 1)
+
+        const { headers, body } = receiver.requests[0]
+        const expected = signPayload(webhook.secret, headers['x-kaviospix-timestamp'], body)
+
+        assert.equal(headers['x-kaviospix-signature'], `sha256=${expected}`)
+        assert.equal(headers['x-kaviospix-event'], 'image.uploaded')
+        assert.equal(headers['x-kaviospix-delivery'], 'activity-1')
+        assert.deepEqual(JSON.parse(body).album, { albumId: 'album-1', name: 'Holiday' })
+        assert.equal(JSON.parse(body).target.id, 'image-1')
+
+        assert.equal(stored.lastStatus, 200)
+        assert.equal(stored.lastError, null)
+        assert.equal(stored.failureCount, 0)
+        assert.equal(Webhook.updateOne.mock.callCount(), 1)
+    })
+
+    test('counts failed deliveries and switches the hook off after ten', async () => {
+        receiver.setStatus(500)
+        const webhook = makeWebhook(`${receiver.url}/hook`)
+        const stored = storeWebhook(webhook)
+
+        for (let attempt = 1; attempt <= 10; attempt++) {
+            assert.equal(stored.active, true)
+            assert.equal(await deliverWebhook(webhook, activity, album), false)
+            assert.equal(stored.failureCount, attempt)
+        }
+
+        assert.equal(stored.lastStatus, 500)
+        assert.equal(stored.lastError, 'Receiver answered 500')
+        assert.equal(stored.active, false)
+    })
+
+    test('reports an unreachable receiver without the raw error', async () => {
+        const webhook = makeWebhook('http://127.0.0.1:1/hook')
+        const stored = storeWebhook(webhook)
+
+        assert.equal(await deliverWebhook(webhook, activity, album), false)
+        assert.equal(stored.lastStatus, null)
+        assert.equal(stored.lastError, 'Could not reach the receiver')
+    })
+
+    test('refuses private addresses unless they are allowed', async () => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS
+        const webhook = makeWebhook(`${receiver.url}/hook`)
+        const stored = storeWebhook(webhook)
+
+        assert.equal(await deliverWebhook(webhook, activity, album), false)
+        assert.equal(stored.lastError, 'Receiver address is not allowed')
+        assert.equal(receiver.requests.length, 0)
+    })
+})
+
+describe('parseWebhookUrl', () => {
+    before(() => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS
+    })
+
+    for (const url of [
+        'http://127.0.0.1/hook',
+        'http://localhost:8080/hook',
+        'http://10.0.0.5/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook'
+    ]) {
+        test(`rejects ${url}`, async () => {
+            await assert.rejects(parseWebhookUrl(url), { status: 400 })
+        })
+    }
+
+    test('rejects other protocols', async () => {
+        await assert.rejects(parseWebhookUrl('ftp://example.com/hook'), { status: 400 })
+    })
+
+    test('accepts a public address', async () => {
+        assert.equal(await parseWebhookUrl('https://93.184.215.14/hook'), 'https://93.184.215.14/hook')
+    })
+})
+
+describe('webhookActivityDetails', () => {
+    test('keeps neither the secret nor the URL path', () => {
+        const details = webhookActivityDetails({
+            ...makeWebhook('https://hooks.example.com/services/T000/B000/token?key=abc'),
+            events: ['image']
+        })
+
+        assert.deepEqual(details, { host: 'hooks.example.com', events: ['image'], active: true })
+    })
+})